@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
 const db = require('../config/database');
 const logger = require('../utils/logger');
+const { isApiKey, findActiveApiKey } = require('../utils/apiKeys');
+const { findActiveImpersonation, recordImpersonatedAction } = require('../utils/impersonation');
+const { can, getUserResource } = require('../utils/policy');
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -14,11 +17,41 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Personal access tokens for scripts and integrations
+    if (isApiKey(token)) {
+      const apiKey = await findActiveApiKey(token);
+
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired API key'
+        });
+      }
+
+      req.user = {
+        id: apiKey.user_id,
+        organization_id: apiKey.organization_id,
+        email: apiKey.email,
+        role: apiKey.role,
+        is_active: apiKey.is_active
+      };
+      req.auth = { type: 'api_key', apiKeyId: apiKey.id, scopes: apiKey.scopes, sessionId: null, impersonation: null };
+      return next();
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (e.g. 2FA login challenges) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
     
     // Check if user still exists and is active
     const [users] = await db.execute(
-      'SELECT id, email, role, is_active FROM users WHERE id = ? AND is_active = 1',
+      'SELECT id, organization_id, email, role, is_active, token_version FROM users WHERE id = ? AND is_active = 1',
       [decoded.userId]
     );
 
@@ -29,7 +62,66 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    req.user = users[0];
+    // Every query is scoped to the organization the token was issued for
+    if (decoded.org !== users[0].organization_id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
+
+    // Password and role changes bump token_version, retiring older tokens
+    if ((decoded.tv || 0) !== users[0].token_version) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked'
+      });
+    }
+
+    // Logging out revokes the session the token was issued for
+    if (decoded.sid) {
+      const [sessions] = await db.execute(
+        'SELECT id FROM user_sessions WHERE id = ? AND revoked_at IS NULL',
+        [decoded.sid]
+      );
+
+      if (sessions.length === 0) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked'
+        });
+      }
+    }
+
+    // Impersonation tokens also depend on the admin who issued them
+    let impersonation = null;
+    if (decoded.act) {
+      const active = await findActiveImpersonation(decoded.jti, decoded.act.userId);
+
+      if (!active) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation has ended'
+        });
+      }
+
+      impersonation = {
+        id: active.id,
+        expires_at: active.expires_at,
+        impersonator: { id: active.impersonator_id, email: active.impersonator_email }
+      };
+
+      // Every request made while impersonating is audited
+      res.on('finish', () => {
+        recordImpersonatedAction(req, res).catch(error => {
+          logger.error('Failed to record impersonated action:', error);
+        });
+      });
+    }
+
+    const { token_version, ...user } = users[0];
+    req.user = user;
+    req.auth = { type: 'jwt', sessionId: decoded.sid || null, impersonation };
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -48,16 +140,109 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-const authorizeRoles = (...roles) => {
+// Gate for actions that need no particular resource (see utils/policy)
+const authorize = (action) => {
+  return async (req, res, next) => {
+    try {
+      if (!(await can(req.user, action))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Like authorize, checked against the account addressed by the URL
+const authorizeUser = (action, param = 'id') => {
+  return async (req, res, next) => {
+    try {
+      if (!(await can(req.user, action, await getUserResource(req.params[param])))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions'
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Resources addressed by URL must belong to the caller's organization.
+// Rows of other organizations are reported exactly like missing ones.
+const ORGANIZATION_SCOPED = {
+  users: 'User',
+  projects: 'Project',
+  tasks: 'Task',
+  categories: 'Category',
+  teams: 'Team',
+  time_entries: 'Time entry'
+};
+
+const requireSameOrganization = (table, param = 'id') => {
+  if (!ORGANIZATION_SCOPED[table]) {
+    throw new Error(`${table} is not organization scoped`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const [rows] = await db.execute(
+        `SELECT organization_id FROM ${table} WHERE id = ?`,
+        [req.params[param]]
+      );
+
+      if (rows.length > 0 && rows[0].organization_id !== req.user.organization_id) {
+        return res.status(404).json({
+          success: false,
+          message: `${ORGANIZATION_SCOPED[table]} not found`
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// API keys are limited to their scopes; user sessions are not scope-restricted
+const requireScope = (...scopes) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (req.auth.type !== 'api_key') {
+      return next();
+    }
+
+    const missing = scopes.filter(scope => !req.auth.scopes.includes(scope));
+    if (missing.length > 0) {
       return res.status(403).json({
         success: false,
-        message: 'Insufficient permissions'
+        message: `API key is missing required scope: ${missing.join(', ')}`
       });
     }
     next();
   };
 };
 
-module.exports = { authenticateToken, authorizeRoles };
\ No newline at end of file
+// Account security endpoints need the user's own login, not an API key or impersonation
+const requireUserSession = (req, res, next) => {
+  if (req.auth.type === 'api_key') {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not available with an API key'
+    });
+  }
+  if (req.auth.impersonation) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not available while impersonating'
+    });
+  }
+  next();
+};
+
+module.exports = { authenticateToken, authorize, authorizeUser, requireScope, requireSameOrganization, requireUserSession };
\ No newline at end of file
@@ -1,44 +1,59 @@
 const multer = require('multer');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
+const { getStorage } = require('../utils/storage');
+const { detectType, checkContent } = require('../utils/fileTypes');
 
-// Ensure uploads directory exists
-const uploadsDir = 'uploads';
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
+// Uploads are held in memory (at most 5 files of 5MB) while the route checks
+// the request, and then written to the configured storage driver under a key
+// like "projects/<uuid>-<timestamp>.pdf" (see storeFiles)
+const storage = multer.memoryStorage();
 
-// Storage configuration
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    let folder = 'uploads/general';
-    
-    // Organize by upload type
-    if (req.originalUrl.includes('/projects/')) {
-      folder = 'uploads/projects';
-    } else if (req.originalUrl.includes('/tasks/')) {
-      folder = 'uploads/tasks';
-    } else if (req.originalUrl.includes('/users/')) {
-      folder = 'uploads/avatars';
-    }
-    
-    // Create folder if it doesn't exist
-    if (!fs.existsSync(folder)) {
-      fs.mkdirSync(folder, { recursive: true });
+// Storage folder for the route the upload came through
+const folderFor = (req) => {
+  if (req.originalUrl.includes('/projects/')) {
+    return 'projects';
+  }
+  if (req.originalUrl.includes('/tasks/')) {
+    return 'tasks';
+  }
+  if (req.originalUrl.includes('/users/')) {
+    return 'avatars';
+  }
+  return 'general';
+};
+
+const receivedFiles = (req) => req.files || (req.file ? [req.file] : []);
+
+// Makes sure every file's content is an accepted type and replaces the
+// claimed mimetype with the detected one
+const checkFiles = (req) => {
+  for (const file of receivedFiles(req)) {
+    const contentError = checkContent(file.buffer, file.originalname);
+    if (contentError) {
+      throw new Error(contentError);
     }
-    
-    cb(null, folder);
-  },
-  filename: (req, file, cb) => {
+    file.mimetype = detectType(file.buffer).mimetype;
+  }
+};
+
+// Saves the uploaded files and sets each one's filename and storage key.
+// Routes call it once the request is allowed, so rejected uploads leave
+// nothing behind in storage.
+const storeFiles = async (req) => {
+  for (const file of receivedFiles(req)) {
     // Sanitize original filename to prevent path traversal
     const sanitizedExt = path.extname(file.originalname).toLowerCase().replace(/[^a-z0-9.]/g, '');
-    const uniqueName = `${uuidv4()}-${Date.now()}${sanitizedExt}`;
-    cb(null, uniqueName);
+    file.filename = `${uuidv4()}-${Date.now()}${sanitizedExt}`;
+    file.key = `${folderFor(req)}/${file.filename}`;
+
+    await getStorage().put(file.key, file.buffer, file.mimetype);
+    delete file.buffer;
   }
-});
+};
 
-// File filter
+// File filter; rejects unwanted types early by the mimetype the client
+// claims, the content itself is checked once received (see checkFiles)
 const fileFilter = (req, file, cb) => {
   // Allowed file types
   const allowedTypes = {
@@ -69,10 +84,26 @@ const upload = multer({
   }
 });
 
-// Upload middleware variants
-const uploadSingle = upload.single('file');
-const uploadMultiple = upload.array('files', 5);
-const uploadAvatar = upload.single('avatar');
+// Runs multer and checks the content, leaving the files in memory for the
+// route to store (or store something derived from them)
+const checking = (receive) => (req, res, next) => {
+  receive(req, res, (error) => {
+    if (error) {
+      return next(error);
+    }
+    try {
+      checkFiles(req);
+      next();
+    } catch (checkError) {
+      next(checkError);
+    }
+  });
+};
+
+// Upload middleware variants; avatars are resized before they are stored
+const uploadSingle = checking(upload.single('file'));
+const uploadMultiple = checking(upload.array('files', 5));
+const uploadAvatar = checking(upload.single('avatar'));
 
 // Error handling middleware for multer
 const handleUploadError = (err, req, res, next) => {
@@ -102,6 +133,7 @@ const handleUploadError = (err, req, res, next) => {
 };
 
 module.exports = {
+  storeFiles,
   uploadSingle,
   uploadMultiple,
   uploadAvatar,
@@ -1,5 +1,8 @@
 const Joi = require('joi');
 const { body, param, query, validationResult } = require('express-validator');
+const { SCOPES } = require('../utils/apiKeys');
+const { PROJECT_ROLES } = require('../utils/policy');
+const { STATUS_CATEGORIES, ANY_STATUS } = require('../utils/workflows');
 
 // Joi validation (existing)
 const validateRequest = (schema) => {
@@ -36,9 +39,15 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Password strength pattern
+const passwordPattern = /^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#\$%\^&\*])/;
+
 // UUID validation pattern
 const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
+// Task statuses are workflow state keys; the project's workflow decides which exist
+const statusKeyPattern = /^[a-z][a-z0-9_]{0,49}$/;
+
 // Express-validator rules
 const validationRules = {
   // User validation
@@ -61,7 +70,7 @@ const validationRules = {
     body('password')
       .isLength({ min: 8 })
       .withMessage('Password must be at least 8 characters long')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#\$%\^&\*])/)
+      .matches(passwordPattern)
       .withMessage('Password must contain at least one lowercase, uppercase, number and special character'),
     
     body('role')
@@ -132,11 +141,21 @@ const validationRules = {
       .matches(uuidPattern)
       .withMessage('Project ID must be a valid UUID'),
     
+    body('parent_task_id')
+      .optional({ nullable: true })
+      .matches(uuidPattern)
+      .withMessage('Parent task ID must be a valid UUID'),
+    
     body('assigned_to')
       .optional()
       .matches(uuidPattern)
       .withMessage('Assigned user ID must be a valid UUID'),
     
+    body('assigned_team_id')
+      .optional({ nullable: true })
+      .matches(uuidPattern)
+      .withMessage('Assigned team ID must be a valid UUID'),
+    
     body('category_id')
       .optional()
       .matches(uuidPattern)
@@ -144,7 +163,7 @@ const validationRules = {
     
     body('status')
       .optional()
-      .isIn(['todo', 'in_progress', 'review', 'completed'])
+      .matches(statusKeyPattern)
       .withMessage('Invalid status'),
     
     body('priority')
@@ -201,17 +220,71 @@ const schemas = {
   register: Joi.object({
     name: Joi.string().min(2).max(100).required(),
     email: Joi.string().email().required(),
-    password: Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#\$%\^&\*])')).required()
+    password: Joi.string().min(8).pattern(passwordPattern).required()
       .messages({
         'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character'
       }),
-    role: Joi.string().valid('admin', 'manager', 'user').default('user')
+    // Self-registration always creates a regular user; elevated roles come from invitations
+    role: Joi.string().valid('user').default('user')
+      .messages({
+        'any.only': 'Self-registration can only create user accounts'
+      })
+  }),
+
+  invitation: Joi.object({
+    email: Joi.string().email().required(),
+    role: Joi.string().valid('admin', 'manager', 'user').default('user'),
+    project_id: Joi.string().pattern(uuidPattern).allow(null)
+      .messages({
+        'string.pattern.base': 'project_id must be a valid UUID'
+      })
+  }),
+
+  acceptInvitation: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    name: Joi.string().min(2).max(100).required(),
+    password: Joi.string().min(8).pattern(passwordPattern).required()
+      .messages({
+        'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character'
+      })
   }),
   
   login: Joi.object({
     email: Joi.string().email().required(),
     password: Joi.string().required()
   }),
+
+  loginTwoFactor: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().max(32)
+  }).xor('code', 'recoveryCode'),
+
+  totpCode: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+
+  disableTwoFactor: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().max(32)
+  }).xor('code', 'recoveryCode'),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  resendVerification: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    password: Joi.string().min(8).pattern(passwordPattern).required()
+      .messages({
+        'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character'
+      })
+  }),
   
   project: Joi.object({
     name: Joi.string().min(2).max(200).required(),
@@ -222,6 +295,58 @@ const schemas = {
     end_date: Joi.date().min(Joi.ref('start_date')).allow(null),
     budget: Joi.number().positive().allow(null)
   }),
+
+  projectMember: Joi.object({
+    user_id: Joi.string().pattern(uuidPattern).required()
+      .messages({
+        'string.pattern.base': 'user_id must be a valid UUID'
+      }),
+    role: Joi.string().valid(...PROJECT_ROLES).default('contributor')
+  }),
+
+  projectMemberRole: Joi.object({
+    role: Joi.string().valid(...PROJECT_ROLES).required()
+  }),
+
+  projectTeam: Joi.object({
+    team_id: Joi.string().pattern(uuidPattern).required()
+      .messages({
+        'string.pattern.base': 'team_id must be a valid UUID'
+      }),
+    // Ownership is only ever held by individual members
+    role: Joi.string().valid('maintainer', 'contributor', 'viewer').default('contributor')
+  }),
+
+  organization: Joi.object({
+    name: Joi.string().min(2).max(200).required(),
+    slug: Joi.string().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(100).required()
+      .messages({
+        'string.pattern.base': 'slug may only contain lowercase letters, numbers and hyphens'
+      }),
+    // The organization's first admin is invited by email
+    admin_email: Joi.string().email()
+  }),
+
+  organizationUpdate: Joi.object({
+    name: Joi.string().min(2).max(200).required()
+  }),
+
+  team: Joi.object({
+    name: Joi.string().min(2).max(100).required(),
+    description: Joi.string().max(500).allow('', null)
+  }),
+
+  teamMember: Joi.object({
+    user_id: Joi.string().pattern(uuidPattern).required()
+      .messages({
+        'string.pattern.base': 'user_id must be a valid UUID'
+      }),
+    role: Joi.string().valid('lead', 'member').default('member')
+  }),
+
+  teamMemberRole: Joi.object({
+    role: Joi.string().valid('lead', 'member').required()
+  }),
   
   task: Joi.object({
     title: Joi.string().min(2).max(200).required(),
@@ -230,20 +355,109 @@ const schemas = {
       .messages({
         'string.pattern.base': 'project_id must be a valid UUID'
       }),
+    parent_task_id: Joi.string().pattern(uuidPattern).allow(null)
+      .messages({
+        'string.pattern.base': 'parent_task_id must be a valid UUID'
+      }),
     assigned_to: Joi.string().pattern(uuidPattern).allow(null)
       .messages({
         'string.pattern.base': 'assigned_to must be a valid UUID'
       }),
+    assigned_team_id: Joi.string().pattern(uuidPattern).allow(null)
+      .messages({
+        'string.pattern.base': 'assigned_team_id must be a valid UUID'
+      }),
     category_id: Joi.string().pattern(uuidPattern).allow(null)
       .messages({
         'string.pattern.base': 'category_id must be a valid UUID'
       }),
-    status: Joi.string().valid('todo', 'in_progress', 'review', 'completed').default('todo'),
+    status: Joi.string().pattern(statusKeyPattern),
     priority: Joi.string().valid('low', 'medium', 'high', 'critical').default('medium'),
     due_date: Joi.date().allow(null),
     estimated_hours: Joi.number().positive().allow(null)
   }),
   
+  workflow: Joi.object({
+    states: Joi.array().items(Joi.object({
+      key: Joi.string().pattern(statusKeyPattern).required()
+        .messages({
+          'string.pattern.base': 'State keys must be lowercase letters, numbers and underscores'
+        }),
+      name: Joi.string().min(1).max(100).required(),
+      category: Joi.string().valid(...STATUS_CATEGORIES).required()
+    })).min(1).max(50).required(),
+    transitions: Joi.array().items(Joi.object({
+      from: Joi.alternatives().try(Joi.string().valid(ANY_STATUS), Joi.string().pattern(statusKeyPattern)).required(),
+      to: Joi.string().pattern(statusKeyPattern).required(),
+      roles: Joi.array().items(Joi.string().valid(...PROJECT_ROLES)).unique().allow(null)
+    })).required(),
+    // Statuses being removed, mapped to the state their tasks move to
+    status_mapping: Joi.object().pattern(Joi.string(), Joi.string().pattern(statusKeyPattern))
+  }),
+
+  taskDependency: Joi.object({
+    depends_on_task_id: Joi.string().pattern(uuidPattern).required()
+      .messages({
+        'string.pattern.base': 'depends_on_task_id must be a valid UUID'
+      })
+  }),
+
+  comment: Joi.object({
+    body: Joi.string().trim().min(1).max(5000).required(),
+    parent_comment_id: Joi.string().pattern(uuidPattern).allow(null)
+      .messages({
+        'string.pattern.base': 'parent_comment_id must be a valid UUID'
+      })
+  }),
+
+  commentUpdate: Joi.object({
+    body: Joi.string().trim().min(1).max(5000).required()
+  }),
+
+  fileRestore: Joi.object({
+    comment: Joi.string().trim().max(1000).allow('', null)
+  }),
+
+  // Either a duration (optionally with its start) or a start and an end
+  timeEntry: Joi.object({
+    task_id: Joi.string().pattern(uuidPattern).required()
+      .messages({
+        'string.pattern.base': 'task_id must be a valid UUID'
+      }),
+    started_at: Joi.date().iso(),
+    ended_at: Joi.date().iso(),
+    duration_minutes: Joi.number().integer().min(1).max(24 * 60),
+    notes: Joi.string().max(2000).allow('', null),
+    billable: Joi.boolean().default(false)
+  }).or('duration_minutes', 'ended_at').oxor('duration_minutes', 'ended_at').with('ended_at', 'started_at'),
+
+  timeEntryUpdate: Joi.object({
+    started_at: Joi.date().iso(),
+    ended_at: Joi.date().iso(),
+    duration_minutes: Joi.number().integer().min(1).max(24 * 60),
+    notes: Joi.string().max(2000).allow('', null),
+    billable: Joi.boolean().default(false)
+  }).or('duration_minutes', 'ended_at').oxor('duration_minutes', 'ended_at').with('ended_at', 'started_at'),
+
+  timerStart: Joi.object({
+    task_id: Joi.string().pattern(uuidPattern).required()
+      .messages({
+        'string.pattern.base': 'task_id must be a valid UUID'
+      }),
+    notes: Joi.string().max(2000).allow('', null),
+    billable: Joi.boolean().default(false)
+  }),
+
+  timerStop: Joi.object({
+    notes: Joi.string().max(2000).allow('', null)
+  }),
+
+  apiKey: Joi.object({
+    name: Joi.string().min(2).max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid(...SCOPES)).min(1).unique().required(),
+    expires_in_days: Joi.number().integer().min(1).max(365).allow(null)
+  }),
+
   category: Joi.object({
     name: Joi.string().min(2).max(100).required(),
     description: Joi.string().max(500).allow('', null),
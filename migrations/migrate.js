@@ -3,25 +3,49 @@ require('dotenv').config();
 
 const db = require('../config/database');
 const logger = require('../utils/logger');
+const { ensureDefaultOrganization, seedDefaultCategories } = require('../utils/organizations');
 
 async function createTables() {
   try {
+    // Create organizations table (tenants sharing this deployment)
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS organizations (
+        id VARCHAR(36) PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        slug VARCHAR(100) UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    const defaultOrganizationId = await ensureDefaultOrganization();
+
     // Create users table with avatar support
     await db.execute(`
       CREATE TABLE IF NOT EXISTS users (
         id VARCHAR(36) PRIMARY KEY,
+        organization_id VARCHAR(36) NOT NULL,
         name VARCHAR(100) NOT NULL,
         email VARCHAR(191) UNIQUE NOT NULL,
+        email_verified_at DATETIME NULL,
         password VARCHAR(255) NOT NULL,
-        role ENUM('admin', 'manager', 'user') DEFAULT 'user',
+        role ENUM('super_admin', 'admin', 'manager', 'user') DEFAULT 'user',
         is_active BOOLEAN DEFAULT true,
+        token_version INT NOT NULL DEFAULT 0,
+        totp_secret VARCHAR(64) NULL,
+        totp_enabled_at DATETIME NULL,
+        totp_last_step BIGINT NULL,
+        failed_login_attempts INT NOT NULL DEFAULT 0,
+        locked_until DATETIME NULL,
         avatar_url VARCHAR(500),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         last_login TIMESTAMP NULL,
+        INDEX idx_organization (organization_id),
         INDEX idx_email (email),
         INDEX idx_role (role),
-        INDEX idx_active (is_active)
+        INDEX idx_active (is_active),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE RESTRICT
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
     `);
 
@@ -29,12 +53,15 @@ async function createTables() {
     await db.execute(`
       CREATE TABLE IF NOT EXISTS categories (
         id VARCHAR(36) PRIMARY KEY,
-        name VARCHAR(100) UNIQUE NOT NULL,
+        organization_id VARCHAR(36) NOT NULL,
+        name VARCHAR(100) NOT NULL,
         description TEXT,
         color VARCHAR(7) DEFAULT '#3498db',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_name (name)
+        UNIQUE KEY uniq_organization_name (organization_id, name),
+        INDEX idx_name (name),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE RESTRICT
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
     `);
 
@@ -42,6 +69,7 @@ async function createTables() {
     await db.execute(`
       CREATE TABLE IF NOT EXISTS projects (
         id VARCHAR(36) PRIMARY KEY,
+        organization_id VARCHAR(36) NOT NULL,
         name VARCHAR(200) NOT NULL,
         description TEXT,
         status ENUM('planning', 'active', 'completed', 'cancelled') DEFAULT 'planning',
@@ -56,6 +84,8 @@ async function createTables() {
         INDEX idx_priority (priority),
         INDEX idx_created_by (created_by),
         INDEX idx_dates (start_date, end_date),
+        INDEX idx_organization (organization_id),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE RESTRICT,
         FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE RESTRICT
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
     `);
@@ -64,12 +94,15 @@ async function createTables() {
     await db.execute(`
       CREATE TABLE IF NOT EXISTS tasks (
         id VARCHAR(36) PRIMARY KEY,
+        organization_id VARCHAR(36) NOT NULL,
         title VARCHAR(200) NOT NULL,
         description TEXT,
         project_id VARCHAR(36) NOT NULL,
+        parent_task_id VARCHAR(36) NULL,
         assigned_to VARCHAR(36),
         category_id VARCHAR(36),
-        status ENUM('todo', 'in_progress', 'review', 'completed') DEFAULT 'todo',
+        status VARCHAR(50) NOT NULL DEFAULT 'todo',
+        status_category ENUM('open', 'active', 'done') NOT NULL DEFAULT 'open',
         priority ENUM('low', 'medium', 'high', 'critical') DEFAULT 'medium',
         due_date DATE,
         estimated_hours DECIMAL(8,2),
@@ -77,19 +110,111 @@ async function createTables() {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         INDEX idx_project (project_id),
+        INDEX idx_parent (parent_task_id),
         INDEX idx_assigned (assigned_to),
         INDEX idx_category (category_id),
         INDEX idx_status (status),
+        INDEX idx_status_category (status_category),
         INDEX idx_priority (priority),
         INDEX idx_created_by (created_by),
         INDEX idx_due_date (due_date),
+        INDEX idx_organization (organization_id),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE RESTRICT,
         FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (parent_task_id) REFERENCES tasks(id) ON DELETE CASCADE,
         FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
         FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL,
         FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE RESTRICT
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
     `);
 
+    // Create task dependencies table (task_id is blocked by depends_on_task_id)
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS task_dependencies (
+        task_id VARCHAR(36) NOT NULL,
+        depends_on_task_id VARCHAR(36) NOT NULL,
+        created_by VARCHAR(36),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (task_id, depends_on_task_id),
+        INDEX idx_depends_on (depends_on_task_id),
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (depends_on_task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create task comments table; deleted comments are kept as placeholders
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS task_comments (
+        id VARCHAR(36) PRIMARY KEY,
+        task_id VARCHAR(36) NOT NULL,
+        parent_comment_id VARCHAR(36) NULL,
+        user_id VARCHAR(36),
+        body TEXT NOT NULL,
+        edited_at DATETIME NULL,
+        deleted_at DATETIME NULL,
+        deleted_by VARCHAR(36) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_task (task_id, created_at),
+        INDEX idx_parent (parent_comment_id),
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (parent_comment_id) REFERENCES task_comments(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create comment revisions table (previous bodies of edited comments)
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS task_comment_revisions (
+        id VARCHAR(36) PRIMARY KEY,
+        comment_id VARCHAR(36) NOT NULL,
+        body TEXT NOT NULL,
+        edited_by VARCHAR(36),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_comment (comment_id, created_at),
+        FOREIGN KEY (comment_id) REFERENCES task_comments(id) ON DELETE CASCADE,
+        FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create comment mentions table
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS task_comment_mentions (
+        comment_id VARCHAR(36) NOT NULL,
+        user_id VARCHAR(36) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (comment_id, user_id),
+        INDEX idx_user (user_id),
+        FOREIGN KEY (comment_id) REFERENCES task_comments(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create time entries table; running timers have no ended_at or duration yet
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS time_entries (
+        id VARCHAR(36) PRIMARY KEY,
+        organization_id VARCHAR(36) NOT NULL,
+        task_id VARCHAR(36) NOT NULL,
+        user_id VARCHAR(36) NOT NULL,
+        started_at DATETIME NULL,
+        ended_at DATETIME NULL,
+        duration_minutes INT NULL,
+        notes TEXT,
+        billable BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_task (task_id),
+        INDEX idx_user (user_id, started_at),
+        INDEX idx_organization (organization_id),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE RESTRICT,
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
     // Create project files table
     await db.execute(`
       CREATE TABLE IF NOT EXISTS project_files (
@@ -101,8 +226,12 @@ async function createTables() {
         file_size INT NOT NULL,
         mimetype VARCHAR(100) NOT NULL,
         uploaded_by VARCHAR(36) NOT NULL,
+        current_version INT NOT NULL DEFAULT 1,
+        scan_status ENUM('pending', 'clean', 'infected', 'failed') NOT NULL DEFAULT 'pending',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         INDEX idx_project (project_id),
+        INDEX idx_original_name (project_id, original_name),
         FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
         FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE RESTRICT
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
@@ -119,17 +248,368 @@ async function createTables() {
         file_size INT NOT NULL,
         mimetype VARCHAR(100) NOT NULL,
         uploaded_by VARCHAR(36) NOT NULL,
+        current_version INT NOT NULL DEFAULT 1,
+        scan_status ENUM('pending', 'clean', 'infected', 'failed') NOT NULL DEFAULT 'pending',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         INDEX idx_task (task_id),
+        INDEX idx_original_name (task_id, original_name),
         FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
         FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE RESTRICT
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
     `);
 
+    // Create file version tables; a file row describes its current version
+    // and re-uploads under the same name add versions. A restored version
+    // shares its storage key with the version it restores (restored_from).
+    // Every stored key is scanned for malware; scan_status is per key and
+    // only 'clean' content can be downloaded.
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS project_file_versions (
+        file_id VARCHAR(36) NOT NULL,
+        version INT NOT NULL,
+        filename VARCHAR(255) NOT NULL,
+        file_path VARCHAR(500) NOT NULL,
+        file_size INT NOT NULL,
+        mimetype VARCHAR(100) NOT NULL,
+        uploaded_by VARCHAR(36) NOT NULL,
+        comment VARCHAR(1000) NULL,
+        restored_from INT NULL,
+        scan_status ENUM('pending', 'clean', 'infected', 'failed') NOT NULL DEFAULT 'pending',
+        scan_signature VARCHAR(255) NULL,
+        scanned_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (file_id, version),
+        INDEX idx_file_path (file_path(255)),
+        INDEX idx_scan_status (scan_status),
+        FOREIGN KEY (file_id) REFERENCES project_files(id) ON DELETE CASCADE,
+        FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE RESTRICT
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS task_file_versions (
+        file_id VARCHAR(36) NOT NULL,
+        version INT NOT NULL,
+        filename VARCHAR(255) NOT NULL,
+        file_path VARCHAR(500) NOT NULL,
+        file_size INT NOT NULL,
+        mimetype VARCHAR(100) NOT NULL,
+        uploaded_by VARCHAR(36) NOT NULL,
+        comment VARCHAR(1000) NULL,
+        restored_from INT NULL,
+        scan_status ENUM('pending', 'clean', 'infected', 'failed') NOT NULL DEFAULT 'pending',
+        scan_signature VARCHAR(255) NULL,
+        scanned_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (file_id, version),
+        INDEX idx_file_path (file_path(255)),
+        INDEX idx_scan_status (scan_status),
+        FOREIGN KEY (file_id) REFERENCES task_files(id) ON DELETE CASCADE,
+        FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE RESTRICT
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create refresh tokens table (one family per login session)
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        family_id VARCHAR(36) NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        replaced_by VARCHAR(36),
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user (user_id),
+        INDEX idx_family (family_id),
+        INDEX idx_expires (expires_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create user sessions table (each session owns one refresh token family)
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        ip_address VARCHAR(45),
+        user_agent VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME NULL,
+        revoked_at DATETIME NULL,
+        INDEX idx_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Sessions started before the sessions table existed
+    await db.execute(`
+      INSERT IGNORE INTO user_sessions (id, user_id, created_at, last_used_at, revoked_at)
+      SELECT family_id, user_id, MIN(created_at), MAX(created_at),
+             IF(SUM(revoked_at IS NULL) = 0, MAX(revoked_at), NULL)
+      FROM refresh_tokens
+      GROUP BY family_id, user_id
+    `);
+
+    // Create password reset tokens table
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_token_hash (token_hash),
+        INDEX idx_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create email verification tokens table
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        email VARCHAR(191) NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_token_hash (token_hash),
+        INDEX idx_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create 2FA recovery codes table
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user_code (user_id, code_hash),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create project members table
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS project_members (
+        project_id VARCHAR(36) NOT NULL,
+        user_id VARCHAR(36) NOT NULL,
+        role ENUM('owner', 'maintainer', 'contributor', 'viewer') NOT NULL DEFAULT 'contributor',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (project_id, user_id),
+        INDEX idx_user (user_id),
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create workflow states table (projects without states use the default workflow)
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS project_workflow_states (
+        project_id VARCHAR(36) NOT NULL,
+        status_key VARCHAR(50) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        category ENUM('open', 'active', 'done') NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (project_id, status_key),
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create workflow transitions table; from_status '*' means any state and
+    // allowed_roles (JSON array of project roles) NULL means any role
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS project_workflow_transitions (
+        project_id VARCHAR(36) NOT NULL,
+        from_status VARCHAR(50) NOT NULL,
+        to_status VARCHAR(50) NOT NULL,
+        allowed_roles TEXT NULL,
+        PRIMARY KEY (project_id, from_status, to_status),
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create task status history table; to_category is the state's category
+    // when the task entered it, so later workflow edits don't rewrite history
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS task_status_history (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        task_id VARCHAR(36) NOT NULL,
+        from_status VARCHAR(50) NULL,
+        to_status VARCHAR(50) NOT NULL,
+        to_category ENUM('open', 'active', 'done') NOT NULL,
+        changed_by VARCHAR(36) NULL,
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_task_changed (task_id, changed_at),
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create teams table
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS teams (
+        id VARCHAR(36) PRIMARY KEY,
+        organization_id VARCHAR(36) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        created_by VARCHAR(36),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_organization_name (organization_id, name),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE RESTRICT,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create team members table
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS team_members (
+        team_id VARCHAR(36) NOT NULL,
+        user_id VARCHAR(36) NOT NULL,
+        role ENUM('lead', 'member') NOT NULL DEFAULT 'member',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (team_id, user_id),
+        INDEX idx_user (user_id),
+        FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create project teams table (team-wide project access)
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS project_teams (
+        project_id VARCHAR(36) NOT NULL,
+        team_id VARCHAR(36) NOT NULL,
+        role ENUM('maintainer', 'contributor', 'viewer') NOT NULL DEFAULT 'contributor',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (project_id, team_id),
+        INDEX idx_team (team_id),
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create invitations table
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS invitations (
+        id VARCHAR(36) PRIMARY KEY,
+        organization_id VARCHAR(36) NOT NULL,
+        email VARCHAR(191) NOT NULL,
+        role ENUM('admin', 'manager', 'user') DEFAULT 'user',
+        project_id VARCHAR(36),
+        token_hash CHAR(64) NOT NULL,
+        invited_by VARCHAR(36) NOT NULL,
+        accepted_by VARCHAR(36),
+        expires_at DATETIME NOT NULL,
+        accepted_at DATETIME NULL,
+        revoked_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_token_hash (token_hash),
+        INDEX idx_email (email),
+        INDEX idx_invited_by (invited_by),
+        INDEX idx_organization (organization_id),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE RESTRICT,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (accepted_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create API keys (personal access tokens) table
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash CHAR(64) NOT NULL,
+        scopes TEXT NOT NULL,
+        expires_at DATETIME NULL,
+        last_used_at DATETIME NULL,
+        revoked_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_key_hash (key_hash),
+        INDEX idx_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create 2FA login challenges table
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS two_factor_challenges (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        failed_attempts INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create login attempts table (brute-force protection)
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        email VARCHAR(191) NOT NULL,
+        ip_address VARCHAR(45) NOT NULL,
+        succeeded BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_email_created (email, created_at),
+        INDEX idx_ip_created (ip_address, created_at),
+        INDEX idx_created (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create impersonations table (admins acting as another user)
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS impersonations (
+        id VARCHAR(36) PRIMARY KEY,
+        impersonator_id VARCHAR(36) NOT NULL,
+        user_id VARCHAR(36) NOT NULL,
+        ip_address VARCHAR(45),
+        user_agent VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        ended_at DATETIME NULL,
+        INDEX idx_impersonator (impersonator_id),
+        INDEX idx_user (user_id),
+        FOREIGN KEY (impersonator_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Create impersonation audit table
+    await db.execute(`
+      CREATE TABLE IF NOT EXISTS impersonation_actions (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        impersonation_id VARCHAR(36) NOT NULL,
+        method VARCHAR(10) NOT NULL,
+        path VARCHAR(500) NOT NULL,
+        status_code SMALLINT NOT NULL,
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_impersonation (impersonation_id),
+        FOREIGN KEY (impersonation_id) REFERENCES impersonations(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8 COLLATE=utf8_unicode_ci
+    `);
+
+    // Bring tables created by earlier versions up to date
+    await addMissingColumns(defaultOrganizationId);
+    await backfillProjectMembers();
+    await backfillStatusHistory();
+
     logger.info('Database tables created successfully');
 
     // Insert default categories
-    await insertDefaultData();
+    await insertDefaultData(defaultOrganizationId);
     
   } catch (error) {
     logger.error('Error creating tables:', error);
@@ -137,53 +617,260 @@ async function createTables() {
   }
 }
 
-async function insertDefaultData() {
+// CREATE TABLE IF NOT EXISTS leaves existing tables untouched, so columns
+// added after the first release are applied here
+async function addColumnIfMissing(table, column, definition) {
+  const [columns] = await db.execute(
+    'SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+
+  if (columns.length > 0) {
+    return false;
+  }
+
+  await db.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  logger.info(`Added column ${table}.${column}`);
+  return true;
+}
+
+// Drop an index by name if an earlier version created it
+async function dropIndexIfExists(table, index) {
+  const [indexes] = await db.execute(
+    'SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+    [table, index]
+  );
+
+  if (indexes.length > 0) {
+    await db.execute(`ALTER TABLE ${table} DROP INDEX ${index}`);
+  }
+}
+
+// Add an index by name unless an earlier run already did
+async function addIndexIfMissing(table, index, columns) {
+  const [indexes] = await db.execute(
+    'SELECT INDEX_NAME FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?',
+    [table, index]
+  );
+
+  if (indexes.length === 0) {
+    await db.execute(`ALTER TABLE ${table} ADD INDEX ${index} (${columns})`);
+  }
+}
+
+// Data from before organizations existed belongs to the default organization.
+// Tables without their own column (memberships, files, tokens, sessions,
+// audit rows) are scoped through the user, project, task or team they belong to.
+async function addOrganizationScope(table, defaultOrganizationId) {
+  if (!(await addColumnIfMissing(table, 'organization_id', 'VARCHAR(36) NULL AFTER id'))) {
+    return false;
+  }
+
+  await db.execute(`UPDATE ${table} SET organization_id = ?`, [defaultOrganizationId]);
+  await db.execute(`
+    ALTER TABLE ${table}
+    MODIFY organization_id VARCHAR(36) NOT NULL,
+    ADD INDEX idx_organization (organization_id),
+    ADD FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE RESTRICT
+  `);
+  return true;
+}
+
+async function addMissingColumns(defaultOrganizationId) {
+  await addColumnIfMissing('users', 'token_version', 'INT NOT NULL DEFAULT 0 AFTER is_active');
+
+  // Old login attempts are pruned by age
+  await addIndexIfMissing('login_attempts', 'idx_created', 'created_at');
+
+  await addColumnIfMissing('users', 'totp_secret', 'VARCHAR(64) NULL AFTER token_version');
+  await addColumnIfMissing('users', 'totp_enabled_at', 'DATETIME NULL AFTER totp_secret');
+  await addColumnIfMissing('users', 'totp_last_step', 'BIGINT NULL AFTER totp_enabled_at');
+
+  await addColumnIfMissing('users', 'failed_login_attempts', 'INT NOT NULL DEFAULT 0 AFTER totp_last_step');
+  await addColumnIfMissing('users', 'locked_until', 'DATETIME NULL AFTER failed_login_attempts');
+
+  await addColumnIfMissing('project_members', 'role', "ENUM('owner', 'maintainer', 'contributor', 'viewer') NOT NULL DEFAULT 'contributor' AFTER user_id");
+
+  // Deleting a task deletes its subtasks
+  if (await addColumnIfMissing('tasks', 'parent_task_id', 'VARCHAR(36) NULL AFTER project_id')) {
+    await db.execute(`
+      ALTER TABLE tasks
+      ADD INDEX idx_parent (parent_task_id),
+      ADD FOREIGN KEY (parent_task_id) REFERENCES tasks(id) ON DELETE CASCADE
+    `);
+  }
+
+  // Created after the teams table, so the foreign key is added here as well
+  if (await addColumnIfMissing('tasks', 'assigned_team_id', 'VARCHAR(36) NULL AFTER assigned_to')) {
+    await db.execute(`
+      ALTER TABLE tasks
+      ADD INDEX idx_assigned_team (assigned_team_id),
+      ADD FOREIGN KEY (assigned_team_id) REFERENCES teams(id) ON DELETE SET NULL
+    `);
+  }
+
+  // Task statuses come from each project's workflow instead of a fixed ENUM
+  const [statusColumn] = await db.execute(
+    "SELECT DATA_TYPE FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'tasks' AND COLUMN_NAME = 'status'"
+  );
+  if (statusColumn[0].DATA_TYPE === 'enum') {
+    await db.execute("UPDATE tasks SET status = 'todo' WHERE status IS NULL");
+    await db.execute("ALTER TABLE tasks MODIFY status VARCHAR(50) NOT NULL DEFAULT 'todo'");
+    logger.info('Task statuses are now defined by project workflows');
+  }
+
+  if (await addColumnIfMissing('tasks', 'status_category', "ENUM('open', 'active', 'done') NOT NULL DEFAULT 'open' AFTER status")) {
+    await db.execute(`
+      UPDATE tasks
+      SET status_category = CASE status WHEN 'completed' THEN 'done' WHEN 'todo' THEN 'open' ELSE 'active' END
+    `);
+    await db.execute('ALTER TABLE tasks ADD INDEX idx_status_category (status_category)');
+  }
+
+  for (const table of ['users', 'projects', 'tasks', 'invitations']) {
+    await addOrganizationScope(table, defaultOrganizationId);
+  }
+
+  // Category and team names used to be unique across the whole deployment
+  for (const table of ['categories', 'teams']) {
+    if (await addOrganizationScope(table, defaultOrganizationId)) {
+      await dropIndexIfExists(table, 'name');
+      await db.execute(`ALTER TABLE ${table} ADD UNIQUE KEY uniq_organization_name (organization_id, name)`);
+    }
+  }
+
+  const [roleColumn] = await db.execute(
+    "SELECT COLUMN_TYPE FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users' AND COLUMN_NAME = 'role'"
+  );
+  if (!roleColumn[0].COLUMN_TYPE.includes('super_admin')) {
+    await db.execute("ALTER TABLE users MODIFY role ENUM('super_admin', 'admin', 'manager', 'user') DEFAULT 'user'");
+    logger.info('Added super_admin role');
+  }
+
+  // Accounts that existed before verification was introduced count as verified
+  if (await addColumnIfMissing('users', 'email_verified_at', 'DATETIME NULL AFTER email')) {
+    await db.execute('UPDATE users SET email_verified_at = created_at');
+  }
+
+  // Files used to be recorded by their path under uploads/; they now store
+  // storage keys ("tasks/<file>"), which the local driver resolves under uploads/
+  for (const table of ['project_files', 'task_files']) {
+    await db.execute(`UPDATE ${table} SET file_path = SUBSTRING(file_path, 9) WHERE file_path LIKE 'uploads/%'`);
+  }
+
+  // Files uploaded before versioning are their own first version
+  const versionedTables = [
+    { table: 'project_files', versions: 'project_file_versions', owner: 'project_id' },
+    { table: 'task_files', versions: 'task_file_versions', owner: 'task_id' }
+  ];
+  for (const { table, versions, owner } of versionedTables) {
+    await addColumnIfMissing(table, 'current_version', 'INT NOT NULL DEFAULT 1 AFTER uploaded_by');
+    if (await addColumnIfMissing(table, 'updated_at', 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER created_at')) {
+      await db.execute(`UPDATE ${table} SET updated_at = created_at`);
+      await db.execute(`ALTER TABLE ${table} ADD INDEX idx_original_name (${owner}, original_name)`);
+    }
+
+    // Files uploaded before scanning existed are scanned when the server starts
+    await addColumnIfMissing(table, 'scan_status', "ENUM('pending', 'clean', 'infected', 'failed') NOT NULL DEFAULT 'pending' AFTER current_version");
+    await addColumnIfMissing(versions, 'scan_status', "ENUM('pending', 'clean', 'infected', 'failed') NOT NULL DEFAULT 'pending' AFTER restored_from");
+    await addColumnIfMissing(versions, 'scan_signature', 'VARCHAR(255) NULL AFTER scan_status');
+    if (await addColumnIfMissing(versions, 'scanned_at', 'TIMESTAMP NULL AFTER scan_signature')) {
+      await db.execute(`ALTER TABLE ${versions} ADD INDEX idx_file_path (file_path(255)), ADD INDEX idx_scan_status (scan_status)`);
+    }
+
+    await db.execute(`
+      INSERT INTO ${versions} (file_id, version, filename, file_path, file_size, mimetype, uploaded_by, created_at)
+      SELECT f.id, f.current_version, f.filename, f.file_path, f.file_size, f.mimetype, f.uploaded_by, f.created_at
+      FROM ${table} f
+      WHERE NOT EXISTS (SELECT 1 FROM ${versions} v WHERE v.file_id = f.id)
+    `);
+  }
+  await db.execute("UPDATE users SET avatar_url = SUBSTRING(avatar_url, 10) WHERE avatar_url LIKE '/uploads/%'");
+}
+
+// Access used to be derived from created_by and task assignments. The first
+// time memberships are set up, creators become owners and people with tasks
+// in a project become contributors.
+async function backfillProjectMembers() {
+  const [owners] = await db.execute("SELECT COUNT(*) as count FROM project_members WHERE role = 'owner'");
+
+  if (owners[0].count > 0) {
+    return;
+  }
+
+  await db.execute(`
+    INSERT INTO project_members (project_id, user_id, role)
+    SELECT id, created_by, 'owner' FROM projects
+    ON DUPLICATE KEY UPDATE role = 'owner'
+  `);
+
+  await db.execute(`
+    INSERT IGNORE INTO project_members (project_id, user_id, role)
+    SELECT DISTINCT project_id, assigned_to, 'contributor' FROM tasks WHERE assigned_to IS NOT NULL
+    UNION
+    SELECT DISTINCT project_id, created_by, 'contributor' FROM tasks
+  `);
+
+  logger.info('Backfilled project memberships');
+}
+
+// Tasks created before status history was recorded get one entry: their
+// current status, dated when the task was created
+async function backfillStatusHistory() {
+  const [result] = await db.execute(`
+    INSERT INTO task_status_history (task_id, from_status, to_status, to_category, changed_by, changed_at)
+    SELECT t.id, NULL, t.status, t.status_category, t.created_by, t.created_at
+    FROM tasks t
+    WHERE NOT EXISTS (SELECT 1 FROM task_status_history h WHERE h.task_id = t.id)
+  `);
+
+  if (result.affectedRows > 0) {
+    logger.info(`Backfilled status history for ${result.affectedRows} tasks`);
+  }
+}
+
+async function insertDefaultData(defaultOrganizationId) {
   try {
     // Check if categories exist
-    const [categories] = await db.execute('SELECT COUNT(*) as count FROM categories');
+    const [categories] = await db.execute(
+      'SELECT COUNT(*) as count FROM categories WHERE organization_id = ?',
+      [defaultOrganizationId]
+    );
     
     if (categories[0].count === 0) {
-      // Insert default categories
-      const defaultCategories = [
-        ['cat-1', 'Frontend', 'Frontend development tasks', '#e74c3c'],
-        ['cat-2', 'Backend', 'Backend development tasks', '#3498db'],
-        ['cat-3', 'Database', 'Database related tasks', '#f39c12'],
-        ['cat-4', 'Testing', 'Testing and QA tasks', '#27ae60'],
-        ['cat-5', 'Documentation', 'Documentation tasks', '#9b59b6'],
-        ['cat-6', 'Bug Fix', 'Bug fixing tasks', '#e67e22'],
-        ['cat-7', 'Feature', 'New feature development', '#1abc9c'],
-        ['cat-8', 'Maintenance', 'Maintenance and refactoring', '#34495e']
-      ];
-
-      for (const [id, name, description, color] of defaultCategories) {
-        await db.execute(
-          'INSERT IGNORE INTO categories (id, name, description, color) VALUES (?, ?, ?, ?)',
-          [id, name, description, color]
-        );
-      }
-
+      await seedDefaultCategories(defaultOrganizationId);
       logger.info('Default categories inserted');
     }
 
     // Check if admin user exists
-    const [users] = await db.execute('SELECT COUNT(*) as count FROM users WHERE role = "admin"');
+    const [users] = await db.execute("SELECT COUNT(*) as count FROM users WHERE role IN ('super_admin', 'admin')");
     
     if (users[0].count === 0) {
       const bcrypt = require('bcryptjs');
       const { v4: uuidv4 } = require('uuid');
       
-      // Create default admin user
+      // Create default super admin user
       const adminId = uuidv4();
       const hashedPassword = await bcrypt.hash('Admin@123', 12);
       
       await db.execute(
-        'INSERT INTO users (id, name, email, password, role) VALUES (?, ?, ?, ?, ?)',
-        [adminId, 'System Admin', 'admin@system.local', hashedPassword, 'admin']
+        'INSERT INTO users (id, organization_id, name, email, email_verified_at, password, role) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, ?, ?)',
+        [adminId, defaultOrganizationId, 'System Admin', 'admin@system.local', hashedPassword, 'super_admin']
       );
 
       logger.info('Default admin user created (email: admin@system.local, password: Admin@123)');
     }
 
+    // Existing deployments: the seeded admin account runs the platform
+    const [superAdmins] = await db.execute("SELECT COUNT(*) as count FROM users WHERE role = 'super_admin'");
+
+    if (superAdmins[0].count === 0) {
+      const [result] = await db.execute("UPDATE users SET role = 'super_admin' WHERE email = 'admin@system.local' AND role = 'admin'");
+      if (result.affectedRows > 0) {
+        logger.info('Default admin user promoted to super_admin');
+      }
+    }
+
   } catch (error) {
     logger.error('Error inserting default data:', error);
   }
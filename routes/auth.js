@@ -1,18 +1,78 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const { validateRequest, schemas } = require('../middleware/validation');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorize, requireUserSession } = require('../middleware/auth');
+const {
+  hashToken,
+  generateToken,
+  sessionContext,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  listActiveSessions,
+  bumpTokenVersion
+} = require('../utils/tokens');
+const { sendMail, appUrl } = require('../utils/mailer');
+const { isVerificationRequired, sendVerificationEmail } = require('../utils/emailVerification');
+const totp = require('../utils/totp');
+const {
+  issuer,
+  generateRecoveryCodes,
+  verifyTotp,
+  verifySecondFactor,
+  signChallengeToken,
+  verifyChallengeToken,
+  failChallenge,
+  useChallenge
+} = require('../utils/twoFactor');
+const { getRetryAfter, recordFailure, recordSuccess, getLockRemaining } = require('../utils/loginThrottle');
+const { checkImpersonationTarget, startImpersonation, endImpersonation } = require('../utils/impersonation');
+const { getDefaultOrganizationId } = require('../utils/organizations');
+const { tenantFilter } = require('../utils/policy');
+const { avatarUrl } = require('../utils/avatars');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Issue a session for an authenticated user and send the login response
+const completeLogin = async (req, res, user) => {
+  const { accessToken, refreshToken } = await issueTokenPair(user, sessionContext(req));
+
+  await recordSuccess(user.email, req.ip, user.id);
+
+  // Update last login
+  await db.execute(
+    'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
+    [user.id]
+  );
+
+  logger.info(`User logged in: ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        organization_id: user.organization_id
+      },
+      accessToken,
+      refreshToken
+    }
+  });
+};
+
 // Register
 router.post('/register', validateRequest(schemas.register), async (req, res, next) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
+    const role = 'user';
 
     // Check if user exists
     const [existingUsers] = await db.execute('SELECT id FROM users WHERE email = ?', [email]);
@@ -26,37 +86,74 @@ router.post('/register', validateRequest(schemas.register), async (req, res, nex
     // Hash password
     const hashedPassword = await bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS) || 12);
 
+    // Self-registered accounts join the default organization; others are invited
+    const organizationId = await getDefaultOrganizationId();
+
     // Create user
     const userId = uuidv4();
     await db.execute(
-      'INSERT INTO users (id, name, email, password, role) VALUES (?, ?, ?, ?, ?)',
-      [userId, name, email, hashedPassword, role]
+      'INSERT INTO users (id, organization_id, name, email, password, role) VALUES (?, ?, ?, ?, ?, ?)',
+      [userId, organizationId, name, email, hashedPassword, role]
     );
 
+    await sendVerificationEmail({ id: userId, name }, email);
+
     logger.info(`New user registered: ${email}`);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      data: { id: userId, name, email, role }
+      data: { id: userId, name, email, role, organization_id: organizationId }
     });
   } catch (error) {
     next(error);
   }
 });
 
+const logLockedAttempt = (req, user) => {
+  logger.warn('Login attempt on locked account', {
+    event: 'locked_login_attempt',
+    userId: user.id,
+    email: user.email,
+    ip: req.ip
+  });
+};
+
+// Respond to a login attempt on a temporarily locked account
+const rejectLocked = (req, res, user, remaining) => {
+  logLockedAttempt(req, user);
+
+  res.set('Retry-After', String(remaining));
+  return res.status(423).json({
+    success: false,
+    message: `Account is temporarily locked. Try again in ${Math.ceil(remaining / 60)} minute(s).`
+  });
+};
+
 // Login
 router.post('/login', validateRequest(schemas.login), async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
+    // Slow down repeated failures for this email or from this IP
+    const retryAfter = await getRetryAfter(email, req.ip);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Try again in ${retryAfter} second(s).`
+      });
+    }
+
     // Find user
     const [users] = await db.execute(
-      'SELECT id, name, email, password, role, is_active FROM users WHERE email = ?',
+      `SELECT id, organization_id, name, email, password, role, is_active, email_verified_at, token_version, totp_enabled_at
+       FROM users WHERE email = ?`,
       [email]
     );
 
     if (users.length === 0) {
+      await recordFailure(email, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -65,6 +162,17 @@ router.post('/login', validateRequest(schemas.login), async (req, res, next) =>
 
     const user = users[0];
 
+    // A locked account answers like an unknown email, so the lockout does not
+    // give away that the account exists
+    if (await getLockRemaining(user.id) > 0) {
+      logLockedAttempt(req, user);
+      await recordFailure(email, req.ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
     if (!user.is_active) {
       return res.status(401).json({
         success: false,
@@ -75,47 +183,105 @@ router.post('/login', validateRequest(schemas.login), async (req, res, next) =>
     // Check password
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      await recordFailure(email, req.ip, user);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate tokens
-    const accessToken = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    if (!user.email_verified_at && isVerificationRequired()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Email address not verified'
+      });
+    }
 
-    const refreshToken = jwt.sign(
-      { userId: user.id },
-      process.env.REFRESH_TOKEN_SECRET,
-      { expiresIn: '7d' }
-    );
+    // With 2FA enabled the password only earns a challenge token
+    if (user.totp_enabled_at) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: await signChallengeToken(user)
+        }
+      });
+    }
 
-    // Update last login
-    await db.execute(
-      'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
-      [user.id]
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Login step two - exchange challenge token and 2FA code for tokens
+router.post('/login/2fa', validateRequest(schemas.loginTwoFactor), async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = await verifyChallengeToken(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    const [users] = await db.execute(
+      `SELECT id, organization_id, name, email, role, token_version, totp_secret, totp_enabled_at
+       FROM users WHERE id = ? AND is_active = 1`,
+      [challenge.userId]
     );
 
-    logger.info(`User logged in: ${email}`);
+    if (users.length === 0 || !users[0].totp_enabled_at) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    const user = users[0];
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        },
-        accessToken,
-        refreshToken
-      }
-    });
+    // Codes are throttled like passwords
+    const retryAfter = await getRetryAfter(user.email, req.ip);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Try again in ${retryAfter} second(s).`
+      });
+    }
+
+    const lockRemaining = await getLockRemaining(user.id);
+    if (lockRemaining > 0) {
+      return rejectLocked(req, res, user, lockRemaining);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords, and
+    // against the challenge itself
+    if (!await verifySecondFactor(user, { code, recoveryCode })) {
+      await recordFailure(user.email, req.ip, user);
+      await failChallenge(challenge.challengeId);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    // A challenge logs in once
+    if (!await useChallenge(challenge.challengeId)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    if (recoveryCode) {
+      logger.warn(`Recovery code used to log in: ${user.email}`);
+    }
+
+    await completeLogin(req, res, user);
   } catch (error) {
     next(error);
   }
@@ -133,30 +299,198 @@ router.post('/refresh', async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-    
-    const [users] = await db.execute(
-      'SELECT id, email, role FROM users WHERE id = ? AND is_active = 1',
-      [decoded.userId]
-    );
+    const tokens = await rotateRefreshToken(refreshToken, sessionContext(req));
 
-    if (users.length === 0) {
+    if (!tokens) {
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token'
       });
     }
 
-    const user = users[0];
-    const newAccessToken = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
+    res.json({
+      success: true,
+      data: {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verify email address with the token from the verification email
+router.get('/verify-email', async (req, res, next) => {
+  try {
+    const { token } = req.query;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token required'
+      });
+    }
+
+    // The token only counts for the address it was sent to
+    const [verifications] = await db.execute(`
+      SELECT v.id, v.user_id, v.email
+      FROM email_verification_tokens v
+      JOIN users u ON v.user_id = u.id AND u.email = v.email
+      WHERE v.token_hash = ? AND v.used_at IS NULL AND v.expires_at > CURRENT_TIMESTAMP
+    `, [hashToken(token)]);
+
+    if (verifications.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    const verification = verifications[0];
+
+    await db.execute(
+      'UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [verification.id]
+    );
+
+    await db.execute(
+      'UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [verification.user_id]
+    );
+
+    logger.info(`Email verified: ${verification.email}`);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a new verification email
+router.post('/resend-verification', validateRequest(schemas.resendVerification), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const [users] = await db.execute(
+      'SELECT id, name, email FROM users WHERE email = ? AND is_active = 1 AND email_verified_at IS NULL',
+      [email]
+    );
+
+    if (users.length > 0) {
+      await sendVerificationEmail(users[0], users[0].email);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the email is registered and unverified, a verification link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Request a password reset link
+router.post('/forgot-password', validateRequest(schemas.forgotPassword), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const [users] = await db.execute(
+      'SELECT id, name, email FROM users WHERE email = ? AND is_active = 1',
+      [email]
     );
 
+    // Same response whether or not the account exists, to avoid leaking emails
+    if (users.length > 0) {
+      const user = users[0];
+      const token = generateToken();
+      const expiresMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+
+      // Only the most recent link stays usable
+      await db.execute(
+        'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+        [user.id]
+      );
+
+      await db.execute(
+        `INSERT INTO password_reset_tokens (id, user_id, token_hash, expires_at)
+         VALUES (?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE))`,
+        [uuidv4(), user.id, hashToken(token), expiresMinutes]
+      );
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\n` +
+          `Use the link below to choose a new password. It expires in ${expiresMinutes} minutes.\n\n` +
+          `${appUrl('/reset-password', { token })}\n\n` +
+          'If you did not request a password reset, you can ignore this email.'
+      });
+
+      logger.info(`Password reset requested for: ${email}`);
+    }
+
     res.json({
       success: true,
-      data: { accessToken: newAccessToken }
+      message: 'If the email is registered, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reset password with a token from the reset email
+router.post('/reset-password', validateRequest(schemas.resetPassword), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const [resets] = await db.execute(`
+      SELECT r.id, r.user_id, u.email
+      FROM password_reset_tokens r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.token_hash = ? AND r.used_at IS NULL AND r.expires_at > CURRENT_TIMESTAMP AND u.is_active = 1
+    `, [hashToken(token)]);
+
+    if (resets.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    const reset = resets[0];
+
+    // Mark the token used first so it cannot be redeemed twice
+    const [claim] = await db.execute(
+      'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+      [reset.id]
+    );
+
+    if (claim.affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+
+    await db.execute(
+      'UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [hashedPassword, reset.user_id]
+    );
+
+    await bumpTokenVersion(reset.user_id);
+    await revokeAllForUser(reset.user_id);
+
+    logger.info(`Password reset completed for: ${reset.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully'
     });
   } catch (error) {
     next(error);
@@ -167,24 +501,318 @@ router.post('/refresh', async (req, res, next) => {
 router.get('/profile', authenticateToken, async (req, res, next) => {
   try {
     const [users] = await db.execute(
-      'SELECT id, name, email, role, created_at, last_login FROM users WHERE id = ?',
+      `SELECT u.id, u.name, u.email, u.email_verified_at, u.role, u.organization_id,
+              o.name as organization_name, u.avatar_url, u.created_at, u.last_login,
+              u.totp_enabled_at IS NOT NULL as two_factor_enabled
+       FROM users u
+       JOIN organizations o ON u.organization_id = o.id
+       WHERE u.id = ?`,
       [req.user.id]
     );
 
+    const profile = { ...users[0], avatar_url: await avatarUrl(users[0]) };
+
+    // Make it obvious that someone else is acting as this user
+    if (req.auth.impersonation) {
+      profile.impersonation = {
+        impersonator: req.auth.impersonation.impersonator,
+        expires_at: req.auth.impersonation.expires_at
+      };
+    }
+
     res.json({
       success: true,
-      data: users[0]
+      data: profile
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Logout (optional - for token blacklisting if implemented)
-router.post('/logout', authenticateToken, async (req, res, next) => {
+// Start 2FA enrollment - returns a new secret and otpauth URI
+router.post('/2fa/setup', authenticateToken, requireUserSession, async (req, res, next) => {
   try {
-    // In a production app, you might want to blacklist the token
-    // For now, we'll just return success
+    const [users] = await db.execute('SELECT email, totp_enabled_at FROM users WHERE id = ?', [req.user.id]);
+
+    if (users[0].totp_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // The secret stays pending until confirmed with a valid code
+    const secret = totp.generateSecret();
+    await db.execute(
+      'UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?',
+      [secret, req.user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: totp.keyUri({ secret, account: users[0].email, issuer: issuer() })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Confirm 2FA enrollment and receive recovery codes
+router.post('/2fa/confirm', authenticateToken, requireUserSession, validateRequest(schemas.totpCode), async (req, res, next) => {
+  try {
+    const [users] = await db.execute(
+      'SELECT id, email, totp_secret, totp_enabled_at FROM users WHERE id = ?',
+      [req.user.id]
+    );
+    const user = users[0];
+
+    if (user.totp_enabled_at || !user.totp_secret) {
+      return res.status(400).json({
+        success: false,
+        message: user.totp_enabled_at
+          ? 'Two-factor authentication is already enabled'
+          : 'Start two-factor setup first'
+      });
+    }
+
+    if (!await verifyTotp(user, req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await db.execute('UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    logger.info(`Two-factor authentication enabled: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Regenerate recovery codes (invalidates the previous set)
+router.post('/2fa/recovery-codes', authenticateToken, requireUserSession, validateRequest(schemas.totpCode), async (req, res, next) => {
+  try {
+    const [users] = await db.execute(
+      'SELECT id, totp_secret, totp_enabled_at FROM users WHERE id = ?',
+      [req.user.id]
+    );
+    const user = users[0];
+
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!await verifyTotp(user, req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Disable 2FA - requires the password and a code or recovery code
+router.post('/2fa/disable', authenticateToken, requireUserSession, validateRequest(schemas.disableTwoFactor), async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const [users] = await db.execute(
+      'SELECT id, email, password, totp_secret, totp_enabled_at FROM users WHERE id = ?',
+      [req.user.id]
+    );
+    const user = users[0];
+
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword || !await verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+
+    await db.execute(
+      'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?',
+      [user.id]
+    );
+    await db.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [user.id]);
+
+    logger.info(`Two-factor authentication disabled: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List active sessions of the current user
+router.get('/sessions', authenticateToken, requireUserSession, async (req, res, next) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        current: session.id === req.auth.sessionId
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Sign out a single session of the current user
+router.delete('/sessions/:id', authenticateToken, requireUserSession, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [sessions] = await db.execute(
+      'SELECT id FROM user_sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [id, req.user.id]
+    );
+
+    if (sessions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeFamily(id);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Act as another user (admin only)
+router.post('/impersonate/:userId', authenticateToken, requireUserSession, authorize('user:impersonate'), async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself'
+      });
+    }
+
+    const organization = tenantFilter(req.user, 'organization_id');
+    const [users] = await db.execute(
+      `SELECT id, organization_id, name, email, role, token_version FROM users WHERE id = ? AND is_active = 1${organization.clause}`,
+      [userId, ...organization.params]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found or inactive'
+      });
+    }
+
+    const target = users[0];
+
+    const targetError = checkImpersonationTarget(target);
+    if (targetError) {
+      return res.status(403).json({
+        success: false,
+        message: targetError
+      });
+    }
+
+    const { impersonationId, accessToken, expiresIn } = await startImpersonation(req.user, target, sessionContext(req));
+
+    logger.info(`${req.user.email} started impersonating ${target.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Impersonation started',
+      data: {
+        impersonationId,
+        user: {
+          id: target.id,
+          name: target.name,
+          email: target.email,
+          role: target.role
+        },
+        accessToken,
+        expiresIn
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// End the current impersonation
+router.delete('/impersonate', authenticateToken, async (req, res, next) => {
+  try {
+    if (!req.auth.impersonation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Not impersonating'
+      });
+    }
+
+    await endImpersonation(req.auth.impersonation.id);
+
+    logger.info(`${req.auth.impersonation.impersonator.email} stopped impersonating ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Logout - revokes the current session's refresh tokens
+router.post('/logout', authenticateToken, requireUserSession, async (req, res, next) => {
+  try {
+    if (req.auth.sessionId) {
+      await revokeFamily(req.auth.sessionId);
+    }
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -194,4 +822,20 @@ router.post('/logout', authenticateToken, async (req, res, next) => {
   }
 });
 
+// Logout from every session
+router.post('/logout-all', authenticateToken, requireUserSession, async (req, res, next) => {
+  try {
+    await revokeAllForUser(req.user.id);
+
+    logger.info(`All sessions revoked for user: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all sessions'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
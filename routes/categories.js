@@ -1,23 +1,26 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorize, requireScope, requireSameOrganization } = require('../middleware/auth');
 const { validateRequest, schemas } = require('../middleware/validation');
+const { tenantFilter, visibilityFilter } = require('../utils/policy');
 
 const router = express.Router();
 
-// Get all categories
-router.get('/', authenticateToken, async (req, res, next) => {
+// Get all categories of the user's organization
+router.get('/', authenticateToken, requireScope('categories:read'), async (req, res, next) => {
   try {
+    const organization = tenantFilter(req.user, 'c.organization_id');
     const [categories] = await db.execute(`
       SELECT c.*, 
              COUNT(t.id) as task_count,
-             COUNT(CASE WHEN t.status = 'completed' THEN 1 END) as completed_tasks
+             COUNT(CASE WHEN t.status_category = 'done' THEN 1 END) as completed_tasks
       FROM categories c
       LEFT JOIN tasks t ON c.id = t.category_id
+      WHERE 1=1${organization.clause}
       GROUP BY c.id, c.name, c.description, c.color, c.created_at, c.updated_at
       ORDER BY c.name ASC
-    `);
+    `, organization.params);
 
     res.json({
       success: true,
@@ -29,14 +32,14 @@ router.get('/', authenticateToken, async (req, res, next) => {
 });
 
 // Get category by ID
-router.get('/:id', authenticateToken, async (req, res, next) => {
+router.get('/:id', authenticateToken, requireScope('categories:read'), requireSameOrganization('categories'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     const [categories] = await db.execute(`
       SELECT c.*, 
              COUNT(t.id) as task_count,
-             COUNT(CASE WHEN t.status = 'completed' THEN 1 END) as completed_tasks
+             COUNT(CASE WHEN t.status_category = 'done' THEN 1 END) as completed_tasks
       FROM categories c
       LEFT JOIN tasks t ON c.id = t.category_id
       WHERE c.id = ?
@@ -50,15 +53,16 @@ router.get('/:id', authenticateToken, async (req, res, next) => {
       });
     }
 
-    // Get tasks in this category
+    // Get tasks in this category from projects the user is a member of
+    const visibility = visibilityFilter(req.user, 'task', 't.project_id');
     const [tasks] = await db.execute(`
       SELECT t.*, p.name as project_name, u.name as assigned_to_name
       FROM tasks t
       LEFT JOIN projects p ON t.project_id = p.id
       LEFT JOIN users u ON t.assigned_to = u.id
-      WHERE t.category_id = ?
+      WHERE t.category_id = ?${visibility.clause}
       ORDER BY t.created_at DESC
-    `, [id]);
+    `, [id, ...visibility.params]);
 
     const category = categories[0];
     category.tasks = tasks;
@@ -73,15 +77,15 @@ router.get('/:id', authenticateToken, async (req, res, next) => {
 });
 
 // Create category
-router.post('/', authenticateToken, authorizeRoles('admin', 'manager'), validateRequest(schemas.category), async (req, res, next) => {
+router.post('/', authenticateToken, requireScope('categories:write'), authorize('category:create'), validateRequest(schemas.category), async (req, res, next) => {
   try {
     const { name, description, color } = req.body;
     const categoryId = uuidv4();
 
     await db.execute(`
-      INSERT INTO categories (id, name, description, color)
-      VALUES (?, ?, ?, ?)
-    `, [categoryId, name, description, color]);
+      INSERT INTO categories (id, organization_id, name, description, color)
+      VALUES (?, ?, ?, ?, ?)
+    `, [categoryId, req.user.organization_id, name, description, color]);
 
     const [category] = await db.execute(
       'SELECT * FROM categories WHERE id = ?',
@@ -99,7 +103,7 @@ router.post('/', authenticateToken, authorizeRoles('admin', 'manager'), validate
 });
 
 // Update category
-router.put('/:id', authenticateToken, authorizeRoles('admin', 'manager'), validateRequest(schemas.category), async (req, res, next) => {
+router.put('/:id', authenticateToken, requireScope('categories:write'), requireSameOrganization('categories'), authorize('category:update'), validateRequest(schemas.category), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { name, description, color } = req.body;
@@ -135,7 +139,7 @@ router.put('/:id', authenticateToken, authorizeRoles('admin', 'manager'), valida
 });
 
 // Delete category
-router.delete('/:id', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res, next) => {
+router.delete('/:id', authenticateToken, requireScope('categories:write'), requireSameOrganization('categories'), authorize('category:delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
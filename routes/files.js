@@ -0,0 +1,44 @@
+const express = require('express');
+const path = require('path');
+const { getStorage, verifySignedUrl, dispositionFor } = require('../utils/storage');
+
+const router = express.Router();
+
+// Download through a signed URL from the local storage driver. The signature
+// is the authorization: the API checked access when it issued the URL.
+router.get('/download', async (req, res, next) => {
+  try {
+    const grant = verifySignedUrl(req.query);
+
+    if (!grant) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired download link'
+      });
+    }
+
+    const stream = await getStorage().get(grant.key);
+
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (grant.contentType) {
+      res.set('Content-Type', grant.contentType);
+    } else {
+      res.type(path.extname(grant.key));
+    }
+    res.set('Content-Disposition', dispositionFor(grant));
+    res.set('Cache-Control', 'private, no-store');
+
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
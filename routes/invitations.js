@@ -0,0 +1,209 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { authenticateToken, authorize, requireScope } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { hashToken } = require('../utils/tokens');
+const { sendInvitation } = require('../utils/invitations');
+const { can, tenantFilter, visibilityFilter } = require('../utils/policy');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Create invitation (admin/manager only)
+router.post('/', authenticateToken, requireScope('users:write'), authorize('invitation:create'), validateRequest(schemas.invitation), async (req, res, next) => {
+  try {
+    const { email, project_id } = req.body;
+    const role = req.body.role || 'user';
+
+    if (!(await can(req.user, 'invitation:create', { role }))) {
+      return res.status(403).json({
+        success: false,
+        message: `Managers cannot invite ${role} accounts`
+      });
+    }
+
+    const [existingUsers] = await db.execute('SELECT id FROM users WHERE email = ?', [email]);
+    if (existingUsers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email already registered'
+      });
+    }
+
+    let project = null;
+    if (project_id) {
+      // Only project maintainers and owners can invite people into a project
+      const [projects] = await db.execute('SELECT id, name FROM projects WHERE id = ?', [project_id]);
+
+      if (projects.length === 0 || !(await can(req.user, 'project:manage_members', { id: project_id }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Project not found or access denied'
+        });
+      }
+
+      project = projects[0];
+    }
+
+    const [organizations] = await db.execute(
+      'SELECT id, name FROM organizations WHERE id = ?',
+      [req.user.organization_id]
+    );
+
+    const invitation = await sendInvitation({
+      email,
+      role,
+      organization: organizations[0],
+      project,
+      inviter: req.user
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List pending invitations (managers see their own)
+router.get('/', authenticateToken, requireScope('users:read'), authorize('invitation:list'), async (req, res, next) => {
+  try {
+    let query = `
+      SELECT i.id, i.email, i.role, i.project_id, p.name as project_name,
+             i.invited_by, u.name as invited_by_name, i.expires_at, i.created_at
+      FROM invitations i
+      LEFT JOIN projects p ON i.project_id = p.id
+      LEFT JOIN users u ON i.invited_by = u.id
+      WHERE i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP
+    `;
+    const organization = tenantFilter(req.user, 'i.organization_id');
+    const visibility = visibilityFilter(req.user, 'invitation', 'i.invited_by');
+    query += organization.clause + visibility.clause;
+    const params = [...organization.params, ...visibility.params];
+
+    query += ' ORDER BY i.created_at DESC';
+
+    const [invitations] = await db.execute(query, params);
+
+    res.json({
+      success: true,
+      data: invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Accept invitation and create the account
+router.post('/accept', validateRequest(schemas.acceptInvitation), async (req, res, next) => {
+  try {
+    const { token, name, password } = req.body;
+
+    const [invitations] = await db.execute(`
+      SELECT id, organization_id, email, role, project_id
+      FROM invitations
+      WHERE token_hash = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `, [hashToken(token)]);
+
+    if (invitations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    const invitation = invitations[0];
+
+    const [existingUsers] = await db.execute('SELECT id FROM users WHERE email = ?', [invitation.email]);
+    if (existingUsers.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email already registered'
+      });
+    }
+
+    // Claim the invitation so it cannot be used twice
+    const [claim] = await db.execute(
+      'UPDATE invitations SET accepted_at = CURRENT_TIMESTAMP WHERE id = ? AND accepted_at IS NULL',
+      [invitation.id]
+    );
+
+    if (claim.affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+    const userId = uuidv4();
+
+    // The invitation link proves ownership of the address and decides the organization
+    await db.execute(
+      'INSERT INTO users (id, organization_id, name, email, email_verified_at, password, role) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, ?, ?)',
+      [userId, invitation.organization_id, name, invitation.email, hashedPassword, invitation.role]
+    );
+
+    if (invitation.project_id) {
+      await db.execute(
+        'INSERT IGNORE INTO project_members (project_id, user_id, role) VALUES (?, ?, ?)',
+        [invitation.project_id, userId, 'contributor']
+      );
+    }
+
+    await db.execute('UPDATE invitations SET accepted_by = ? WHERE id = ?', [userId, invitation.id]);
+
+    logger.info(`Invitation accepted: ${invitation.email} joined as ${invitation.role}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      data: {
+        id: userId,
+        name,
+        email: invitation.email,
+        role: invitation.role,
+        organization_id: invitation.organization_id,
+        project_id: invitation.project_id
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke invitation (admin or the inviting manager)
+router.delete('/:id', authenticateToken, requireScope('users:write'), authorize('invitation:revoke'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    let query = 'UPDATE invitations SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL';
+    const organization = tenantFilter(req.user, 'organization_id');
+    const visibility = visibilityFilter(req.user, 'invitation', 'invited_by');
+    query += organization.clause + visibility.clause;
+    const params = [id, ...organization.params, ...visibility.params];
+
+    const [result] = await db.execute(query, params);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
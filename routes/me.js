@@ -0,0 +1,98 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { can, permissionsFor, scopeFor, tenantFilter } = require('../utils/policy');
+
+const router = express.Router();
+
+// Load the resource named by "?resource=<type>:<id>" in the shape the policies expect.
+// Resources of other organizations are not found.
+const loadResource = async (user, type, id) => {
+  const organization = tenantFilter(user, 'organization_id');
+
+  switch (type) {
+    case 'project': {
+      return (await can(user, 'project:read', { id })) ? { id } : null;
+    }
+    case 'task': {
+      const [tasks] = await db.execute(
+        `SELECT id, project_id, created_by, assigned_to, assigned_team_id FROM tasks WHERE id = ?${organization.clause}`,
+        [id, ...organization.params]
+      );
+      if (tasks.length === 0 || !(await can(user, 'task:read', tasks[0]))) {
+        return null;
+      }
+      return tasks[0];
+    }
+    case 'team': {
+      const [teams] = await db.execute(`SELECT id FROM teams WHERE id = ?${organization.clause}`, [id, ...organization.params]);
+      return teams.length > 0 ? teams[0] : null;
+    }
+    case 'user': {
+      const [users] = await db.execute(`SELECT id, role, organization_id FROM users WHERE id = ?${organization.clause}`, [id, ...organization.params]);
+      return users.length > 0 ? users[0] : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Get what the current user may do, globally or on one resource
+router.get('/permissions', authenticateToken, async (req, res, next) => {
+  try {
+    const { resource } = req.query;
+    let type = 'global';
+    let target = {};
+
+    // A repeated or nested query parameter arrives as an array or object
+    if (resource !== undefined && typeof resource !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'resource must be a single value'
+      });
+    }
+
+    if (resource) {
+      const [resourceType, id] = resource.split(':');
+
+      if (!['project', 'task', 'team', 'user'].includes(resourceType) || !id) {
+        return res.status(400).json({
+          success: false,
+          message: 'resource must look like project:<id>, task:<id>, team:<id> or user:<id>'
+        });
+      }
+
+      target = await loadResource(req.user, resourceType, id);
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: 'Resource not found or access denied'
+        });
+      }
+
+      type = resourceType;
+    }
+
+    const permissions = await permissionsFor(req.user, type, target);
+
+    // API keys are further limited to their scopes
+    if (req.auth.type === 'api_key') {
+      for (const action of Object.keys(permissions)) {
+        permissions[action] = permissions[action] && req.auth.scopes.includes(scopeFor(action));
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        resource: resource || null,
+        permissions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticateToken, authorize, requireScope } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { createOrganization } = require('../utils/organizations');
+const { sendInvitation } = require('../utils/invitations');
+const { can } = require('../utils/policy');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Get the current user's organization
+router.get('/current', authenticateToken, requireScope('users:read'), async (req, res, next) => {
+  try {
+    const [organizations] = await db.execute(`
+      SELECT o.*,
+      (SELECT COUNT(*) FROM users WHERE organization_id = o.id) as user_count,
+      (SELECT COUNT(*) FROM projects WHERE organization_id = o.id) as project_count
+      FROM organizations o
+      WHERE o.id = ?
+    `, [req.user.organization_id]);
+
+    res.json({
+      success: true,
+      data: organizations[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rename the current organization (org admin only)
+router.put('/current', authenticateToken, requireScope('users:write'), validateRequest(schemas.organizationUpdate), async (req, res, next) => {
+  try {
+    const id = req.user.organization_id;
+
+    if (!(await can(req.user, 'organization:update', { id }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    await db.execute(
+      'UPDATE organizations SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [req.body.name, id]
+    );
+
+    const [organizations] = await db.execute('SELECT * FROM organizations WHERE id = ?', [id]);
+
+    res.json({
+      success: true,
+      message: 'Organization updated successfully',
+      data: organizations[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get all organizations (super admin only)
+router.get('/', authenticateToken, requireScope('users:read'), authorize('organization:list'), async (req, res, next) => {
+  try {
+    const [organizations] = await db.execute(`
+      SELECT o.*,
+      (SELECT COUNT(*) FROM users WHERE organization_id = o.id) as user_count,
+      (SELECT COUNT(*) FROM projects WHERE organization_id = o.id) as project_count
+      FROM organizations o
+      ORDER BY o.name
+    `);
+
+    res.json({
+      success: true,
+      data: organizations
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create organization (super admin only), optionally inviting its first admin
+router.post('/', authenticateToken, requireScope('users:write'), authorize('organization:create'), validateRequest(schemas.organization), async (req, res, next) => {
+  try {
+    const { name, slug, admin_email } = req.body;
+
+    if (admin_email) {
+      const [existingUsers] = await db.execute('SELECT id FROM users WHERE email = ?', [admin_email]);
+      if (existingUsers.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Email already registered'
+        });
+      }
+    }
+
+    const organization = await createOrganization({ name, slug });
+
+    let invitation = null;
+    if (admin_email) {
+      invitation = await sendInvitation({
+        email: admin_email,
+        role: 'admin',
+        organization,
+        inviter: req.user
+      });
+    }
+
+    logger.info(`Organization ${slug} created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      data: { ...organization, invitation }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,34 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorize, requireScope, requireSameOrganization } = require('../middleware/auth');
 const { validateRequest, schemas } = require('../middleware/validation');
-const { uploadMultiple, handleUploadError } = require('../middleware/upload');
+const { storeFiles, uploadMultiple, handleUploadError } = require('../middleware/upload');
 const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const { can, tenantFilter, visibilityFilter } = require('../utils/policy');
+const { criticalPath } = require('../utils/taskDependencies');
+const { getProjectTimeTracking } = require('../utils/timeTracking');
+const { getWorkflow, checkWorkflow, findState, saveWorkflow } = require('../utils/workflows');
+const { getProjectFlowMetrics } = require('../utils/statusHistory');
+const {
+  downloadUrl, presentFile, presentVersion, checkComment, listFiles, findFile, listVersions, findVersion,
+  saveUpload, restoreVersion, sendFile, deleteFile, listStoredKeys, deleteStoredKeys
+} = require('../utils/files');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Every project keeps at least one owner
+const isLastOwner = async (projectId) => {
+  const [owners] = await db.execute(
+    "SELECT COUNT(*) as count FROM project_members WHERE project_id = ? AND role = 'owner'",
+    [projectId]
+  );
+  return owners[0].count <= 1;
+};
+
 // Get all projects
-router.get('/', authenticateToken, async (req, res, next) => {
+router.get('/', authenticateToken, requireScope('projects:read'), async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -21,18 +40,17 @@ router.get('/', authenticateToken, async (req, res, next) => {
     let query = `
       SELECT p.*, u.name as created_by_name,
       (SELECT COUNT(*) FROM tasks WHERE project_id = p.id) as task_count,
-      (SELECT COUNT(*) FROM tasks WHERE project_id = p.id AND status = 'completed') as completed_tasks
+      (SELECT COUNT(*) FROM tasks WHERE project_id = p.id AND status_category = 'done') as completed_tasks
       FROM projects p
       LEFT JOIN users u ON p.created_by = u.id
       WHERE 1=1
     `;
     const params = [];
 
-    // Role-based filtering
-    if (req.user.role === 'user') {
-      query += ' AND (p.created_by = ? OR p.id IN (SELECT DISTINCT project_id FROM tasks WHERE assigned_to = ?))';
-      params.push(req.user.id, req.user.id);
-    }
+    // Only projects the user is a member of (admins see their whole organization)
+    const visibility = visibilityFilter(req.user, 'project', 'p.id');
+    query += visibility.clause;
+    params.push(...visibility.params);
 
     if (status) {
       query += ' AND p.status = ?';
@@ -58,10 +76,8 @@ router.get('/', authenticateToken, async (req, res, next) => {
     let countQuery = 'SELECT COUNT(*) as total FROM projects p WHERE 1=1';
     const countParams = [];
 
-    if (req.user.role === 'user') {
-      countQuery += ' AND (p.created_by = ? OR p.id IN (SELECT DISTINCT project_id FROM tasks WHERE assigned_to = ?))';
-      countParams.push(req.user.id, req.user.id);
-    }
+    countQuery += visibility.clause;
+    countParams.push(...visibility.params);
 
     if (status) {
       countQuery += ' AND p.status = ?';
@@ -99,25 +115,24 @@ router.get('/', authenticateToken, async (req, res, next) => {
 });
 
 // Get project by ID
-router.get('/:id', authenticateToken, async (req, res, next) => {
+router.get('/:id', authenticateToken, requireScope('projects:read'), requireSameOrganization('projects'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     let query = `
       SELECT p.*, u.name as created_by_name,
       (SELECT COUNT(*) FROM tasks WHERE project_id = p.id) as task_count,
-      (SELECT COUNT(*) FROM tasks WHERE project_id = p.id AND status = 'completed') as completed_tasks
+      (SELECT COUNT(*) FROM tasks WHERE project_id = p.id AND status_category = 'done') as completed_tasks
       FROM projects p
       LEFT JOIN users u ON p.created_by = u.id
       WHERE p.id = ?
     `;
     const params = [id];
 
-    // Role-based access control
-    if (req.user.role === 'user') {
-      query += ' AND (p.created_by = ? OR p.id IN (SELECT DISTINCT project_id FROM tasks WHERE assigned_to = ?))';
-      params.push(req.user.id, req.user.id);
-    }
+    // Membership-based access control
+    const visibility = visibilityFilter(req.user, 'project', 'p.id');
+    query += visibility.clause;
+    params.push(...visibility.params);
 
     const [projects] = await db.execute(query, params);
 
@@ -151,15 +166,21 @@ router.get('/:id', authenticateToken, async (req, res, next) => {
 });
 
 // Create project
-router.post('/', authenticateToken, authorizeRoles('admin', 'manager'), validateRequest(schemas.project), async (req, res, next) => {
+router.post('/', authenticateToken, requireScope('projects:write'), authorize('project:create'), validateRequest(schemas.project), async (req, res, next) => {
   try {
     const { name, description, status, priority, start_date, end_date, budget } = req.body;
     const projectId = uuidv4();
 
     await db.execute(`
-      INSERT INTO projects (id, name, description, status, priority, start_date, end_date, budget, created_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [projectId, name, description, status, priority, start_date, end_date, budget, req.user.id]);
+      INSERT INTO projects (id, organization_id, name, description, status, priority, start_date, end_date, budget, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [projectId, req.user.organization_id, name, description, status, priority, start_date, end_date, budget, req.user.id]);
+
+    // The creator owns the project
+    await db.execute(
+      'INSERT INTO project_members (project_id, user_id, role) VALUES (?, ?, ?)',
+      [projectId, req.user.id, 'owner']
+    );
 
     const [project] = await db.execute(`
       SELECT p.*, u.name as created_by_name
@@ -179,29 +200,26 @@ router.post('/', authenticateToken, authorizeRoles('admin', 'manager'), validate
 });
 
 // Update project
-router.put('/:id', authenticateToken, authorizeRoles('admin', 'manager'), validateRequest(schemas.project), async (req, res, next) => {
+router.put('/:id', authenticateToken, requireScope('projects:write'), requireSameOrganization('projects'), validateRequest(schemas.project), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { name, description, status, priority, start_date, end_date, budget } = req.body;
 
     // Check if project exists and user has permission
-    let checkQuery = 'SELECT id, created_by FROM projects WHERE id = ?';
-    const checkParams = [id];
-
-    if (req.user.role === 'manager') {
-      checkQuery += ' AND created_by = ?';
-      checkParams.push(req.user.id);
-    }
-
-    const [projects] = await db.execute(checkQuery, checkParams);
-
-    if (projects.length === 0) {
+    if (!(await can(req.user, 'project:read', { id }))) {
       return res.status(404).json({
         success: false,
         message: 'Project not found or access denied'
       });
     }
 
+    if (!(await can(req.user, 'project:update', { id }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
     await db.execute(`
       UPDATE projects 
       SET name = ?, description = ?, status = ?, priority = ?, start_date = ?, 
@@ -227,28 +245,25 @@ router.put('/:id', authenticateToken, authorizeRoles('admin', 'manager'), valida
 });
 
 // Delete project
-router.delete('/:id', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res, next) => {
+router.delete('/:id', authenticateToken, requireScope('projects:write'), requireSameOrganization('projects'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Check if project exists and user has permission
-    let checkQuery = 'SELECT id, created_by FROM projects WHERE id = ?';
-    const checkParams = [id];
-
-    if (req.user.role === 'manager') {
-      checkQuery += ' AND created_by = ?';
-      checkParams.push(req.user.id);
-    }
-
-    const [projects] = await db.execute(checkQuery, checkParams);
-
-    if (projects.length === 0) {
+    if (!(await can(req.user, 'project:read', { id }))) {
       return res.status(404).json({
         success: false,
         message: 'Project not found or access denied'
       });
     }
 
+    if (!(await can(req.user, 'project:delete', { id }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
     // Check if project has tasks
     const [tasks] = await db.execute('SELECT COUNT(*) as count FROM tasks WHERE project_id = ?', [id]);
     
@@ -259,7 +274,10 @@ router.delete('/:id', authenticateToken, authorizeRoles('admin', 'manager'), asy
       });
     }
 
+    // The project's files, with all their versions, go with it
+    const storedKeys = await listStoredKeys('project', [id]);
     await db.execute('DELETE FROM projects WHERE id = ?', [id]);
+    await deleteStoredKeys(storedKeys);
 
     res.json({
       success: true,
@@ -271,57 +289,74 @@ router.delete('/:id', authenticateToken, authorizeRoles('admin', 'manager'), asy
 });
 
 // Get project statistics
-router.get('/:id/stats', authenticateToken, async (req, res, next) => {
+router.get('/:id/stats', authenticateToken, requireScope('projects:read'), requireSameOrganization('projects'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Check project access
-    let accessQuery = 'SELECT id FROM projects WHERE id = ?';
-    const accessParams = [id];
-
-    if (req.user.role === 'user') {
-      accessQuery += ' AND (created_by = ? OR id IN (SELECT DISTINCT project_id FROM tasks WHERE assigned_to = ?))';
-      accessParams.push(req.user.id, req.user.id);
-    }
-
-    const [projectAccess] = await db.execute(accessQuery, accessParams);
-
-    if (projectAccess.length === 0) {
+    if (!(await can(req.user, 'project:read', { id }))) {
       return res.status(404).json({
         success: false,
         message: 'Project not found or access denied'
       });
     }
 
-    // Get detailed statistics
+    // Subtasks count by default; ?include_subtasks=false counts top-level tasks only
+    const includeSubtasks = req.query.include_subtasks !== 'false';
+    const topLevelOnly = (column) => (includeSubtasks ? '' : ` AND ${column} IS NULL`);
+
+    // Get detailed statistics; completed, in progress and to do count the
+    // workflow's done, active and open states
     const [stats] = await db.execute(`
       SELECT 
         COUNT(*) as total_tasks,
-        SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed_tasks,
-        SUM(CASE WHEN status = 'in_progress' THEN 1 ELSE 0 END) as in_progress_tasks,
-        SUM(CASE WHEN status = 'todo' THEN 1 ELSE 0 END) as todo_tasks,
+        SUM(CASE WHEN status_category = 'done' THEN 1 ELSE 0 END) as completed_tasks,
+        SUM(CASE WHEN status_category = 'active' THEN 1 ELSE 0 END) as in_progress_tasks,
+        SUM(CASE WHEN status_category = 'open' THEN 1 ELSE 0 END) as todo_tasks,
         SUM(CASE WHEN priority = 'critical' THEN 1 ELSE 0 END) as critical_tasks,
         SUM(CASE WHEN priority = 'high' THEN 1 ELSE 0 END) as high_priority_tasks,
-        SUM(CASE WHEN due_date < CURRENT_DATE AND status != 'completed' THEN 1 ELSE 0 END) as overdue_tasks,
+        SUM(CASE WHEN due_date < CURRENT_DATE AND status_category != 'done' THEN 1 ELSE 0 END) as overdue_tasks,
         AVG(estimated_hours) as avg_estimated_hours,
         COUNT(DISTINCT assigned_to) as team_members
       FROM tasks 
-      WHERE project_id = ?
+      WHERE project_id = ?${topLevelOnly('parent_task_id')}
+    `, [id]);
+
+    const [statusCounts] = await db.execute(`
+      SELECT status, COUNT(*) as task_count
+      FROM tasks
+      WHERE project_id = ?${topLevelOnly('parent_task_id')}
+      GROUP BY status
     `, [id]);
 
+    // Every state of the workflow in order, including empty ones
+    const workflow = await getWorkflow(id);
+    const statusBreakdown = workflow.states.map(state => ({
+      status: state.key,
+      name: state.name,
+      category: state.category,
+      task_count: (statusCounts.find(count => count.status === state.key) || { task_count: 0 }).task_count
+    }));
+
+    const organization = tenantFilter(req.user, 'c.organization_id');
     const [categoryStats] = await db.execute(`
       SELECT c.name, COUNT(t.id) as task_count
       FROM categories c
-      LEFT JOIN tasks t ON c.id = t.category_id AND t.project_id = ?
+      LEFT JOIN tasks t ON c.id = t.category_id AND t.project_id = ?${topLevelOnly('t.parent_task_id')}
+      WHERE 1=1${organization.clause}
       GROUP BY c.id, c.name
       ORDER BY task_count DESC
-    `, [id]);
+    `, [id, ...organization.params]);
 
     res.json({
       success: true,
       data: {
         ...stats[0],
-        category_breakdown: categoryStats
+        include_subtasks: includeSubtasks,
+        status_breakdown: statusBreakdown,
+        category_breakdown: categoryStats,
+        time_tracking: await getProjectTimeTracking(id),
+        flow_metrics: await getProjectFlowMetrics(id, workflow, includeSubtasks)
       }
     });
   } catch (error) {
@@ -329,10 +364,166 @@ router.get('/:id/stats', authenticateToken, async (req, res, next) => {
   }
 });
 
-// Upload project files
+// Get the project's workflow (the default one unless it defined its own)
+router.get('/:id/workflow', authenticateToken, requireScope('projects:read'), requireSameOrganization('projects'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getWorkflow(id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the project's workflow (maintainers and owners)
+router.put('/:id/workflow', authenticateToken, requireScope('projects:write'), requireSameOrganization('projects'), validateRequest(schemas.workflow), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { states, transitions } = req.body;
+    const statusMapping = req.body.status_mapping || {};
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    if (!(await can(req.user, 'project:update', { id }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const workflow = { states, transitions };
+    const workflowError = checkWorkflow(workflow);
+    if (workflowError) {
+      return res.status(400).json({
+        success: false,
+        message: workflowError
+      });
+    }
+
+    const unknownTarget = Object.values(statusMapping).find(target => !findState(workflow, target));
+    if (unknownTarget) {
+      return res.status(400).json({
+        success: false,
+        message: `status_mapping target "${unknownTarget}" is not a state of the workflow`
+      });
+    }
+
+    // Tasks in states the new workflow drops need somewhere to go
+    const [usedStatuses] = await db.execute(
+      'SELECT status, COUNT(*) as task_count FROM tasks WHERE project_id = ? GROUP BY status',
+      [id]
+    );
+    const unmapped = usedStatuses.filter(row => !findState(workflow, row.status) && !statusMapping[row.status]);
+
+    if (unmapped.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Tasks are in states this workflow removes; move them with status_mapping',
+        data: { unmapped_statuses: unmapped }
+      });
+    }
+
+    // Moving tasks and replacing the workflow succeed or fail together, so
+    // no task is left in a state that no longer exists
+    const connection = await db.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // One statement, so swapping two states doesn't chain; the moves are
+      // recorded first, while tasks still have their old status
+      const mapped = Object.entries(statusMapping);
+      for (const [from, to] of mapped.filter(([from, to]) => from !== to)) {
+        const state = findState(workflow, to);
+        await connection.execute(`
+          INSERT INTO task_status_history (task_id, from_status, to_status, to_category, changed_by)
+          SELECT id, status, ?, ?, ? FROM tasks WHERE project_id = ? AND status = ?
+        `, [state.key, state.category, req.user.id, id, from]);
+      }
+
+      if (mapped.length > 0) {
+        await connection.execute(`
+          UPDATE tasks
+          SET status = CASE status ${mapped.map(() => 'WHEN ? THEN ?').join(' ')} END, updated_at = CURRENT_TIMESTAMP
+          WHERE project_id = ? AND status IN (${mapped.map(() => '?').join(', ')})
+        `, [...mapped.flat(), id, ...mapped.map(([from]) => from)]);
+      }
+
+      await saveWorkflow(id, workflow, connection);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    logger.info(`Workflow of project ${id} updated by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Workflow updated successfully',
+      data: await getWorkflow(id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the project's remaining schedule and critical path
+router.get('/:id/critical-path', authenticateToken, requireScope('projects:read'), requireSameOrganization('projects'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    const [tasks] = await db.execute(
+      'SELECT id, title, status, status_category, due_date, estimated_hours FROM tasks WHERE project_id = ?',
+      [id]
+    );
+
+    // Dependencies on tasks of other projects don't shape this schedule
+    const [dependencies] = await db.execute(`
+      SELECT d.task_id, d.depends_on_task_id
+      FROM task_dependencies d
+      JOIN tasks t ON d.task_id = t.id
+      JOIN tasks dep ON d.depends_on_task_id = dep.id
+      WHERE t.project_id = ? AND dep.project_id = ?
+    `, [id, id]);
+
+    res.json({
+      success: true,
+      data: criticalPath(tasks, dependencies)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload project files (a file named like an existing one becomes its next version)
 router.post('/:id/upload', 
-  authenticateToken, 
-  authorizeRoles('admin', 'manager'),
+  authenticateToken,
+  requireScope('projects:write'),
+  requireSameOrganization('projects'),
   validationRules.validateUUID,
   handleValidationErrors,
   uploadMultiple,
@@ -342,23 +533,20 @@ router.post('/:id/upload',
       const { id } = req.params;
 
       // Check if project exists and user has permission
-      let checkQuery = 'SELECT id, created_by FROM projects WHERE id = ?';
-      const checkParams = [id];
-
-      if (req.user.role === 'manager') {
-        checkQuery += ' AND created_by = ?';
-        checkParams.push(req.user.id);
-      }
-
-      const [projects] = await db.execute(checkQuery, checkParams);
-
-      if (projects.length === 0) {
+      if (!(await can(req.user, 'project:read', { id }))) {
         return res.status(404).json({
           success: false,
           message: 'Project not found or access denied'
         });
       }
 
+      if (!(await can(req.user, 'project:upload', { id }))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
       if (!req.files || req.files.length === 0) {
         return res.status(400).json({
           success: false,
@@ -366,24 +554,32 @@ router.post('/:id/upload',
         });
       }
 
-      // Save file info to database
-      const { v4: uuidv4 } = require('uuid');
+      const commentError = checkComment(req.body.comment);
+      if (commentError) {
+        return res.status(400).json({
+          success: false,
+          message: commentError
+        });
+      }
+
+      // Only stored now that the upload is allowed
+      await storeFiles(req);
+
+      // Save file info to database; a name the project already has adds a version
       const fileData = [];
 
       for (const file of req.files) {
-        const fileId = uuidv4();
-        await db.execute(`
-          INSERT INTO project_files (id, project_id, filename, original_name, file_path, file_size, mimetype, uploaded_by)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `, [fileId, id, file.filename, file.originalname, file.path, file.size, file.mimetype, req.user.id]);
+        const saved = await saveUpload('project', id, file, req.user.id, req.body.comment && req.body.comment.trim());
 
         fileData.push({
-          id: fileId,
+          id: saved.id,
+          version: saved.version,
+          scan_status: 'pending',
           filename: file.filename,
           originalName: file.originalname,
           size: file.size,
           mimetype: file.mimetype,
-          url: `/uploads/projects/${file.filename}`
+          url: downloadUrl('project', id, saved.id)
         });
       }
 
@@ -401,4 +597,539 @@ router.post('/:id/upload',
   }
 );
 
+// List project files
+router.get('/:id/files', authenticateToken, requireScope('projects:read'), requireSameOrganization('projects'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    const files = await listFiles('project', id);
+
+    res.json({
+      success: true,
+      data: files.map(file => presentFile('project', file))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download a project file
+router.get('/:id/files/:fileId/download', authenticateToken, requireScope('projects:read'), requireSameOrganization('projects'), async (req, res, next) => {
+  try {
+    const { id, fileId } = req.params;
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    const file = await findFile('project', id, fileId);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    await sendFile(res, file);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the versions of a project file, newest first
+router.get('/:id/files/:fileId/versions', authenticateToken, requireScope('projects:read'), requireSameOrganization('projects'), async (req, res, next) => {
+  try {
+    const { id, fileId } = req.params;
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    const file = await findFile('project', id, fileId);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const versions = await listVersions('project', fileId);
+
+    res.json({
+      success: true,
+      data: {
+        file: presentFile('project', file),
+        versions: versions.map(version => presentVersion('project', file, version))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download an earlier (or the current) version of a project file
+router.get('/:id/files/:fileId/versions/:version/download', authenticateToken, requireScope('projects:read'), requireSameOrganization('projects'), async (req, res, next) => {
+  try {
+    const { id, fileId } = req.params;
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    const file = await findFile('project', id, fileId);
+    const version = file && await findVersion('project', fileId, parseInt(req.params.version) || 0);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'File version not found'
+      });
+    }
+
+    await sendFile(res, file, { version });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore an earlier version of a project file as its newest version (whoever can upload)
+router.post('/:id/files/:fileId/versions/:version/restore', authenticateToken, requireScope('projects:write'), requireSameOrganization('projects'), validateRequest(schemas.fileRestore), async (req, res, next) => {
+  try {
+    const { id, fileId } = req.params;
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    if (!(await can(req.user, 'project:upload', { id }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const file = await findFile('project', id, fileId);
+    const version = file && await findVersion('project', fileId, parseInt(req.params.version) || 0);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'File version not found'
+      });
+    }
+
+    if (version.version === file.current_version) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already the current version'
+      });
+    }
+
+    if (version.scan_status === 'infected') {
+      return res.status(409).json({
+        success: false,
+        message: 'Quarantined versions cannot be restored'
+      });
+    }
+
+    const restored = await restoreVersion('project', file, version, req.user.id, req.body.comment && req.body.comment.trim());
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${version.version} restored as version ${restored}`,
+      data: presentVersion('project', { ...file, current_version: restored }, await findVersion('project', fileId, restored))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a project file (its uploader, or project maintainers and owners)
+router.delete('/:id/files/:fileId', authenticateToken, requireScope('projects:write'), requireSameOrganization('projects'), async (req, res, next) => {
+  try {
+    const { id, fileId } = req.params;
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    const file = await findFile('project', id, fileId);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (!(await can(req.user, 'file:delete', { project_id: id, user_id: file.uploaded_by }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await deleteFile('project', file);
+
+    res.json({
+      success: true,
+      message: 'File deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List project members
+router.get('/:id/members', authenticateToken, requireScope('projects:read'), requireSameOrganization('projects'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    const [members] = await db.execute(`
+      SELECT pm.user_id, u.name, u.email, pm.role, pm.created_at
+      FROM project_members pm
+      JOIN users u ON pm.user_id = u.id
+      WHERE pm.project_id = ?
+      ORDER BY FIELD(pm.role, 'owner', 'maintainer', 'contributor', 'viewer'), u.name
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: members
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add project member (maintainers and owners)
+router.post('/:id/members', authenticateToken, requireScope('projects:write'), requireSameOrganization('projects'), validateRequest(schemas.projectMember), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { user_id } = req.body;
+    const memberRole = req.body.role || 'contributor';
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    // Only owners can hand out ownership
+    const allowed = await can(req.user, memberRole === 'owner' ? 'project:manage_owners' : 'project:manage_members', { id });
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const organization = tenantFilter(req.user, 'organization_id');
+    const [users] = await db.execute(
+      `SELECT id FROM users WHERE id = ? AND is_active = 1${organization.clause}`,
+      [user_id, ...organization.params]
+    );
+    if (users.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'User not found or inactive'
+      });
+    }
+
+    const [result] = await db.execute(
+      'INSERT IGNORE INTO project_members (project_id, user_id, role) VALUES (?, ?, ?)',
+      [id, user_id, memberRole]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'User is already a member of this project'
+      });
+    }
+
+    logger.info(`User ${user_id} added to project ${id} as ${memberRole} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      data: { project_id: id, user_id, role: memberRole }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change a member's project role (maintainers and owners)
+router.put('/:id/members/:userId', authenticateToken, requireScope('projects:write'), requireSameOrganization('projects'), validateRequest(schemas.projectMemberRole), async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+    const { role: memberRole } = req.body;
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    const [members] = await db.execute(
+      'SELECT role FROM project_members WHERE project_id = ? AND user_id = ?',
+      [id, userId]
+    );
+
+    if (members.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const currentRole = members[0].role;
+
+    // Maintainers cannot touch owners or create new ones
+    const touchesOwner = memberRole === 'owner' || currentRole === 'owner';
+    const allowed = await can(req.user, touchesOwner ? 'project:manage_owners' : 'project:manage_members', { id });
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (currentRole === 'owner' && memberRole !== 'owner' && await isLastOwner(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A project needs at least one owner'
+      });
+    }
+
+    await db.execute(
+      'UPDATE project_members SET role = ? WHERE project_id = ? AND user_id = ?',
+      [memberRole, id, userId]
+    );
+
+    logger.info(`User ${userId} in project ${id} changed from ${currentRole} to ${memberRole} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: { project_id: id, user_id: userId, role: memberRole }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove project member (maintainers and owners, or members leaving)
+router.delete('/:id/members/:userId', authenticateToken, requireScope('projects:write'), requireSameOrganization('projects'), async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    const [members] = await db.execute(
+      'SELECT role FROM project_members WHERE project_id = ? AND user_id = ?',
+      [id, userId]
+    );
+
+    if (members.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const leaving = userId === req.user.id;
+    const canRemove = leaving ||
+      await can(req.user, members[0].role === 'owner' ? 'project:manage_owners' : 'project:manage_members', { id });
+
+    if (!canRemove) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (members[0].role === 'owner' && await isLastOwner(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A project needs at least one owner'
+      });
+    }
+
+    await db.execute('DELETE FROM project_members WHERE project_id = ? AND user_id = ?', [id, userId]);
+
+    logger.info(`User ${userId} removed from project ${id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List teams with access to the project
+router.get('/:id/teams', authenticateToken, requireScope('projects:read'), requireSameOrganization('projects'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    const [teams] = await db.execute(`
+      SELECT pt.team_id, t.name, pt.role, pt.created_at,
+      (SELECT COUNT(*) FROM team_members WHERE team_id = t.id) as member_count
+      FROM project_teams pt
+      JOIN teams t ON pt.team_id = t.id
+      WHERE pt.project_id = ?
+      ORDER BY t.name
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: teams
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Grant a team access to the project, or change its role (maintainers and owners)
+router.put('/:id/teams', authenticateToken, requireScope('projects:write'), requireSameOrganization('projects'), validateRequest(schemas.projectTeam), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { team_id } = req.body;
+    const teamRole = req.body.role || 'contributor';
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    if (!(await can(req.user, 'project:manage_members', { id }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const organization = tenantFilter(req.user, 'organization_id');
+    const [teams] = await db.execute(
+      `SELECT id FROM teams WHERE id = ?${organization.clause}`,
+      [team_id, ...organization.params]
+    );
+    if (teams.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    await db.execute(`
+      INSERT INTO project_teams (project_id, team_id, role) VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE role = VALUES(role)
+    `, [id, team_id, teamRole]);
+
+    logger.info(`Team ${team_id} granted ${teamRole} on project ${id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Team access granted successfully',
+      data: { project_id: id, team_id, role: teamRole }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke a team's access to the project (maintainers and owners)
+router.delete('/:id/teams/:teamId', authenticateToken, requireScope('projects:write'), requireSameOrganization('projects'), async (req, res, next) => {
+  try {
+    const { id, teamId } = req.params;
+
+    if (!(await can(req.user, 'project:read', { id }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found or access denied'
+      });
+    }
+
+    if (!(await can(req.user, 'project:manage_members', { id }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const [result] = await db.execute(
+      'DELETE FROM project_teams WHERE project_id = ? AND team_id = ?',
+      [id, teamId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team has no access to this project'
+      });
+    }
+
+    logger.info(`Team ${teamId} removed from project ${id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Team access revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
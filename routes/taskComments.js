@@ -0,0 +1,319 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { authenticateToken, requireScope, requireSameOrganization } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { can } = require('../utils/policy');
+const { resolveMentions, buildThread } = require('../utils/comments');
+
+// Mounted under /api/tasks/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// Comments are visible to whoever can see the task (same rules as GET /api/tasks/:id)
+const loadTask = async (user, taskId) => {
+  const [tasks] = await db.execute(
+    'SELECT id, organization_id, project_id, created_by, assigned_to, assigned_team_id FROM tasks WHERE id = ?',
+    [taskId]
+  );
+
+  if (tasks.length === 0 || !(await can(user, 'task:read', tasks[0]))) {
+    return null;
+  }
+  return tasks[0];
+};
+
+const taskNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Task not found or access denied'
+});
+
+const commentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Comment not found'
+});
+
+const findComment = async (taskId, commentId) => {
+  const [comments] = await db.execute(`
+    SELECT c.*, t.project_id
+    FROM task_comments c
+    JOIN tasks t ON c.task_id = t.id
+    WHERE c.id = ? AND c.task_id = ?
+  `, [commentId, taskId]);
+
+  return comments.length > 0 ? comments[0] : null;
+};
+
+// Comments with their authors and mentions; deleted comments keep their
+// place in the thread but lose their content
+const loadComments = async (taskId, commentId = null) => {
+  let query = `
+    SELECT c.id, c.task_id, c.parent_comment_id, c.user_id, u.name as author_name,
+           c.body, c.edited_at, c.deleted_at, c.created_at, c.updated_at
+    FROM task_comments c
+    LEFT JOIN users u ON c.user_id = u.id
+    WHERE c.task_id = ?
+  `;
+  const params = [taskId];
+
+  if (commentId) {
+    query += ' AND c.id = ?';
+    params.push(commentId);
+  }
+
+  query += ' ORDER BY c.created_at ASC, c.id ASC';
+
+  const [comments] = await db.execute(query, params);
+
+  const [mentions] = await db.execute(`
+    SELECT m.comment_id, u.id as user_id, u.name
+    FROM task_comment_mentions m
+    JOIN task_comments c ON m.comment_id = c.id
+    JOIN users u ON m.user_id = u.id
+    WHERE c.task_id = ?
+    ORDER BY u.name
+  `, [taskId]);
+
+  return comments.map(comment => {
+    const deleted = Boolean(comment.deleted_at);
+    return {
+      ...comment,
+      body: deleted ? null : comment.body,
+      is_deleted: deleted,
+      mentions: deleted ? [] : mentions
+        .filter(mention => mention.comment_id === comment.id)
+        .map(({ user_id, name }) => ({ user_id, name }))
+    };
+  });
+};
+
+const saveMentions = async (commentId, body, task, organizationId) => {
+  const users = await resolveMentions(body, task, organizationId);
+
+  await db.execute('DELETE FROM task_comment_mentions WHERE comment_id = ?', [commentId]);
+
+  for (const user of users) {
+    await db.execute(
+      'INSERT INTO task_comment_mentions (comment_id, user_id) VALUES (?, ?)',
+      [commentId, user.id]
+    );
+  }
+};
+
+// Get the task's comments as threads (replies nested under their parent)
+router.get('/', authenticateToken, requireScope('tasks:read'), requireSameOrganization('tasks'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await loadTask(req.user, id))) {
+      return taskNotFound(res);
+    }
+
+    const comments = await loadComments(id);
+
+    res.json({
+      success: true,
+      data: {
+        total: comments.filter(comment => !comment.is_deleted).length,
+        comments: buildThread(comments)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single comment
+router.get('/:commentId', authenticateToken, requireScope('tasks:read'), requireSameOrganization('tasks'), async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+
+    if (!(await loadTask(req.user, id))) {
+      return taskNotFound(res);
+    }
+
+    const comments = await loadComments(id, commentId);
+
+    if (comments.length === 0) {
+      return commentNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: comments[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the edit history of a comment (previous versions, newest first)
+router.get('/:commentId/revisions', authenticateToken, requireScope('tasks:read'), requireSameOrganization('tasks'), async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+
+    if (!(await loadTask(req.user, id))) {
+      return taskNotFound(res);
+    }
+
+    const comment = await findComment(id, commentId);
+
+    if (!comment || comment.deleted_at) {
+      return commentNotFound(res);
+    }
+
+    const [revisions] = await db.execute(`
+      SELECT r.id, r.body, r.edited_by, u.name as edited_by_name, r.created_at
+      FROM task_comment_revisions r
+      LEFT JOIN users u ON r.edited_by = u.id
+      WHERE r.comment_id = ?
+      ORDER BY r.created_at DESC
+    `, [commentId]);
+
+    res.json({
+      success: true,
+      data: revisions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a comment or a reply (project contributors and above)
+router.post('/', authenticateToken, requireScope('tasks:write'), requireSameOrganization('tasks'), validateRequest(schemas.comment), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { parent_comment_id } = req.body;
+    const body = req.body.body.trim();
+
+    const task = await loadTask(req.user, id);
+
+    if (!task) {
+      return taskNotFound(res);
+    }
+
+    if (!(await can(req.user, 'task:comment', task))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (parent_comment_id) {
+      const parent = await findComment(id, parent_comment_id);
+      if (!parent || parent.deleted_at) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent comment not found on this task'
+        });
+      }
+    }
+
+    const commentId = uuidv4();
+
+    await db.execute(
+      'INSERT INTO task_comments (id, task_id, parent_comment_id, user_id, body) VALUES (?, ?, ?, ?, ?)',
+      [commentId, id, parent_comment_id || null, req.user.id, body]
+    );
+
+    await saveMentions(commentId, body, task, req.user.organization_id);
+
+    const comments = await loadComments(id, commentId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: comments[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Edit a comment (author only) - the previous body is kept as a revision
+router.put('/:commentId', authenticateToken, requireScope('tasks:write'), requireSameOrganization('tasks'), validateRequest(schemas.commentUpdate), async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+    const body = req.body.body.trim();
+
+    const task = await loadTask(req.user, id);
+
+    if (!task) {
+      return taskNotFound(res);
+    }
+
+    const comment = await findComment(id, commentId);
+
+    if (!comment || comment.deleted_at) {
+      return commentNotFound(res);
+    }
+
+    if (!(await can(req.user, 'comment:update', comment))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (body !== comment.body) {
+      await db.execute(
+        'INSERT INTO task_comment_revisions (id, comment_id, body, edited_by) VALUES (?, ?, ?, ?)',
+        [uuidv4(), commentId, comment.body, req.user.id]
+      );
+
+      await db.execute(
+        'UPDATE task_comments SET body = ?, edited_at = NOW(), updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [body, commentId]
+      );
+
+      await saveMentions(commentId, body, task, req.user.organization_id);
+    }
+
+    const comments = await loadComments(id, commentId);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: comments[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a comment (author, or project maintainers and owners) - replies stay
+router.delete('/:commentId', authenticateToken, requireScope('tasks:write'), requireSameOrganization('tasks'), async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+
+    if (!(await loadTask(req.user, id))) {
+      return taskNotFound(res);
+    }
+
+    const comment = await findComment(id, commentId);
+
+    if (!comment || comment.deleted_at) {
+      return commentNotFound(res);
+    }
+
+    if (!(await can(req.user, 'comment:delete', comment))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await db.execute(
+      'UPDATE task_comments SET deleted_at = NOW(), deleted_by = ? WHERE id = ?',
+      [req.user.id, commentId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
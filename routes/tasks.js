@@ -1,47 +1,95 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, requireScope, requireSameOrganization } = require('../middleware/auth');
 const { validateRequest, schemas, validationRules, handleValidationErrors } = require('../middleware/validation');
-const { uploadMultiple, handleUploadError } = require('../middleware/upload');
+const { storeFiles, uploadMultiple, handleUploadError } = require('../middleware/upload');
+const { can, getProjectRole, tenantFilter, visibilityFilter } = require('../utils/policy');
+const { getDescendants, checkParent, checkStatus, getSubtaskSummary } = require('../utils/taskHierarchy');
+const { BLOCKED_CATEGORIES, getOpenBlockers, checkDependency } = require('../utils/taskDependencies');
+const { getTaskTimeTracking } = require('../utils/timeTracking');
+const { getWorkflow, findState, initialState, checkTransition, canTransition } = require('../utils/workflows');
+const { recordStatusChange, getStatusHistory } = require('../utils/statusHistory');
+const {
+  downloadUrl, presentFile, presentVersion, checkComment, listFiles, findFile, listVersions, findVersion,
+  saveUpload, restoreVersion, sendFile, deleteFile, listStoredKeys, deleteStoredKeys
+} = require('../utils/files');
 
 const router = express.Router();
 
+// Open dependencies keeping the task from moving between status categories;
+// blocked tasks cannot start or finish unless the request is forced
+const findBlockers = async (taskId, fromCategory, toCategory, force) => {
+  if (fromCategory === toCategory || !BLOCKED_CATEGORIES.includes(toCategory) || force === true) {
+    return [];
+  }
+  return getOpenBlockers(taskId);
+};
+
+// Why the user cannot move the task between workflow states, with the HTTP
+// status to answer; null when they can
+const checkMove = async (user, workflow, task, status) => {
+  const transitionError = checkTransition(workflow, task.status, status);
+  if (transitionError) {
+    return { code: 400, message: transitionError };
+  }
+
+  if (!canTransition(workflow, task.status, status, await getProjectRole(user, task.project_id))) {
+    return { code: 403, message: `Your project role cannot move tasks from "${task.status}" to "${status}"` };
+  }
+
+  return null;
+};
+
+const blockedResponse = (res, blockers) => res.status(409).json({
+  success: false,
+  message: 'Task is blocked by unfinished dependencies; pass force: true to override',
+  data: { blocked_by: blockers }
+});
+
 // Get all tasks
-router.get('/', authenticateToken, async (req, res, next) => {
+router.get('/', authenticateToken, requireScope('tasks:read'), async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
     const status = req.query.status || '';
+    const status_category = req.query.status_category || '';
     const priority = req.query.priority || '';
     const project_id = req.query.project_id || '';
     const assigned_to = req.query.assigned_to || '';
+    const team_id = req.query.team_id || '';
     const search = req.query.search || '';
 
     let query = `
       SELECT t.*, p.name as project_name, u.name as assigned_to_name, 
-             c.name as category_name, creator.name as created_by_name
+             c.name as category_name, creator.name as created_by_name,
+             team.name as assigned_team_name
       FROM tasks t
       LEFT JOIN projects p ON t.project_id = p.id
       LEFT JOIN users u ON t.assigned_to = u.id
       LEFT JOIN categories c ON t.category_id = c.id
       LEFT JOIN users creator ON t.created_by = creator.id
+      LEFT JOIN teams team ON t.assigned_team_id = team.id
       WHERE 1=1
     `;
     const params = [];
 
-    // Role-based filtering
-    if (req.user.role === 'user') {
-      query += ' AND (t.assigned_to = ? OR t.created_by = ? OR p.created_by = ?)';
-      params.push(req.user.id, req.user.id, req.user.id);
-    }
+    // Only tasks in projects the user is a member of (admins see all)
+    const visibility = visibilityFilter(req.user, 'task', 't.project_id');
+    query += visibility.clause;
+    params.push(...visibility.params);
 
     if (status) {
       query += ' AND t.status = ?';
       params.push(status);
     }
 
+    if (status_category) {
+      query += ' AND t.status_category = ?';
+      params.push(status_category);
+    }
+
     if (priority) {
       query += ' AND t.priority = ?';
       params.push(priority);
@@ -57,6 +105,11 @@ router.get('/', authenticateToken, async (req, res, next) => {
       params.push(assigned_to);
     }
 
+    if (team_id) {
+      query += ' AND t.assigned_team_id = ?';
+      params.push(team_id);
+    }
+
     if (search) {
       query += ' AND (t.title LIKE ? OR t.description LIKE ?)';
       params.push(`%${search}%`, `%${search}%`);
@@ -76,16 +129,19 @@ router.get('/', authenticateToken, async (req, res, next) => {
     `;
     const countParams = [];
 
-    if (req.user.role === 'user') {
-      countQuery += ' AND (t.assigned_to = ? OR t.created_by = ? OR p.created_by = ?)';
-      countParams.push(req.user.id, req.user.id, req.user.id);
-    }
+    countQuery += visibility.clause;
+    countParams.push(...visibility.params);
 
     if (status) {
       countQuery += ' AND t.status = ?';
       countParams.push(status);
     }
 
+    if (status_category) {
+      countQuery += ' AND t.status_category = ?';
+      countParams.push(status_category);
+    }
+
     if (priority) {
       countQuery += ' AND t.priority = ?';
       countParams.push(priority);
@@ -101,6 +157,11 @@ router.get('/', authenticateToken, async (req, res, next) => {
       countParams.push(assigned_to);
     }
 
+    if (team_id) {
+      countQuery += ' AND t.assigned_team_id = ?';
+      countParams.push(team_id);
+    }
+
     if (search) {
       countQuery += ' AND (t.title LIKE ? OR t.description LIKE ?)';
       countParams.push(`%${search}%`, `%${search}%`);
@@ -127,27 +188,28 @@ router.get('/', authenticateToken, async (req, res, next) => {
 });
 
 // Get task by ID
-router.get('/:id', authenticateToken, async (req, res, next) => {
+router.get('/:id', authenticateToken, requireScope('tasks:read'), requireSameOrganization('tasks'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     let query = `
       SELECT t.*, p.name as project_name, u.name as assigned_to_name, 
-             c.name as category_name, creator.name as created_by_name
+             c.name as category_name, creator.name as created_by_name,
+             team.name as assigned_team_name
       FROM tasks t
       LEFT JOIN projects p ON t.project_id = p.id
       LEFT JOIN users u ON t.assigned_to = u.id
       LEFT JOIN categories c ON t.category_id = c.id
       LEFT JOIN users creator ON t.created_by = creator.id
+      LEFT JOIN teams team ON t.assigned_team_id = team.id
       WHERE t.id = ?
     `;
     const params = [id];
 
-    // Role-based access control
-    if (req.user.role === 'user') {
-      query += ' AND (t.assigned_to = ? OR t.created_by = ? OR p.created_by = ?)';
-      params.push(req.user.id, req.user.id, req.user.id);
-    }
+    // Membership-based access control
+    const visibility = visibilityFilter(req.user, 'task', 't.project_id');
+    query += visibility.clause;
+    params.push(...visibility.params);
 
     const [tasks] = await db.execute(query, params);
 
@@ -158,9 +220,242 @@ router.get('/:id', authenticateToken, async (req, res, next) => {
       });
     }
 
+    const task = tasks[0];
+    task.subtasks = await getSubtaskSummary(id);
+    task.time_tracking = await getTaskTimeTracking(id);
+
+    res.json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get direct subtasks of a task
+router.get('/:id/subtasks', authenticateToken, requireScope('tasks:read'), requireSameOrganization('tasks'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [tasks] = await db.execute('SELECT id, project_id FROM tasks WHERE id = ?', [id]);
+
+    if (tasks.length === 0 || !(await can(req.user, 'task:read', tasks[0]))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    const [subtasks] = await db.execute(`
+      SELECT t.*, u.name as assigned_to_name, c.name as category_name,
+             team.name as assigned_team_name,
+             (SELECT COUNT(*) FROM tasks WHERE parent_task_id = t.id) as subtask_count
+      FROM tasks t
+      LEFT JOIN users u ON t.assigned_to = u.id
+      LEFT JOIN categories c ON t.category_id = c.id
+      LEFT JOIN teams team ON t.assigned_team_id = team.id
+      WHERE t.parent_task_id = ?
+      ORDER BY t.created_at ASC
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: {
+        summary: await getSubtaskSummary(id),
+        subtasks
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the task's status changes, oldest first
+router.get('/:id/history', authenticateToken, requireScope('tasks:read'), requireSameOrganization('tasks'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [tasks] = await db.execute('SELECT id, project_id FROM tasks WHERE id = ?', [id]);
+
+    if (tasks.length === 0 || !(await can(req.user, 'task:read', tasks[0]))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getStatusHistory(id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the tasks this task depends on and the tasks it blocks
+router.get('/:id/dependencies', authenticateToken, requireScope('tasks:read'), requireSameOrganization('tasks'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [tasks] = await db.execute('SELECT id, project_id FROM tasks WHERE id = ?', [id]);
+
+    if (tasks.length === 0 || !(await can(req.user, 'task:read', tasks[0]))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    // Linked tasks in projects the caller cannot see are left out of the lists
+    const visibility = visibilityFilter(req.user, 'task', 't.project_id');
+
+    const [blockedBy] = await db.execute(`
+      SELECT t.id, t.title, t.status, t.status_category, t.project_id, t.due_date, t.estimated_hours, d.created_at
+      FROM task_dependencies d
+      JOIN tasks t ON d.depends_on_task_id = t.id
+      WHERE d.task_id = ?${visibility.clause}
+      ORDER BY t.title
+    `, [id, ...visibility.params]);
+
+    const [blocks] = await db.execute(`
+      SELECT t.id, t.title, t.status, t.status_category, t.project_id, t.due_date, t.estimated_hours, d.created_at
+      FROM task_dependencies d
+      JOIN tasks t ON d.task_id = t.id
+      WHERE d.depends_on_task_id = ?${visibility.clause}
+      ORDER BY t.title
+    `, [id, ...visibility.params]);
+
+    // ...but still count towards whether the task is blocked
+    const [openBlockers] = await db.execute(`
+      SELECT COUNT(*) as count
+      FROM task_dependencies d
+      JOIN tasks t ON d.depends_on_task_id = t.id
+      WHERE d.task_id = ? AND t.status_category != 'done'
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: {
+        is_blocked: openBlockers[0].count > 0,
+        blocked_by: blockedBy,
+        blocks
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Make the task depend on another task
+router.post('/:id/dependencies', authenticateToken, requireScope('tasks:write'), requireSameOrganization('tasks'), validateRequest(schemas.taskDependency), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { depends_on_task_id } = req.body;
+
+    const [tasks] = await db.execute(
+      'SELECT id, project_id, created_by, assigned_to, assigned_team_id FROM tasks WHERE id = ?',
+      [id]
+    );
+
+    if (tasks.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await can(req.user, 'task:update', tasks[0]))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // The other task may live in any project of the organization the user can see
+    const organization = tenantFilter(req.user, 'organization_id');
+    const [dependsOn] = await db.execute(
+      `SELECT id, project_id FROM tasks WHERE id = ?${organization.clause}`,
+      [depends_on_task_id, ...organization.params]
+    );
+
+    if (dependsOn.length === 0 || !(await can(req.user, 'task:read', dependsOn[0]))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dependency task not found or access denied'
+      });
+    }
+
+    const dependencyError = await checkDependency(id, depends_on_task_id);
+    if (dependencyError) {
+      return res.status(400).json({
+        success: false,
+        message: dependencyError
+      });
+    }
+
+    const [result] = await db.execute(
+      'INSERT IGNORE INTO task_dependencies (task_id, depends_on_task_id, created_by) VALUES (?, ?, ?)',
+      [id, depends_on_task_id, req.user.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Task already depends on this task'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Dependency added successfully',
+      data: { task_id: id, depends_on_task_id }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a dependency
+router.delete('/:id/dependencies/:dependsOnId', authenticateToken, requireScope('tasks:write'), requireSameOrganization('tasks'), async (req, res, next) => {
+  try {
+    const { id, dependsOnId } = req.params;
+
+    const [tasks] = await db.execute(
+      'SELECT id, project_id, created_by, assigned_to, assigned_team_id FROM tasks WHERE id = ?',
+      [id]
+    );
+
+    if (tasks.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!(await can(req.user, 'task:update', tasks[0]))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const [result] = await db.execute(
+      'DELETE FROM task_dependencies WHERE task_id = ? AND depends_on_task_id = ?',
+      [id, dependsOnId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found'
+      });
+    }
+
     res.json({
       success: true,
-      data: tasks[0]
+      message: 'Dependency removed successfully'
     });
   } catch (error) {
     next(error);
@@ -169,45 +464,88 @@ router.get('/:id', authenticateToken, async (req, res, next) => {
 
 // Create task
 router.post('/', 
-  authenticateToken, 
+  authenticateToken,
+  requireScope('tasks:write'),
   validationRules.createTask,
   handleValidationErrors,
   async (req, res, next) => {
     try {
-      const { title, description, project_id, assigned_to, category_id, status, priority, due_date, estimated_hours } = req.body;
-
-      // Verify project exists and user has access
-      let projectQuery = 'SELECT id, created_by FROM projects WHERE id = ?';
-      const projectParams = [project_id];
-
-      if (req.user.role === 'user') {
-        projectQuery += ' AND created_by = ?';
-        projectParams.push(req.user.id);
-      }
+      const { title, description, project_id, parent_task_id, assigned_to, assigned_team_id, category_id, status, priority, due_date, estimated_hours } = req.body;
 
-      const [projects] = await db.execute(projectQuery, projectParams);
-
-      if (projects.length === 0) {
+      // Verify project exists and user can contribute to it
+      if (!(await can(req.user, 'project:read', { id: project_id }))) {
         return res.status(404).json({
           success: false,
           message: 'Project not found or access denied'
         });
       }
 
-      // Verify assigned user exists if provided
+      if (!(await can(req.user, 'task:create', { project_id }))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      // Verify assigned user is active and can see the project if provided
       if (assigned_to) {
-        const [users] = await db.execute('SELECT id FROM users WHERE id = ? AND is_active = 1', [assigned_to]);
-        if (users.length === 0) {
+        const [users] = await db.execute('SELECT id, organization_id, role FROM users WHERE id = ? AND is_active = 1', [assigned_to]);
+        if (users.length === 0 || !(await can(users[0], 'project:read', { id: project_id }))) {
           return res.status(400).json({
             success: false,
-            message: 'Assigned user not found or inactive'
+            message: 'Assigned user not found, inactive or not a project member'
           });
         }
       }
 
-      // Verify category exists if provided
+      // Verify assigned team has access to the project if provided
+      if (assigned_team_id) {
+        const [teams] = await db.execute(
+          'SELECT team_id FROM project_teams WHERE project_id = ? AND team_id = ?',
+          [project_id, assigned_team_id]
+        );
+        if (teams.length === 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Assigned team not found or has no access to this project'
+          });
+        }
+      }
+
+      // New tasks start in the workflow's first state; starting anywhere else
+      // is a move from it and follows the same transition rules
+      const workflow = await getWorkflow(project_id);
+      const initial = initialState(workflow);
+      if (status) {
+        const moveError = await checkMove(req.user, workflow, { status: initial.key, project_id }, status);
+        if (moveError) {
+          return res.status(moveError.code).json({
+            success: false,
+            message: moveError.message
+          });
+        }
+      }
+      const state = status ? findState(workflow, status) : initial;
+
+      // Subtasks live in their parent's project, within the depth limit
+      if (parent_task_id) {
+        const parentError = await checkParent(null, parent_task_id, project_id)
+          || await checkStatus(null, parent_task_id, state.category);
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            message: parentError
+          });
+        }
+      }
+
+      // Verify category exists in the organization if provided
       if (category_id) {
-        const [categories] = await db.execute('SELECT id FROM categories WHERE id = ?', [category_id]);
+        const organization = tenantFilter(req.user, 'organization_id');
+        const [categories] = await db.execute(
+          `SELECT id FROM categories WHERE id = ?${organization.clause}`,
+          [category_id, ...organization.params]
+        );
         if (categories.length === 0) {
           return res.status(400).json({
             success: false,
@@ -219,18 +557,22 @@ router.post('/',
       const taskId = uuidv4();
 
       await db.execute(`
-        INSERT INTO tasks (id, title, description, project_id, assigned_to, category_id, status, priority, due_date, estimated_hours, created_by)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [taskId, title, description, project_id, assigned_to, category_id, status || 'todo', priority || 'medium', due_date, estimated_hours, req.user.id]);
+        INSERT INTO tasks (id, organization_id, title, description, project_id, parent_task_id, assigned_to, assigned_team_id, category_id, status, status_category, priority, due_date, estimated_hours, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [taskId, req.user.organization_id, title, description, project_id, parent_task_id || null, assigned_to, assigned_team_id || null, category_id, state.key, state.category, priority || 'medium', due_date, estimated_hours, req.user.id]);
+
+      await recordStatusChange(taskId, null, state, req.user.id);
 
       const [task] = await db.execute(`
         SELECT t.*, p.name as project_name, u.name as assigned_to_name, 
-               c.name as category_name, creator.name as created_by_name
+               c.name as category_name, creator.name as created_by_name,
+               team.name as assigned_team_name
         FROM tasks t
         LEFT JOIN projects p ON t.project_id = p.id
         LEFT JOIN users u ON t.assigned_to = u.id
         LEFT JOIN categories c ON t.category_id = c.id
         LEFT JOIN users creator ON t.created_by = creator.id
+        LEFT JOIN teams team ON t.assigned_team_id = team.id
         WHERE t.id = ?
       `, [taskId]);
 
@@ -247,25 +589,22 @@ router.post('/',
 
 // Update task
 router.put('/:id', 
-  authenticateToken, 
+  authenticateToken,
+  requireScope('tasks:write'),
+  requireSameOrganization('tasks'),
   validationRules.validateUUID,
   validationRules.createTask,
   handleValidationErrors,
   async (req, res, next) => {
     try {
       const { id } = req.params;
-      const { title, description, project_id, assigned_to, category_id, status, priority, due_date, estimated_hours } = req.body;
+      const { title, description, project_id, assigned_to, assigned_team_id, category_id, priority, due_date, estimated_hours, force } = req.body;
 
       // Check if task exists and user has permission
-      let checkQuery = `
-        SELECT t.id, t.created_by, t.assigned_to, p.created_by as project_owner
-        FROM tasks t
-        LEFT JOIN projects p ON t.project_id = p.id
-        WHERE t.id = ?
-      `;
-      const checkParams = [id];
-
-      const [tasks] = await db.execute(checkQuery, checkParams);
+      const [tasks] = await db.execute(
+        'SELECT id, project_id, parent_task_id, status, status_category, created_by, assigned_to, assigned_team_id FROM tasks WHERE id = ?',
+        [id]
+      );
 
       if (tasks.length === 0) {
         return res.status(404).json({
@@ -277,41 +616,112 @@ router.put('/:id',
       const task = tasks[0];
 
       // Permission check
-      const canEdit = req.user.role === 'admin' || 
-                     task.created_by === req.user.id || 
-                     task.assigned_to === req.user.id || 
-                     task.project_owner === req.user.id;
-
-      if (!canEdit) {
+      if (!(await can(req.user, 'task:update', task))) {
         return res.status(403).json({
           success: false,
           message: 'Access denied'
         });
       }
 
-      // Verify project exists
-      const [projects] = await db.execute('SELECT id FROM projects WHERE id = ?', [project_id]);
-      if (projects.length === 0) {
+      // Moving a task requires being able to create tasks in the target project
+      if (project_id !== task.project_id) {
+        if (!(await can(req.user, 'task:create', { project_id }))) {
+          return res.status(400).json({
+            success: false,
+            message: 'Project not found or access denied'
+          });
+        }
+
+        const [subtasks] = await db.execute('SELECT COUNT(*) as count FROM tasks WHERE parent_task_id = ?', [id]);
+        if (subtasks[0].count > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Tasks with subtasks cannot be moved to another project'
+          });
+        }
+      }
+
+      // Omitting parent_task_id keeps the task where it is; null makes it top-level
+      const parentTaskId = req.body.parent_task_id === undefined ? task.parent_task_id : req.body.parent_task_id;
+
+      if (parentTaskId) {
+        const parentError = await checkParent(task, parentTaskId, project_id);
+        if (parentError) {
+          return res.status(400).json({
+            success: false,
+            message: parentError
+          });
+        }
+      }
+
+      // Status changes follow the workflow; a task moved to another project
+      // only needs a state that exists in that project's workflow
+      const status = req.body.status || task.status;
+      const workflow = await getWorkflow(project_id);
+      const state = findState(workflow, status);
+
+      if (!state) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${workflow.states.map(workflowState => workflowState.key).join(', ')}`
+        });
+      }
+
+      if (project_id === task.project_id) {
+        const moveError = await checkMove(req.user, workflow, task, status);
+        if (moveError) {
+          return res.status(moveError.code).json({
+            success: false,
+            message: moveError.message
+          });
+        }
+      }
+
+      const statusError = await checkStatus(id, parentTaskId, state.category);
+      if (statusError) {
         return res.status(400).json({
           success: false,
-          message: 'Project not found'
+          message: statusError
         });
       }
 
-      // Verify assigned user exists if provided
+      const blockers = await findBlockers(id, task.status_category, state.category, force);
+      if (blockers.length > 0) {
+        return blockedResponse(res, blockers);
+      }
+
+      // Verify assigned user is active and can see the project if provided
       if (assigned_to) {
-        const [users] = await db.execute('SELECT id FROM users WHERE id = ? AND is_active = 1', [assigned_to]);
-        if (users.length === 0) {
+        const [users] = await db.execute('SELECT id, organization_id, role FROM users WHERE id = ? AND is_active = 1', [assigned_to]);
+        if (users.length === 0 || !(await can(users[0], 'project:read', { id: project_id }))) {
           return res.status(400).json({
             success: false,
-            message: 'Assigned user not found or inactive'
+            message: 'Assigned user not found, inactive or not a project member'
           });
         }
       }
 
-      // Verify category exists if provided
+      // Verify assigned team has access to the project if provided
+      if (assigned_team_id) {
+        const [teams] = await db.execute(
+          'SELECT team_id FROM project_teams WHERE project_id = ? AND team_id = ?',
+          [project_id, assigned_team_id]
+        );
+        if (teams.length === 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Assigned team not found or has no access to this project'
+          });
+        }
+      }
+
+      // Verify category exists in the organization if provided
       if (category_id) {
-        const [categories] = await db.execute('SELECT id FROM categories WHERE id = ?', [category_id]);
+        const organization = tenantFilter(req.user, 'organization_id');
+        const [categories] = await db.execute(
+          `SELECT id FROM categories WHERE id = ?${organization.clause}`,
+          [category_id, ...organization.params]
+        );
         if (categories.length === 0) {
           return res.status(400).json({
             success: false,
@@ -322,19 +732,25 @@ router.put('/:id',
 
       await db.execute(`
         UPDATE tasks 
-        SET title = ?, description = ?, project_id = ?, assigned_to = ?, category_id = ?, 
-            status = ?, priority = ?, due_date = ?, estimated_hours = ?, updated_at = CURRENT_TIMESTAMP
+        SET title = ?, description = ?, project_id = ?, parent_task_id = ?, assigned_to = ?, assigned_team_id = ?, category_id = ?, 
+            status = ?, status_category = ?, priority = ?, due_date = ?, estimated_hours = ?, updated_at = CURRENT_TIMESTAMP
         WHERE id = ?
-      `, [title, description, project_id, assigned_to, category_id, status, priority, due_date, estimated_hours, id]);
+      `, [title, description, project_id, parentTaskId || null, assigned_to, assigned_team_id || null, category_id, state.key, state.category, priority, due_date, estimated_hours, id]);
+
+      if (state.key !== task.status) {
+        await recordStatusChange(id, task.status, state, req.user.id);
+      }
 
       const [updatedTask] = await db.execute(`
         SELECT t.*, p.name as project_name, u.name as assigned_to_name, 
-               c.name as category_name, creator.name as created_by_name
+               c.name as category_name, creator.name as created_by_name,
+               team.name as assigned_team_name
         FROM tasks t
         LEFT JOIN projects p ON t.project_id = p.id
         LEFT JOIN users u ON t.assigned_to = u.id
         LEFT JOIN categories c ON t.category_id = c.id
         LEFT JOIN users creator ON t.created_by = creator.id
+        LEFT JOIN teams team ON t.assigned_team_id = team.id
         WHERE t.id = ?
       `, [id]);
 
@@ -350,12 +766,12 @@ router.put('/:id',
 );
 
 // Update task status only
-router.patch('/:id/status', authenticateToken, async (req, res, next) => {
+router.patch('/:id/status', authenticateToken, requireScope('tasks:write'), requireSameOrganization('tasks'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, force } = req.body;
 
-    if (!['todo', 'in_progress', 'review', 'completed'].includes(status)) {
+    if (typeof status !== 'string' || !status) {
       return res.status(400).json({
         success: false,
         message: 'Invalid status'
@@ -363,14 +779,10 @@ router.patch('/:id/status', authenticateToken, async (req, res, next) => {
     }
 
     // Check if task exists and user has permission
-    let checkQuery = `
-      SELECT t.id, t.created_by, t.assigned_to, p.created_by as project_owner
-      FROM tasks t
-      LEFT JOIN projects p ON t.project_id = p.id
-      WHERE t.id = ?
-    `;
-
-    const [tasks] = await db.execute(checkQuery, [id]);
+    const [tasks] = await db.execute(
+      'SELECT id, project_id, parent_task_id, status, status_category, created_by, assigned_to, assigned_team_id FROM tasks WHERE id = ?',
+      [id]
+    );
 
     if (tasks.length === 0) {
       return res.status(404).json({
@@ -382,23 +794,47 @@ router.patch('/:id/status', authenticateToken, async (req, res, next) => {
     const task = tasks[0];
 
     // Permission check
-    const canEdit = req.user.role === 'admin' || 
-                   task.created_by === req.user.id || 
-                   task.assigned_to === req.user.id || 
-                   task.project_owner === req.user.id;
-
-    if (!canEdit) {
+    if (!(await can(req.user, 'task:update', task))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
+    // Every move must be a transition of the project's workflow
+    const workflow = await getWorkflow(task.project_id);
+    const moveError = await checkMove(req.user, workflow, task, status);
+    if (moveError) {
+      return res.status(moveError.code).json({
+        success: false,
+        message: moveError.message
+      });
+    }
+
+    const state = findState(workflow, status);
+
+    const statusError = await checkStatus(id, task.parent_task_id, state.category);
+    if (statusError) {
+      return res.status(400).json({
+        success: false,
+        message: statusError
+      });
+    }
+
+    const blockers = await findBlockers(id, task.status_category, state.category, force);
+    if (blockers.length > 0) {
+      return blockedResponse(res, blockers);
+    }
+
     await db.execute(
-      'UPDATE tasks SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [status, id]
+      'UPDATE tasks SET status = ?, status_category = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [state.key, state.category, id]
     );
 
+    if (state.key !== task.status) {
+      await recordStatusChange(id, task.status, state, req.user.id);
+    }
+
     res.json({
       success: true,
       message: 'Task status updated successfully'
@@ -409,19 +845,15 @@ router.patch('/:id/status', authenticateToken, async (req, res, next) => {
 });
 
 // Delete task
-router.delete('/:id', authenticateToken, async (req, res, next) => {
+router.delete('/:id', authenticateToken, requireScope('tasks:write'), requireSameOrganization('tasks'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Check if task exists and user has permission
-    let checkQuery = `
-      SELECT t.id, t.created_by, p.created_by as project_owner
-      FROM tasks t
-      LEFT JOIN projects p ON t.project_id = p.id
-      WHERE t.id = ?
-    `;
-
-    const [tasks] = await db.execute(checkQuery, [id]);
+    const [tasks] = await db.execute(
+      'SELECT id, project_id, created_by FROM tasks WHERE id = ?',
+      [id]
+    );
 
     if (tasks.length === 0) {
       return res.status(404).json({
@@ -432,19 +864,20 @@ router.delete('/:id', authenticateToken, async (req, res, next) => {
 
     const task = tasks[0];
 
-    // Permission check - only creators, project owners, and admins can delete
-    const canDelete = req.user.role === 'admin' || 
-                     task.created_by === req.user.id || 
-                     task.project_owner === req.user.id;
-
-    if (!canDelete) {
+    // Permission check - only task creators and project maintainers/owners can delete
+    if (!(await can(req.user, 'task:delete', task))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
+    // Subtasks are deleted with the task, and so are the files, with all
+    // their versions, of both
+    const subtasks = await getDescendants(id);
+    const storedKeys = await listStoredKeys('task', [id, ...subtasks.map(subtask => subtask.id)]);
     await db.execute('DELETE FROM tasks WHERE id = ?', [id]);
+    await deleteStoredKeys(storedKeys);
 
     res.json({
       success: true,
@@ -455,9 +888,11 @@ router.delete('/:id', authenticateToken, async (req, res, next) => {
   }
 });
 
-// Upload files to task
+// Upload files to task (a file named like an existing one becomes its next version)
 router.post('/:id/upload', 
   authenticateToken,
+  requireScope('tasks:write'),
+  requireSameOrganization('tasks'),
   validationRules.validateUUID,
   handleValidationErrors,
   uploadMultiple,
@@ -467,14 +902,10 @@ router.post('/:id/upload',
       const { id } = req.params;
 
       // Check if task exists and user has permission
-      let checkQuery = `
-        SELECT t.id, t.created_by, t.assigned_to, p.created_by as project_owner
-        FROM tasks t
-        LEFT JOIN projects p ON t.project_id = p.id
-        WHERE t.id = ?
-      `;
-
-      const [tasks] = await db.execute(checkQuery, [id]);
+      const [tasks] = await db.execute(
+        'SELECT id, project_id, created_by, assigned_to, assigned_team_id FROM tasks WHERE id = ?',
+        [id]
+      );
 
       if (tasks.length === 0) {
         return res.status(404).json({
@@ -486,12 +917,7 @@ router.post('/:id/upload',
       const task = tasks[0];
 
       // Permission check
-      const canUpload = req.user.role === 'admin' || 
-                       task.created_by === req.user.id || 
-                       task.assigned_to === req.user.id || 
-                       task.project_owner === req.user.id;
-
-      if (!canUpload) {
+      if (!(await can(req.user, 'task:upload', task))) {
         return res.status(403).json({
           success: false,
           message: 'Access denied'
@@ -505,23 +931,32 @@ router.post('/:id/upload',
         });
       }
 
-      // Save file info to database
+      const commentError = checkComment(req.body.comment);
+      if (commentError) {
+        return res.status(400).json({
+          success: false,
+          message: commentError
+        });
+      }
+
+      // Only stored now that the upload is allowed
+      await storeFiles(req);
+
+      // Save file info to database; a name the task already has adds a version
       const fileData = [];
 
       for (const file of req.files) {
-        const fileId = uuidv4();
-        await db.execute(`
-          INSERT INTO task_files (id, task_id, filename, original_name, file_path, file_size, mimetype, uploaded_by)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `, [fileId, id, file.filename, file.originalname, file.path, file.size, file.mimetype, req.user.id]);
+        const saved = await saveUpload('task', id, file, req.user.id, req.body.comment && req.body.comment.trim());
 
         fileData.push({
-          id: fileId,
+          id: saved.id,
+          version: saved.version,
+          scan_status: 'pending',
           filename: file.filename,
           originalName: file.originalname,
           size: file.size,
           mimetype: file.mimetype,
-          url: `/uploads/tasks/${file.filename}`
+          url: downloadUrl('task', id, saved.id)
         });
       }
 
@@ -539,4 +974,228 @@ router.post('/:id/upload',
   }
 );
 
+// Files are visible to whoever can see the task
+const loadTaskForFiles = async (user, taskId) => {
+  const [tasks] = await db.execute(
+    'SELECT id, project_id, created_by, assigned_to, assigned_team_id FROM tasks WHERE id = ?',
+    [taskId]
+  );
+
+  if (tasks.length === 0 || !(await can(user, 'task:read', tasks[0]))) {
+    return null;
+  }
+  return tasks[0];
+};
+
+// List task files
+router.get('/:id/files', authenticateToken, requireScope('tasks:read'), requireSameOrganization('tasks'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await loadTaskForFiles(req.user, id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    const files = await listFiles('task', id);
+
+    res.json({
+      success: true,
+      data: files.map(file => presentFile('task', file))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download a task file
+router.get('/:id/files/:fileId/download', authenticateToken, requireScope('tasks:read'), requireSameOrganization('tasks'), async (req, res, next) => {
+  try {
+    const { id, fileId } = req.params;
+
+    if (!(await loadTaskForFiles(req.user, id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    const file = await findFile('task', id, fileId);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    await sendFile(res, file);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the versions of a task file, newest first
+router.get('/:id/files/:fileId/versions', authenticateToken, requireScope('tasks:read'), requireSameOrganization('tasks'), async (req, res, next) => {
+  try {
+    const { id, fileId } = req.params;
+
+    if (!(await loadTaskForFiles(req.user, id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    const file = await findFile('task', id, fileId);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const versions = await listVersions('task', fileId);
+
+    res.json({
+      success: true,
+      data: {
+        file: presentFile('task', file),
+        versions: versions.map(version => presentVersion('task', file, version))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download an earlier (or the current) version of a task file
+router.get('/:id/files/:fileId/versions/:version/download', authenticateToken, requireScope('tasks:read'), requireSameOrganization('tasks'), async (req, res, next) => {
+  try {
+    const { id, fileId } = req.params;
+
+    if (!(await loadTaskForFiles(req.user, id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    const file = await findFile('task', id, fileId);
+    const version = file && await findVersion('task', fileId, parseInt(req.params.version) || 0);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'File version not found'
+      });
+    }
+
+    await sendFile(res, file, { version });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore an earlier version of a task file as its newest version (whoever can upload)
+router.post('/:id/files/:fileId/versions/:version/restore', authenticateToken, requireScope('tasks:write'), requireSameOrganization('tasks'), validateRequest(schemas.fileRestore), async (req, res, next) => {
+  try {
+    const { id, fileId } = req.params;
+
+    const task = await loadTaskForFiles(req.user, id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    if (!(await can(req.user, 'task:upload', task))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const file = await findFile('task', id, fileId);
+    const version = file && await findVersion('task', fileId, parseInt(req.params.version) || 0);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'File version not found'
+      });
+    }
+
+    if (version.version === file.current_version) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already the current version'
+      });
+    }
+
+    if (version.scan_status === 'infected') {
+      return res.status(409).json({
+        success: false,
+        message: 'Quarantined versions cannot be restored'
+      });
+    }
+
+    const restored = await restoreVersion('task', file, version, req.user.id, req.body.comment && req.body.comment.trim());
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${version.version} restored as version ${restored}`,
+      data: presentVersion('task', { ...file, current_version: restored }, await findVersion('task', fileId, restored))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a task file (its uploader, or project maintainers and owners)
+router.delete('/:id/files/:fileId', authenticateToken, requireScope('tasks:write'), requireSameOrganization('tasks'), async (req, res, next) => {
+  try {
+    const { id, fileId } = req.params;
+
+    const task = await loadTaskForFiles(req.user, id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found or access denied'
+      });
+    }
+
+    const file = await findFile('task', id, fileId);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (!(await can(req.user, 'file:delete', { project_id: task.project_id, user_id: file.uploaded_by }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await deleteFile('task', file);
+
+    res.json({
+      success: true,
+      message: 'File deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,352 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { authenticateToken, authorize, requireScope, requireSameOrganization } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { can, tenantFilter, visibilityFilter } = require('../utils/policy');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Every team keeps at least one lead
+const isLastLead = async (teamId) => {
+  const [leads] = await db.execute(
+    "SELECT COUNT(*) as count FROM team_members WHERE team_id = ? AND role = 'lead'",
+    [teamId]
+  );
+  return leads[0].count <= 1;
+};
+
+// Get all teams of the organization
+router.get('/', authenticateToken, requireScope('teams:read'), async (req, res, next) => {
+  try {
+    const search = req.query.search || '';
+    const organization = tenantFilter(req.user, 't.organization_id');
+
+    let query = `
+      SELECT t.*, u.name as created_by_name,
+      (SELECT COUNT(*) FROM team_members WHERE team_id = t.id) as member_count
+      FROM teams t
+      LEFT JOIN users u ON t.created_by = u.id
+      WHERE 1=1${organization.clause}
+    `;
+    const params = [...organization.params];
+
+    if (search) {
+      query += ' AND (t.name LIKE ? OR t.description LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`);
+    }
+
+    query += ' ORDER BY t.name';
+
+    const [teams] = await db.execute(query, params);
+
+    res.json({
+      success: true,
+      data: teams
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get team by ID with members and projects
+router.get('/:id', authenticateToken, requireScope('teams:read'), requireSameOrganization('teams'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [teams] = await db.execute(`
+      SELECT t.*, u.name as created_by_name
+      FROM teams t
+      LEFT JOIN users u ON t.created_by = u.id
+      WHERE t.id = ?
+    `, [id]);
+
+    if (teams.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    const [members] = await db.execute(`
+      SELECT tm.user_id, u.name, u.email, tm.role, tm.created_at
+      FROM team_members tm
+      JOIN users u ON tm.user_id = u.id
+      WHERE tm.team_id = ?
+      ORDER BY FIELD(tm.role, 'lead', 'member'), u.name
+    `, [id]);
+
+    // Only the granted projects the caller can see themselves
+    const visibility = visibilityFilter(req.user, 'project', 'p.id');
+    const [projects] = await db.execute(`
+      SELECT pt.project_id, p.name, pt.role
+      FROM project_teams pt
+      JOIN projects p ON pt.project_id = p.id
+      WHERE pt.team_id = ?${visibility.clause}
+      ORDER BY p.name
+    `, [id, ...visibility.params]);
+
+    const team = teams[0];
+    team.members = members;
+    team.projects = projects;
+
+    res.json({
+      success: true,
+      data: team
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create team (admin/manager only) - the creator becomes its lead
+router.post('/', authenticateToken, requireScope('teams:write'), authorize('team:create'), validateRequest(schemas.team), async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+    const teamId = uuidv4();
+
+    await db.execute(
+      'INSERT INTO teams (id, organization_id, name, description, created_by) VALUES (?, ?, ?, ?, ?)',
+      [teamId, req.user.organization_id, name, description || null, req.user.id]
+    );
+
+    await db.execute(
+      'INSERT INTO team_members (team_id, user_id, role) VALUES (?, ?, ?)',
+      [teamId, req.user.id, 'lead']
+    );
+
+    const [team] = await db.execute('SELECT * FROM teams WHERE id = ?', [teamId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Team created successfully',
+      data: team[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update team (admin or team lead)
+router.put('/:id', authenticateToken, requireScope('teams:write'), requireSameOrganization('teams'), validateRequest(schemas.team), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, description } = req.body;
+
+    const [teams] = await db.execute('SELECT id FROM teams WHERE id = ?', [id]);
+
+    if (teams.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!(await can(req.user, 'team:update', { id }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await db.execute(
+      'UPDATE teams SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [name, description || null, id]
+    );
+
+    const [updatedTeam] = await db.execute('SELECT * FROM teams WHERE id = ?', [id]);
+
+    res.json({
+      success: true,
+      message: 'Team updated successfully',
+      data: updatedTeam[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete team (admin or team lead) - tasks assigned to it become unassigned
+router.delete('/:id', authenticateToken, requireScope('teams:write'), requireSameOrganization('teams'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [teams] = await db.execute('SELECT id, name FROM teams WHERE id = ?', [id]);
+
+    if (teams.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!(await can(req.user, 'team:delete', { id }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await db.execute('DELETE FROM teams WHERE id = ?', [id]);
+
+    logger.info(`Team ${teams[0].name} deleted by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Team deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add team member (admin or team lead)
+router.post('/:id/members', authenticateToken, requireScope('teams:write'), requireSameOrganization('teams'), validateRequest(schemas.teamMember), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { user_id } = req.body;
+    const memberRole = req.body.role || 'member';
+
+    const [teams] = await db.execute('SELECT id FROM teams WHERE id = ?', [id]);
+
+    if (teams.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team not found'
+      });
+    }
+
+    if (!(await can(req.user, 'team:manage_members', { id }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const organization = tenantFilter(req.user, 'organization_id');
+    const [users] = await db.execute(
+      `SELECT id FROM users WHERE id = ? AND is_active = 1${organization.clause}`,
+      [user_id, ...organization.params]
+    );
+    if (users.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'User not found or inactive'
+      });
+    }
+
+    const [result] = await db.execute(
+      'INSERT IGNORE INTO team_members (team_id, user_id, role) VALUES (?, ?, ?)',
+      [id, user_id, memberRole]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'User is already a member of this team'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      data: { team_id: id, user_id, role: memberRole }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change a member's team role (admin or team lead)
+router.put('/:id/members/:userId', authenticateToken, requireScope('teams:write'), requireSameOrganization('teams'), validateRequest(schemas.teamMemberRole), async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+    const { role: memberRole } = req.body;
+
+    const [members] = await db.execute(
+      'SELECT role FROM team_members WHERE team_id = ? AND user_id = ?',
+      [id, userId]
+    );
+
+    if (members.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (!(await can(req.user, 'team:manage_members', { id }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (members[0].role === 'lead' && memberRole !== 'lead' && await isLastLead(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A team needs at least one lead'
+      });
+    }
+
+    await db.execute(
+      'UPDATE team_members SET role = ? WHERE team_id = ? AND user_id = ?',
+      [memberRole, id, userId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: { team_id: id, user_id: userId, role: memberRole }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove team member (admin or team lead, or members leaving)
+router.delete('/:id/members/:userId', authenticateToken, requireScope('teams:write'), requireSameOrganization('teams'), async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+
+    const [members] = await db.execute(
+      'SELECT role FROM team_members WHERE team_id = ? AND user_id = ?',
+      [id, userId]
+    );
+
+    if (members.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const leaving = userId === req.user.id;
+
+    if (!leaving && !(await can(req.user, 'team:manage_members', { id }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (members[0].role === 'lead' && await isLastLead(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A team needs at least one lead'
+      });
+    }
+
+    await db.execute('DELETE FROM team_members WHERE team_id = ? AND user_id = ?', [id, userId]);
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,334 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { authenticateToken, requireScope, requireSameOrganization } = require('../middleware/auth');
+const { validateRequest, schemas } = require('../middleware/validation');
+const { can, visibilityFilter } = require('../utils/policy');
+const { entryTimes, startTimer, stopTimer } = require('../utils/timeTracking');
+
+const router = express.Router();
+
+const ENTRY_SELECT = `
+  SELECT te.*, t.title as task_title, t.project_id, p.name as project_name, u.name as user_name
+  FROM time_entries te
+  JOIN tasks t ON te.task_id = t.id
+  JOIN projects p ON t.project_id = p.id
+  JOIN users u ON te.user_id = u.id
+`;
+
+const findEntry = async (id) => {
+  const [entries] = await db.execute(`${ENTRY_SELECT} WHERE te.id = ?`, [id]);
+  return entries.length > 0 ? entries[0] : null;
+};
+
+const findRunningTimer = async (userId) => {
+  const [entries] = await db.execute(
+    `${ENTRY_SELECT} WHERE te.user_id = ? AND te.started_at IS NOT NULL AND te.ended_at IS NULL AND te.duration_minutes IS NULL`,
+    [userId]
+  );
+  return entries.length > 0 ? entries[0] : null;
+};
+
+// Time is logged on tasks the user can contribute to
+const loadTaskForLogging = async (user, taskId) => {
+  const [tasks] = await db.execute(
+    'SELECT id, organization_id, project_id FROM tasks WHERE id = ?',
+    [taskId]
+  );
+
+  if (tasks.length === 0 || !(await can(user, 'task:read', tasks[0]))) {
+    return { status: 404, message: 'Task not found or access denied' };
+  }
+  if (!(await can(user, 'task:log_time', tasks[0]))) {
+    return { status: 403, message: 'Access denied' };
+  }
+  return { task: tasks[0] };
+};
+
+// Get time entries on tasks the user can see
+router.get('/', authenticateToken, requireScope('tasks:read'), async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const { task_id, project_id, user_id, billable, from, to } = req.query;
+
+    let conditions = '';
+    const params = [];
+
+    const visibility = visibilityFilter(req.user, 'task', 't.project_id');
+    conditions += visibility.clause;
+    params.push(...visibility.params);
+
+    if (task_id) {
+      conditions += ' AND te.task_id = ?';
+      params.push(task_id);
+    }
+
+    if (project_id) {
+      conditions += ' AND t.project_id = ?';
+      params.push(project_id);
+    }
+
+    if (user_id) {
+      conditions += ' AND te.user_id = ?';
+      params.push(user_id);
+    }
+
+    if (billable === 'true' || billable === 'false') {
+      conditions += ' AND te.billable = ?';
+      params.push(billable === 'true' ? 1 : 0);
+    }
+
+    // Entries logged as a bare duration are dated by when they were logged
+    if (from) {
+      conditions += ' AND COALESCE(te.started_at, te.created_at) >= ?';
+      params.push(from);
+    }
+
+    if (to) {
+      conditions += ' AND COALESCE(te.started_at, te.created_at) < DATE_ADD(?, INTERVAL 1 DAY)';
+      params.push(to);
+    }
+
+    const [entries] = await db.execute(
+      `${ENTRY_SELECT} WHERE 1=1${conditions} ORDER BY COALESCE(te.started_at, te.created_at) DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    const [totalResult] = await db.execute(`
+      SELECT COUNT(*) as total
+      FROM time_entries te
+      JOIN tasks t ON te.task_id = t.id
+      WHERE 1=1${conditions}
+    `, params);
+    const total = totalResult[0].total;
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the current user's running timer
+router.get('/timer', authenticateToken, requireScope('tasks:read'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await findRunningTimer(req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start a timer on a task - one running timer per user
+router.post('/timer/start', authenticateToken, requireScope('tasks:write'), validateRequest(schemas.timerStart), async (req, res, next) => {
+  try {
+    const { task_id, notes, billable } = req.body;
+
+    const { task, status, message } = await loadTaskForLogging(req.user, task_id);
+    if (!task) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const { id: entryId, runningId } = await startTimer(req.user, task_id, { notes, billable });
+    if (runningId) {
+      return res.status(409).json({
+        success: false,
+        message: 'A timer is already running; stop it first',
+        data: await findEntry(runningId)
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Timer started',
+      data: await findEntry(entryId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stop the current user's running timer, turning it into a time entry
+router.post('/timer/stop', authenticateToken, requireScope('tasks:write'), validateRequest(schemas.timerStop), async (req, res, next) => {
+  try {
+    const entryId = await stopTimer(req.user.id, { notes: req.body.notes });
+
+    if (!entryId) {
+      return res.status(404).json({
+        success: false,
+        message: 'No timer is running'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Timer stopped',
+      data: await findEntry(entryId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get time entry by ID
+router.get('/:id', authenticateToken, requireScope('tasks:read'), requireSameOrganization('time_entries'), async (req, res, next) => {
+  try {
+    const entry = await findEntry(req.params.id);
+
+    if (!entry || !(await can(req.user, 'task:read', entry))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Log time on a task for the current user
+router.post('/', authenticateToken, requireScope('tasks:write'), validateRequest(schemas.timeEntry), async (req, res, next) => {
+  try {
+    const { task_id, notes, billable } = req.body;
+
+    const { task, status, message } = await loadTaskForLogging(req.user, task_id);
+    if (!task) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const times = entryTimes(req.body);
+    if (times.error) {
+      return res.status(400).json({
+        success: false,
+        message: times.error
+      });
+    }
+
+    const entryId = uuidv4();
+
+    await db.execute(`
+      INSERT INTO time_entries (id, organization_id, task_id, user_id, started_at, ended_at, duration_minutes, notes, billable)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [entryId, req.user.organization_id, task_id, req.user.id, times.startedAt, times.endedAt, times.minutes, notes || null, billable ? 1 : 0]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Time entry created successfully',
+      data: await findEntry(entryId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update time entry (its author, or project maintainers and owners)
+router.put('/:id', authenticateToken, requireScope('tasks:write'), requireSameOrganization('time_entries'), validateRequest(schemas.timeEntryUpdate), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { notes, billable } = req.body;
+
+    const entry = await findEntry(id);
+
+    if (!entry || !(await can(req.user, 'task:read', entry))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found or access denied'
+      });
+    }
+
+    if (!(await can(req.user, 'time_entry:update', entry))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (entry.duration_minutes === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stop the timer before editing this entry'
+      });
+    }
+
+    const times = entryTimes(req.body);
+    if (times.error) {
+      return res.status(400).json({
+        success: false,
+        message: times.error
+      });
+    }
+
+    await db.execute(`
+      UPDATE time_entries
+      SET started_at = ?, ended_at = ?, duration_minutes = ?, notes = ?, billable = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [times.startedAt, times.endedAt, times.minutes, notes || null, billable ? 1 : 0, id]);
+
+    res.json({
+      success: true,
+      message: 'Time entry updated successfully',
+      data: await findEntry(id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete time entry (its author, or project maintainers and owners)
+router.delete('/:id', authenticateToken, requireScope('tasks:write'), requireSameOrganization('time_entries'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await findEntry(id);
+
+    if (!entry || !(await can(req.user, 'task:read', entry))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time entry not found or access denied'
+      });
+    }
+
+    if (!(await can(req.user, 'time_entry:delete', entry))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await db.execute('DELETE FROM time_entries WHERE id = ?', [id]);
+
+    res.json({
+      success: true,
+      message: 'Time entry deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,28 +1,41 @@
 const express = require('express');
+const path = require('path');
 const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorize, authorizeUser, requireScope, requireSameOrganization, requireUserSession } = require('../middleware/auth');
 const { validateRequest, schemas } = require('../middleware/validation');
 const { uploadAvatar, handleUploadError } = require('../middleware/upload');
 const { validationRules, handleValidationErrors } = require('../middleware/validation');
+const { revokeFamily, revokeAllForUser, bumpTokenVersion, listActiveSessions } = require('../utils/tokens');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { generateApiKey } = require('../utils/apiKeys');
+const { can, tenantFilter, getUserResource } = require('../utils/policy');
+const { getUserTimeTracking } = require('../utils/timeTracking');
+const { scanContent } = require('../utils/scanner');
+const { AVATAR_SIZES, DEFAULT_AVATAR_SIZE, avatarUrl, checkAvatar, checkAvatarSize, resizeAvatar, saveAvatar, deleteAvatar } = require('../utils/avatars');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Get all users (admin/manager only)
-router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res, next) => {
+// Get all users of the organization (admin/manager only)
+router.get('/', authenticateToken, requireScope('users:read'), authorize('user:list'), async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const offset = (page - 1) * limit;
     const search = req.query.search || '';
     const role = req.query.role || '';
+    const team_id = req.query.team_id || '';
+
+    const organization = tenantFilter(req.user, 'organization_id');
 
     let query = `
       SELECT id, name, email, role, is_active, created_at, last_login 
       FROM users 
-      WHERE 1=1
+      WHERE 1=1${organization.clause}
     `;
-    const params = [];
+    const params = [...organization.params];
 
     if (search) {
       query += ' AND (name LIKE ? OR email LIKE ?)';
@@ -34,14 +47,19 @@ router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), async (re
       params.push(role);
     }
 
+    if (team_id) {
+      query += ' AND id IN (SELECT user_id FROM team_members WHERE team_id = ?)';
+      params.push(team_id);
+    }
+
     query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
     params.push(limit, offset);
 
     const [users] = await db.execute(query, params);
 
     // Get total count
-    let countQuery = 'SELECT COUNT(*) as total FROM users WHERE 1=1';
-    const countParams = [];
+    let countQuery = `SELECT COUNT(*) as total FROM users WHERE 1=1${organization.clause}`;
+    const countParams = [...organization.params];
 
     if (search) {
       countQuery += ' AND (name LIKE ? OR email LIKE ?)';
@@ -53,6 +71,11 @@ router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), async (re
       countParams.push(role);
     }
 
+    if (team_id) {
+      countQuery += ' AND id IN (SELECT user_id FROM team_members WHERE team_id = ?)';
+      countParams.push(team_id);
+    }
+
     const [totalResult] = await db.execute(countQuery, countParams);
     const total = totalResult[0].total;
 
@@ -74,12 +97,12 @@ router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), async (re
 });
 
 // Get user by ID
-router.get('/:id', authenticateToken, async (req, res, next) => {
+router.get('/:id', authenticateToken, requireScope('users:read'), requireSameOrganization('users'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Users can only access their own profile unless they're admin/manager
-    if (req.user.id !== id && !['admin', 'manager'].includes(req.user.role)) {
+    if (!(await can(req.user, 'user:read', { id }))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -87,7 +110,8 @@ router.get('/:id', authenticateToken, async (req, res, next) => {
     }
 
     const [users] = await db.execute(
-      'SELECT id, name, email, role, is_active, created_at, last_login FROM users WHERE id = ?',
+      `SELECT id, name, email, email_verified_at, role, is_active, locked_until, avatar_url, created_at, last_login
+       FROM users WHERE id = ?`,
       [id]
     );
 
@@ -100,7 +124,7 @@ router.get('/:id', authenticateToken, async (req, res, next) => {
 
     res.json({
       success: true,
-      data: users[0]
+      data: { ...users[0], avatar_url: await avatarUrl(users[0]) }
     });
   } catch (error) {
     next(error);
@@ -108,28 +132,37 @@ router.get('/:id', authenticateToken, async (req, res, next) => {
 });
 
 // Update user
-router.put('/:id', authenticateToken, async (req, res, next) => {
+router.put('/:id', authenticateToken, requireScope('users:write'), requireSameOrganization('users'), async (req, res, next) => {
   try {
     const { id } = req.params;
+    const target = await getUserResource(id);
     const { name, email, role } = req.body;
 
     // Users can only update their own profile unless they're admin
-    if (req.user.id !== id && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'user:update', target))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
+    if (role && req.auth.impersonation) {
+      return res.status(403).json({
+        success: false,
+        message: 'Roles cannot be changed while impersonating'
+      });
+    }
+
     // Only admins can change roles
-    if (role && req.user.role !== 'admin') {
+    const canChangeRole = await can(req.user, 'user:change_role', target);
+    if (role && !canChangeRole) {
       return res.status(403).json({
         success: false,
         message: 'Only admins can change user roles'
       });
     }
 
-    const [users] = await db.execute('SELECT id FROM users WHERE id = ?', [id]);
+    const [users] = await db.execute('SELECT id, name, email, role FROM users WHERE id = ?', [id]);
     if (users.length === 0) {
       return res.status(404).json({
         success: false,
@@ -137,6 +170,14 @@ router.put('/:id', authenticateToken, async (req, res, next) => {
       });
     }
 
+    // Super admins run the platform; the role is never granted or taken away here
+    if (role && (role === 'super_admin' || users[0].role === 'super_admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'The super_admin role cannot be changed'
+      });
+    }
+
     // Build update query dynamically
     const updates = [];
     const params = [];
@@ -145,11 +186,13 @@ router.put('/:id', authenticateToken, async (req, res, next) => {
       updates.push('name = ?');
       params.push(name);
     }
-    if (email) {
-      updates.push('email = ?');
+    // A new address has to be verified again
+    const emailChanged = email && email !== users[0].email;
+    if (emailChanged) {
+      updates.push('email = ?', 'email_verified_at = NULL');
       params.push(email);
     }
-    if (role && req.user.role === 'admin') {
+    if (role && canChangeRole) {
       updates.push('role = ?');
       params.push(role);
     }
@@ -168,9 +211,18 @@ router.put('/:id', authenticateToken, async (req, res, next) => {
       params
     );
 
+    // Tokens carry the role claim, so a role change retires them
+    if (role && canChangeRole && role !== users[0].role) {
+      await bumpTokenVersion(id);
+    }
+
+    if (emailChanged) {
+      await sendVerificationEmail({ id, name: name || users[0].name }, email);
+    }
+
     // Return updated user
     const [updatedUser] = await db.execute(
-      'SELECT id, name, email, role, is_active, updated_at FROM users WHERE id = ?',
+      'SELECT id, name, email, email_verified_at, role, is_active, updated_at FROM users WHERE id = ?',
       [id]
     );
 
@@ -185,13 +237,14 @@ router.put('/:id', authenticateToken, async (req, res, next) => {
 });
 
 // Update user password
-router.patch('/:id/password', authenticateToken, async (req, res, next) => {
+router.patch('/:id/password', authenticateToken, requireUserSession, requireSameOrganization('users'), async (req, res, next) => {
   try {
     const { id } = req.params;
+    const target = await getUserResource(id);
     const { currentPassword, newPassword } = req.body;
 
     // Users can only change their own password unless they're admin
-    if (req.user.id !== id && req.user.role !== 'admin') {
+    if (!(await can(req.user, 'user:change_password', target))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -217,7 +270,7 @@ router.patch('/:id/password', authenticateToken, async (req, res, next) => {
     const user = users[0];
 
     // If not admin, verify current password
-    if (req.user.role !== 'admin') {
+    if (!(await can(req.user, 'user:manage', target))) {
       if (!currentPassword) {
         return res.status(400).json({
           success: false,
@@ -242,6 +295,10 @@ router.patch('/:id/password', authenticateToken, async (req, res, next) => {
       [hashedPassword, id]
     );
 
+    // Sign out every existing session after a password change
+    await bumpTokenVersion(id);
+    await revokeAllForUser(id);
+
     res.json({
       success: true,
       message: 'Password updated successfully'
@@ -252,7 +309,7 @@ router.patch('/:id/password', authenticateToken, async (req, res, next) => {
 });
 
 // Deactivate user (admin only)
-router.patch('/:id/deactivate', authenticateToken, authorizeRoles('admin'), async (req, res, next) => {
+router.patch('/:id/deactivate', authenticateToken, requireScope('users:write'), requireSameOrganization('users'), authorizeUser('user:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -285,7 +342,7 @@ router.patch('/:id/deactivate', authenticateToken, authorizeRoles('admin'), asyn
 });
 
 // Activate user (admin only)
-router.patch('/:id/activate', authenticateToken, authorizeRoles('admin'), async (req, res, next) => {
+router.patch('/:id/activate', authenticateToken, requireScope('users:write'), requireSameOrganization('users'), authorizeUser('user:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -310,8 +367,120 @@ router.patch('/:id/activate', authenticateToken, authorizeRoles('admin'), async
   }
 });
 
+// Unlock a user locked out by failed logins (admin only)
+router.patch('/:id/unlock', authenticateToken, requireScope('users:write'), requireSameOrganization('users'), authorizeUser('user:manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [result] = await db.execute(
+      'UPDATE users SET locked_until = NULL, failed_login_attempts = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    logger.info('Account unlocked by admin', {
+      event: 'account_unlocked',
+      userId: id,
+      unlockedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List a user's active sessions (admin only)
+router.get('/:id/sessions', authenticateToken, requireUserSession, requireSameOrganization('users'), authorizeUser('user:manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [users] = await db.execute('SELECT id FROM users WHERE id = ?', [id]);
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await listActiveSessions(id);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke one of a user's sessions (admin only)
+router.delete('/:id/sessions/:sessionId', authenticateToken, requireUserSession, requireSameOrganization('users'), authorizeUser('user:manage'), async (req, res, next) => {
+  try {
+    const { id, sessionId } = req.params;
+
+    const [sessions] = await db.execute(
+      'SELECT id FROM user_sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [sessionId, id]
+    );
+
+    if (sessions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeFamily(sessionId);
+
+    logger.info(`Session ${sessionId} of user ${id} revoked by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke all of a user's sessions (admin only)
+router.delete('/:id/sessions', authenticateToken, requireUserSession, requireSameOrganization('users'), authorizeUser('user:manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const [users] = await db.execute('SELECT id FROM users WHERE id = ?', [id]);
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await revokeAllForUser(id);
+
+    logger.info(`All sessions of user ${id} revoked by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'All sessions revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Delete user (admin only)
-router.delete('/:id', authenticateToken, authorizeRoles('admin'), async (req, res, next) => {
+router.delete('/:id', authenticateToken, requireScope('users:write'), requireSameOrganization('users'), authorizeUser('user:manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -333,6 +502,7 @@ router.delete('/:id', authenticateToken, authorizeRoles('admin'), async (req, re
       });
     }
 
+    const [avatars] = await db.execute('SELECT avatar_url FROM users WHERE id = ?', [id]);
     const [result] = await db.execute('DELETE FROM users WHERE id = ?', [id]);
 
     if (result.affectedRows === 0) {
@@ -342,6 +512,10 @@ router.delete('/:id', authenticateToken, authorizeRoles('admin'), async (req, re
       });
     }
 
+    if (avatars[0].avatar_url) {
+      await deleteAvatar(avatars[0].avatar_url);
+    }
+
     res.json({
       success: true,
       message: 'User deleted successfully'
@@ -352,7 +526,7 @@ router.delete('/:id', authenticateToken, authorizeRoles('admin'), async (req, re
 });
 
 // Get user statistics (admin/manager only)
-router.get('/:id/stats', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res, next) => {
+router.get('/:id/stats', authenticateToken, requireScope('users:read'), requireSameOrganization('users'), authorize('user:view_stats'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -378,9 +552,9 @@ router.get('/:id/stats', authenticateToken, authorizeRoles('admin', 'manager'),
     const [taskStats] = await db.execute(`
       SELECT 
         COUNT(*) as total_tasks,
-        SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed_tasks,
-        SUM(CASE WHEN status = 'in_progress' THEN 1 ELSE 0 END) as in_progress_tasks,
-        SUM(CASE WHEN due_date < CURRENT_DATE AND status != 'completed' THEN 1 ELSE 0 END) as overdue_tasks,
+        SUM(CASE WHEN status_category = 'done' THEN 1 ELSE 0 END) as completed_tasks,
+        SUM(CASE WHEN status_category = 'active' THEN 1 ELSE 0 END) as in_progress_tasks,
+        SUM(CASE WHEN due_date < CURRENT_DATE AND status_category != 'done' THEN 1 ELSE 0 END) as overdue_tasks,
         AVG(estimated_hours) as avg_estimated_hours
       FROM tasks 
       WHERE assigned_to = ?
@@ -398,7 +572,8 @@ router.get('/:id/stats', authenticateToken, authorizeRoles('admin', 'manager'),
         user: users[0],
         projects: projectStats[0],
         assigned_tasks: taskStats[0],
-        created_tasks: createdTaskStats[0].created_tasks
+        created_tasks: createdTaskStats[0].created_tasks,
+        time_tracking: await getUserTimeTracking(id, req.user)
       }
     });
   } catch (error) {
@@ -406,9 +581,145 @@ router.get('/:id/stats', authenticateToken, authorizeRoles('admin', 'manager'),
   }
 });
 
+// List API keys (owner or admin)
+router.get('/:id/tokens', authenticateToken, requireUserSession, requireSameOrganization('users'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const target = await getUserResource(id);
+
+    if (!(await can(req.user, 'user:manage_api_keys', target))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const [keys] = await db.execute(`
+      SELECT id, name, key_prefix, scopes, expires_at, last_used_at, revoked_at, created_at
+      FROM api_keys
+      WHERE user_id = ?
+      ORDER BY created_at DESC
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: keys.map(key => ({ ...key, scopes: JSON.parse(key.scopes) }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create API key - the key itself is only returned in this response
+router.post('/:id/tokens', authenticateToken, requireUserSession, requireSameOrganization('users'), validateRequest(schemas.apiKey), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const target = await getUserResource(id);
+    const { name, scopes, expires_in_days } = req.body;
+
+    // Keys act as their owner, so only the owner may create them
+    if (!(await can(req.user, 'user:create_api_key', target))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const keyId = uuidv4();
+    const { key, prefix, hash } = generateApiKey();
+
+    await db.execute(`
+      INSERT INTO api_keys (id, user_id, name, key_prefix, key_hash, scopes, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, IF(? IS NULL, NULL, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? DAY)))
+    `, [keyId, id, name, prefix, hash, JSON.stringify(scopes), expires_in_days || null, expires_in_days || null]);
+
+    const [keys] = await db.execute(
+      'SELECT id, name, key_prefix, scopes, expires_at, created_at FROM api_keys WHERE id = ?',
+      [keyId]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: {
+        ...keys[0],
+        scopes,
+        token: key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke API key (owner or admin)
+router.delete('/:id/tokens/:tokenId', authenticateToken, requireUserSession, requireSameOrganization('users'), async (req, res, next) => {
+  try {
+    const { id, tokenId } = req.params;
+    const target = await getUserResource(id);
+
+    if (!(await can(req.user, 'user:manage_api_keys', target))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const [result] = await db.execute(
+      'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [tokenId, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a user's avatar image in one of AVATAR_SIZES (users of the same organization)
+router.get('/:id/avatar', authenticateToken, requireScope('users:read'), requireSameOrganization('users'), async (req, res, next) => {
+  try {
+    const sizeError = checkAvatarSize(req.query.size);
+    if (sizeError) {
+      return res.status(400).json({
+        success: false,
+        message: sizeError
+      });
+    }
+
+    const [users] = await db.execute('SELECT avatar_url FROM users WHERE id = ?', [req.params.id]);
+
+    if (users.length === 0 || !users[0].avatar_url) {
+      return res.status(404).json({
+        success: false,
+        message: 'Avatar not found'
+      });
+    }
+
+    const url = await avatarUrl(users[0], Number(req.query.size) || DEFAULT_AVATAR_SIZE);
+
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, url);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Upload user avatar
 router.post('/:id/avatar', 
   authenticateToken,
+  requireScope('users:write'),
+  requireSameOrganization('users'),
   validationRules.validateUUID,
   handleValidationErrors,
   uploadAvatar,
@@ -416,16 +727,17 @@ router.post('/:id/avatar',
   async (req, res, next) => {
     try {
       const { id } = req.params;
+      const target = await getUserResource(id);
 
       // Users can only upload their own avatar unless they're admin
-      if (req.user.id !== id && req.user.role !== 'admin') {
+      if (!(await can(req.user, 'user:upload_avatar', target))) {
         return res.status(403).json({
           success: false,
           message: 'Access denied'
         });
       }
 
-      const [users] = await db.execute('SELECT id FROM users WHERE id = ?', [id]);
+      const [users] = await db.execute('SELECT id, avatar_url FROM users WHERE id = ?', [id]);
       if (users.length === 0) {
         return res.status(404).json({
           success: false,
@@ -440,9 +752,44 @@ router.post('/:id/avatar',
         });
       }
 
-      // Update user avatar URL in database
-      const avatarUrl = `/uploads/avatars/${req.file.filename}`;
-      await db.execute('UPDATE users SET avatar_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [avatarUrl, id]);
+      const avatarError = checkAvatar(req.file);
+      if (avatarError) {
+        return res.status(400).json({
+          success: false,
+          message: avatarError
+        });
+      }
+
+      const base = `avatars/${uuidv4()}`;
+
+      // Avatars are shown as soon as they are set, so they are scanned first
+      const scan = await scanContent(`${base}${path.extname(req.file.originalname).toLowerCase()}`, req.file.buffer);
+      if (scan.status === 'infected') {
+        return res.status(422).json({
+          success: false,
+          message: 'Malware was found in the uploaded file'
+        });
+      }
+
+      let images;
+      try {
+        images = await resizeAvatar(req.file.buffer);
+      } catch (error) {
+        logger.warn(`Avatar for user ${id} could not be processed: ${error.message}`);
+        return res.status(400).json({
+          success: false,
+          message: 'Avatar image could not be processed'
+        });
+      }
+
+      await saveAvatar(base, images);
+
+      // Store the avatar's key prefix; it is served through GET /api/users/:id/avatar
+      await db.execute('UPDATE users SET avatar_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [base, id]);
+
+      if (users[0].avatar_url) {
+        await deleteAvatar(users[0].avatar_url);
+      }
 
       res.json({
         success: true,
@@ -450,10 +797,9 @@ router.post('/:id/avatar',
         data: {
           user_id: id,
           avatar: {
-            filename: req.file.filename,
             originalName: req.file.originalname,
-            size: req.file.size,
-            url: `/uploads/avatars/${req.file.filename}`
+            sizes: AVATAR_SIZES,
+            url: await avatarUrl({ avatar_url: base })
           }
         }
       });
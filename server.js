@@ -12,9 +12,17 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const projectRoutes = require('./routes/projects');
 const taskRoutes = require('./routes/tasks');
+const taskCommentRoutes = require('./routes/taskComments');
+const timeEntryRoutes = require('./routes/timeEntries');
+const fileRoutes = require('./routes/files');
 const categoryRoutes = require('./routes/categories');
+const invitationRoutes = require('./routes/invitations');
+const teamRoutes = require('./routes/teams');
+const organizationRoutes = require('./routes/organizations');
+const meRoutes = require('./routes/me');
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
+const { scanPendingFiles } = require('./utils/files');
 
 const app = express();
 
@@ -63,7 +71,6 @@ app.use(compression());
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use('/uploads', express.static('uploads'));
 
 // Health check with DB status
 app.get('/health', async (req, res) => {
@@ -94,8 +101,15 @@ app.get('/health', async (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/projects', projectRoutes);
+app.use('/api/tasks/:id/comments', taskCommentRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/time-entries', timeEntryRoutes);
+app.use('/api/files', fileRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/me', meRoutes);
 
 
 // 404 handler
@@ -118,6 +132,11 @@ const HOST = process.env.HOST || '0.0.0.0';
 // Start server - Railway needs to listen on 0.0.0.0
 const server = app.listen(PORT, HOST, () => {
   logger.info(`Server running on ${HOST}:${PORT} in ${process.env.NODE_ENV} mode`);
+
+  // Uploads left unscanned by a restart or an unreachable scanner
+  if (process.env.NODE_ENV !== 'test') {
+    scanPendingFiles().catch(error => logger.error(`Malware scan of pending files failed: ${error.message}`));
+  }
 });
 
 // Graceful shutdown
@@ -48,6 +48,16 @@ describe('Authentication Endpoints', () => {
         .expect(409);
     });
 
+    it('should reject self-registration with an elevated role', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...testUser, email: `admin${Date.now()}@example.com`, role: 'admin' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Validation error');
+    });
+
     it('should reject weak password', async () => {
       const weakPasswordUser = {
         ...testUser,
@@ -99,6 +109,72 @@ describe('Authentication Endpoints', () => {
     });
   });
 
+  describe('POST /api/auth/refresh', () => {
+    it('should reject request without refresh token', async () => {
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({})
+        .expect(401);
+    });
+
+    it('should reject malformed refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'invalid-token' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid refresh token');
+    });
+  });
+
+  describe('POST /api/auth/login/2fa', () => {
+    it('should reject invalid challenge token', async () => {
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: 'invalid-token', code: '123456' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid or expired challenge token');
+    });
+
+    it('should require exactly one of code or recovery code', async () => {
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: 'invalid-token' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/auth/verify-email', () => {
+    it('should reject request without verification token', async () => {
+      const response = await request(app)
+        .get('/api/auth/verify-email')
+        .expect(400);
+
+      expect(response.body.message).toBe('Verification token required');
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    it('should reject request without reset token', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ password: 'NewPass@123' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation error');
+    });
+
+    it('should reject weak new password', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'a'.repeat(64), password: 'weak' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Validation error');
+    });
+  });
+
   describe('GET /api/auth/profile', () => {
     it('should get user profile with valid token', async () => {
       const response = await request(app)
@@ -124,6 +200,161 @@ describe('Authentication Endpoints', () => {
         .expect(401);
     });
   });
+
+  describe('GET /api/auth/sessions', () => {
+    it('should reject request without token', async () => {
+      await request(app)
+        .get('/api/auth/sessions')
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/auth/impersonate/:userId', () => {
+    it('should reject request without token', async () => {
+      await request(app)
+        .post('/api/auth/impersonate/some-user-id')
+        .expect(401);
+    });
+  });
+});
+
+describe('Invitation Endpoints', () => {
+  it('should require authentication to create invitations', async () => {
+    await request(app)
+      .post('/api/invitations')
+      .send({ email: 'invitee@example.com', role: 'manager' })
+      .expect(401);
+  });
+
+  it('should reject accepting an invitation without a token', async () => {
+    const response = await request(app)
+      .post('/api/invitations/accept')
+      .send({ name: 'Invited User', password: 'TestPass@123' })
+      .expect(400);
+
+    expect(response.body.message).toBe('Validation error');
+  });
+});
+
+describe('Project Member Endpoints', () => {
+  it('should require authentication to add members', async () => {
+    await request(app)
+      .post('/api/projects/00000000-0000-4000-8000-000000000000/members')
+      .send({ user_id: '00000000-0000-4000-8000-000000000001', role: 'viewer' })
+      .expect(401);
+  });
+});
+
+describe('Subtask Endpoints', () => {
+  it('should require authentication to list subtasks', async () => {
+    await request(app)
+      .get('/api/tasks/00000000-0000-4000-8000-000000000000/subtasks')
+      .expect(401);
+  });
+});
+
+describe('Project Workflow Endpoints', () => {
+  it('should require authentication to change a workflow', async () => {
+    await request(app)
+      .put('/api/projects/00000000-0000-4000-8000-000000000000/workflow')
+      .send({ states: [{ key: 'done', name: 'Done', category: 'done' }], transitions: [] })
+      .expect(401);
+  });
+});
+
+describe('File Endpoints', () => {
+  it('should require authentication to download files', async () => {
+    await request(app)
+      .get('/api/tasks/00000000-0000-4000-8000-000000000000/files/00000000-0000-4000-8000-000000000001/download')
+      .expect(401);
+  });
+
+  it('should reject download links without a valid signature', async () => {
+    await request(app)
+      .get('/api/files/download')
+      .query({ key: 'tasks/report.pdf', expires: String(Math.floor(Date.now() / 1000) + 300), signature: 'forged' })
+      .expect(403);
+  });
+
+  it('should require authentication to list file versions', async () => {
+    await request(app)
+      .get('/api/projects/00000000-0000-4000-8000-000000000000/files/00000000-0000-4000-8000-000000000001/versions')
+      .expect(401);
+  });
+
+  it('should require authentication to upload avatars', async () => {
+    await request(app)
+      .post('/api/users/00000000-0000-4000-8000-000000000000/avatar')
+      .attach('avatar', Buffer.from('GIF89a'), 'avatar.gif')
+      .expect(401);
+  });
+
+  it('should not serve the uploads folder publicly', async () => {
+    await request(app)
+      .get('/uploads/avatars/avatar.jpg')
+      .expect(404);
+  });
+});
+
+describe('Task Status History Endpoints', () => {
+  it('should require authentication to read status history', async () => {
+    await request(app)
+      .get('/api/tasks/00000000-0000-4000-8000-000000000000/history')
+      .expect(401);
+  });
+});
+
+describe('Team Endpoints', () => {
+  it('should require authentication to create teams', async () => {
+    await request(app)
+      .post('/api/teams')
+      .send({ name: 'Platform' })
+      .expect(401);
+  });
+});
+
+describe('Task Dependency Endpoints', () => {
+  it('should require authentication to add dependencies', async () => {
+    await request(app)
+      .post('/api/tasks/00000000-0000-4000-8000-000000000000/dependencies')
+      .send({ depends_on_task_id: '00000000-0000-4000-8000-000000000001' })
+      .expect(401);
+  });
+});
+
+describe('Task Comment Endpoints', () => {
+  it('should require authentication to add comments', async () => {
+    await request(app)
+      .post('/api/tasks/00000000-0000-4000-8000-000000000000/comments')
+      .send({ body: 'Looks good @jane' })
+      .expect(401);
+  });
+});
+
+describe('Time Entry Endpoints', () => {
+  it('should require authentication to start a timer', async () => {
+    await request(app)
+      .post('/api/time-entries/timer/start')
+      .send({ task_id: '00000000-0000-4000-8000-000000000000' })
+      .expect(401);
+  });
+});
+
+describe('Organization Endpoints', () => {
+  it('should require authentication to create organizations', async () => {
+    await request(app)
+      .post('/api/organizations')
+      .send({ name: 'Acme', slug: 'acme' })
+      .expect(401);
+  });
+});
+
+describe('Permissions Endpoint', () => {
+  it('should require authentication', async () => {
+    await request(app)
+      .get('/api/me/permissions')
+      .expect(401);
+  });
 });
 
 describe('404 Handler', () => {
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { avatarKey, avatarKeys, avatarUrl, checkAvatar, checkAvatarSize, resizeAvatar, saveAvatar, deleteAvatar } = require('../utils/avatars');
+const { createDriver, setStorage } = require('../utils/storage');
+
+// A landscape JPEG carrying EXIF data, like a phone photo
+const photo = () => sharp({ create: { width: 300, height: 200, channels: 3, background: '#3366cc' } })
+  .jpeg()
+  .withExif({ IFD0: { Make: 'PhoneMaker', Model: 'Camera 1' } })
+  .toBuffer();
+
+describe('Avatars', () => {
+  it('should crop avatars to squares of every size without metadata', async () => {
+    const original = await photo();
+    expect((await sharp(original).metadata()).exif).toBeDefined();
+
+    const images = await resizeAvatar(original);
+    expect(images.map(image => image.size)).toEqual([32, 128, 512]);
+
+    for (const { size, body } of images) {
+      const metadata = await sharp(body).metadata();
+      expect(metadata.format).toBe('webp');
+      expect(metadata.width).toBe(size);
+      expect(metadata.height).toBe(size);
+      expect(metadata.exif).toBeUndefined();
+    }
+  });
+
+  it('should reject content that is not an image it can read', async () => {
+    await expect(resizeAvatar(Buffer.from('%PDF-1.4'))).rejects.toThrow();
+    expect(checkAvatar({ mimetype: 'application/pdf' })).toBe('Avatar must be a JPEG, PNG or GIF image');
+    expect(checkAvatar({ mimetype: 'image/png' })).toBeNull();
+  });
+
+  it('should key each size under the avatar prefix', () => {
+    expect(avatarKey('avatars/abc')).toBe('avatars/abc-128.webp');
+    expect(avatarKey('avatars/abc', 32)).toBe('avatars/abc-32.webp');
+    expect(avatarKeys('avatars/abc')).toEqual(['avatars/abc-32.webp', 'avatars/abc-128.webp', 'avatars/abc-512.webp']);
+
+    // Avatars stored before processing keep their single original file
+    expect(avatarKey('avatars/old-123.jpg', 32)).toBe('avatars/old-123.jpg');
+    expect(avatarKeys('avatars/old-123.jpg')).toEqual(['avatars/old-123.jpg']);
+
+    expect(checkAvatarSize(undefined)).toBeNull();
+    expect(checkAvatarSize('512')).toBeNull();
+    expect(checkAvatarSize('64')).toBe('size must be one of 32, 128, 512');
+  });
+
+  describe('storage', () => {
+    let root;
+
+    beforeAll(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'avatars-'));
+      setStorage(createDriver('local', root));
+    });
+
+    afterAll(() => {
+      setStorage(null);
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should sign short-lived avatar URLs', async () => {
+      process.env.FILE_URL_SECRET = 'test-file-url-secret';
+      try {
+        const url = new URL(await avatarUrl({ id: 'user-1', avatar_url: 'avatars/abc' }), 'http://localhost');
+        expect(url.pathname).toBe('/api/files/download');
+        expect(url.searchParams.get('key')).toBe('avatars/abc-128.webp');
+        expect(url.searchParams.get('disposition')).toBe('inline');
+        expect(url.searchParams.get('signature')).toMatch(/^[0-9a-f]{64}$/);
+        expect(Number(url.searchParams.get('expires'))).toBeGreaterThan(Date.now() / 1000);
+
+        const small = new URL(await avatarUrl({ avatar_url: 'avatars/old-123.jpg' }, 32), 'http://localhost');
+        expect(small.searchParams.get('key')).toBe('avatars/old-123.jpg');
+        expect(await avatarUrl({ id: 'user-1', avatar_url: null })).toBeNull();
+      } finally {
+        delete process.env.FILE_URL_SECRET;
+      }
+    });
+
+    it('should store every size and delete them all', async () => {
+      await saveAvatar('avatars/abc', await resizeAvatar(await photo()));
+      expect(fs.readdirSync(path.join(root, 'avatars')).sort()).toEqual(['abc-128.webp', 'abc-32.webp', 'abc-512.webp']);
+
+      await deleteAvatar('avatars/abc');
+      expect(fs.readdirSync(path.join(root, 'avatars'))).toEqual([]);
+    });
+  });
+});
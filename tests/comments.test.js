@@ -0,0 +1,80 @@
+jest.mock('../config/database', () => require('./helpers/database').mockDatabase());
+
+const db = require('../config/database');
+const { returning, queries } = require('./helpers/database');
+const { parseMentions, resolveMentions, buildThread } = require('../utils/comments');
+
+describe('Comment utilities', () => {
+  it('should parse mentions by email and by email name', () => {
+    expect(parseMentions('Thanks @Jane.Doe, can @bob@example.com review?')).toEqual(['jane.doe', 'bob@example.com']);
+    expect(parseMentions('@jane and @jane again')).toEqual(['jane']);
+  });
+
+  it('should ignore plain email addresses and lone at signs', () => {
+    expect(parseMentions('Mail jane@example.com @ noon')).toEqual([]);
+    expect(parseMentions(null)).toEqual([]);
+  });
+
+  describe('mention resolution', () => {
+    const task = { id: 'task-1', project_id: 'project-1' };
+    const jane = { id: 'jane-id', name: 'Jane', email: 'jane@example.com', role: 'user', organization_id: 'org-1' };
+    const bob = { id: 'bob-id', name: 'Bob', email: 'bob@example.com', role: 'user', organization_id: 'org-1' };
+    const otherBob = { ...bob, id: 'bob-2-id', name: 'Bob Two', email: 'bob@example.org' };
+    // A task:read check: the project lookup, then the user's grants in it
+    const canRead = [[{ id: 'project-1' }], [{ role: 'viewer' }]];
+    const cannotRead = [[{ id: 'project-1' }], []];
+
+    it('should look up mentioned handles among active users of the organization', async () => {
+      returning(db.execute, [jane], ...canRead);
+
+      expect(await resolveMentions('Thanks @Jane', task, 'org-1')).toEqual([{ id: 'jane-id', name: 'Jane', email: 'jane@example.com' }]);
+
+      const [lookup] = queries(db.execute);
+      expect(lookup.sql).toContain('is_active = 1');
+      expect(lookup.params).toEqual(['org-1', 'jane', 'jane']);
+    });
+
+    it('should resolve mentions by email and by a unique email name', async () => {
+      returning(db.execute, [jane, bob, otherBob], ...canRead, ...canRead);
+
+      const mentioned = await resolveMentions('@jane and @bob@example.org, please check', task, 'org-1');
+
+      expect(mentioned.map(user => user.id)).toEqual(['jane-id', 'bob-2-id']);
+    });
+
+    it('should skip email names shared by several users', async () => {
+      returning(db.execute, [bob, otherBob]);
+
+      expect(await resolveMentions('@bob', task, 'org-1')).toEqual([]);
+    });
+
+    it('should skip users who cannot see the task', async () => {
+      returning(db.execute, [jane, bob], ...cannotRead, ...canRead);
+
+      const mentioned = await resolveMentions('@jane @bob', task, 'org-1');
+
+      expect(mentioned.map(user => user.id)).toEqual(['bob-id']);
+      expect(queries(db.execute)[2].params).toEqual(['project-1', jane.id, 'project-1', jane.id]);
+    });
+
+    it('should not look anyone up without mentions', async () => {
+      returning(db.execute);
+
+      expect(await resolveMentions('No mentions here', task, 'org-1')).toEqual([]);
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should nest replies under their parent comment', () => {
+    const thread = buildThread([
+      { id: 'a', parent_comment_id: null },
+      { id: 'b', parent_comment_id: 'a' },
+      { id: 'c', parent_comment_id: 'b' },
+      { id: 'd', parent_comment_id: 'missing' }
+    ]);
+
+    expect(thread.map(comment => comment.id)).toEqual(['a', 'd']);
+    expect(thread[0].replies[0].id).toBe('b');
+    expect(thread[0].replies[0].replies[0].id).toBe('c');
+  });
+});
@@ -0,0 +1,30 @@
+const { detectType, checkContent } = require('../utils/fileTypes');
+
+const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(16)]);
+const executable = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(62), Buffer.from('This program cannot be run in DOS mode')]);
+
+describe('File Types', () => {
+  it('should recognise accepted types by their content', () => {
+    expect(detectType(png).mimetype).toBe('image/png');
+    expect(detectType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10])).mimetype).toBe('image/jpeg');
+    expect(detectType(Buffer.from('GIF89a\x01\x00')).mimetype).toBe('image/gif');
+    expect(detectType(Buffer.from('%PDF-1.7\n')).mimetype).toBe('application/pdf');
+    expect(detectType(Buffer.from('PK\x03\x04....[Content_Types].xml....word/document.xml')).mimetype)
+      .toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    expect(detectType(Buffer.from('Meeting notes: ship it ✅\n')).mimetype).toBe('text/plain');
+  });
+
+  it('should not recognise executables or other archives', () => {
+    expect(detectType(executable)).toBeNull();
+    expect(detectType(Buffer.from('PK\x03\x04\x14\x00\x00\x00payload.exe'))).toBeNull();
+    expect(detectType(Buffer.from([0xc3, 0x28]))).toBeNull();
+  });
+
+  it('should reject renamed files', () => {
+    expect(checkContent(png, 'photo.png')).toBeNull();
+    expect(checkContent(png, 'PHOTO.PNG')).toBeNull();
+    expect(checkContent(executable, 'photo.png')).toMatch(/^Invalid file type\. photo\.png is not/);
+    expect(checkContent(png, 'notes.txt')).toBe('Invalid file type. notes.txt contains image/png but is named as another type');
+    expect(checkContent(Buffer.from('plain'), 'script')).toMatch(/^Invalid file type/);
+  });
+});
@@ -0,0 +1,63 @@
+const { downloadUrl, presentFile, presentVersion, checkComment, checkScanned } = require('../utils/files');
+
+describe('Files', () => {
+  it('should present files with a download URL and without their storage path', () => {
+    const file = presentFile('task', {
+      id: 'file-1',
+      task_id: 'task-1',
+      filename: 'stored-name.pdf',
+      original_name: 'Report.pdf',
+      file_path: 'tasks/stored-name.pdf',
+      file_size: 1024,
+      mimetype: 'application/pdf',
+      current_version: 2,
+      uploaded_by: 'user-1',
+      uploaded_by_name: 'Jane',
+      created_at: '2024-01-01T00:00:00.000Z'
+    });
+
+    expect(file.download_url).toBe('/api/tasks/task-1/files/file-1/download');
+    expect(file.original_name).toBe('Report.pdf');
+    expect(file.version).toBe(2);
+    expect(file).not.toHaveProperty('file_path');
+  });
+
+  it('should present versions with their own download URL', () => {
+    const file = { id: 'file-1', project_id: 'project-1', current_version: 3 };
+    const version = {
+      file_id: 'file-1',
+      version: 1,
+      filename: 'first.pdf',
+      file_path: 'projects/first.pdf',
+      file_size: 512,
+      mimetype: 'application/pdf',
+      uploaded_by: 'user-1',
+      comment: 'First draft',
+      restored_from: null,
+      created_at: '2024-01-01T00:00:00.000Z'
+    };
+
+    const presented = presentVersion('project', file, version);
+    expect(presented.download_url).toBe('/api/projects/project-1/files/file-1/versions/1/download');
+    expect(presented.is_current).toBe(false);
+    expect(presented.comment).toBe('First draft');
+    expect(presented).not.toHaveProperty('file_path');
+
+    expect(presentVersion('project', file, { ...version, version: 3 }).is_current).toBe(true);
+    expect(downloadUrl('project', 'project-1', 'file-1')).toBe('/api/projects/project-1/files/file-1/download');
+  });
+
+  it('should limit version comments', () => {
+    expect(checkComment(undefined)).toBeNull();
+    expect(checkComment('Fixed the totals')).toBeNull();
+    expect(checkComment(['a'])).toBe('comment must be a string');
+    expect(checkComment('x'.repeat(1001))).toBe('comment must be at most 1000 characters');
+  });
+
+  it('should only allow downloads of files that passed the malware scan', () => {
+    expect(checkScanned({ scan_status: 'clean' })).toBeNull();
+    expect(checkScanned({ scan_status: 'pending' })).toBe('File is waiting for its malware scan');
+    expect(checkScanned({ scan_status: 'failed' })).toBe('File could not be scanned for malware yet');
+    expect(checkScanned({ scan_status: 'infected' })).toBe('File is quarantined because malware was found in it');
+  });
+});
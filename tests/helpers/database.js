@@ -0,0 +1,60 @@
+const jwt = require('jsonwebtoken');
+
+// Stands in for config/database in unit tests, so they run without MySQL.
+// A test file mocks the module with
+//
+//   jest.mock('../config/database', () => require('./helpers/database').mockDatabase());
+//
+// and, in each test, lists what the queries return in the order the code
+// runs them with returning(db.execute, ...). A query nothing was listed for
+// fails the test.
+const mockDatabase = () => ({
+  execute: jest.fn(),
+  getConnection: jest.fn()
+});
+
+// A connection for code that runs a transaction, handed out by the next
+// db.getConnection(); its queries are listed with returning(connection.execute, ...)
+const connect = (db) => {
+  const connection = {
+    execute: jest.fn(),
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn()
+  };
+  db.getConnection.mockResolvedValueOnce(connection);
+  return connection;
+};
+
+// Each result is what the query resolves to in the first position: rows for
+// a SELECT, a result header such as { affectedRows: 1 } otherwise
+const returning = (execute, ...results) => {
+  execute.mockImplementation(async (sql) => {
+    throw new Error(`Unexpected query: ${sql.trim()}`);
+  });
+  for (const result of results) {
+    execute.mockResolvedValueOnce([result]);
+  }
+};
+
+// The queries run so far as { sql, params }
+const queries = (execute) => execute.mock.calls.map(([sql, params]) => ({ sql, params }));
+
+// An access token for the user's login session, and the results of the
+// lookups authenticateToken makes for it, to list before the route's own
+const signIn = (user, sessionId = 'session-id') => ({
+  token: jwt.sign(
+    { userId: user.id, email: user.email, role: user.role, org: user.organization_id, tv: 0, sid: sessionId },
+    process.env.JWT_SECRET
+  ),
+  lookups: [[{ ...user, is_active: 1, token_version: 0 }], [{ id: sessionId }]]
+});
+
+module.exports = {
+  mockDatabase,
+  connect,
+  returning,
+  queries,
+  signIn
+};
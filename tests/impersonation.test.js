@@ -0,0 +1,100 @@
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../config/database', () => require('./helpers/database').mockDatabase());
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const db = require('../config/database');
+const { returning, queries, signIn } = require('./helpers/database');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', require('../routes/auth'));
+
+const admin = { id: 'admin-id', role: 'admin', organization_id: 'org-1', email: 'admin@example.com' };
+const target = { id: 'user-id', role: 'user', organization_id: 'org-1', name: 'Jane', email: 'jane@example.com', token_version: 2 };
+
+const impersonate = (userId) => {
+  const { token, lookups } = signIn(admin);
+  return { lookups, send: () => request(app).post(`/api/auth/impersonate/${userId}`).set('Authorization', `Bearer ${token}`) };
+};
+
+describe('Impersonation', () => {
+  it('should issue a token for the target that names the admin in the act claim', async () => {
+    const { lookups, send } = impersonate(target.id);
+    returning(db.execute, ...lookups, [target], { affectedRows: 1 });
+
+    const response = await send().expect(201);
+    const claims = jwt.verify(response.body.data.accessToken, process.env.JWT_SECRET);
+
+    expect(claims).toMatchObject({ userId: target.id, email: target.email, role: 'user', org: 'org-1', tv: 2 });
+    expect(claims.act).toEqual({ userId: admin.id, email: admin.email });
+    expect(claims.jti).toBe(response.body.data.impersonationId);
+    expect(claims.sid).toBeUndefined();
+
+    const recorded = queries(db.execute)[3];
+    expect(recorded.sql).toContain('INSERT INTO impersonations');
+    expect(recorded.params.slice(0, 3)).toEqual([claims.jti, admin.id, target.id]);
+  });
+
+  it('should refuse to impersonate admins', async () => {
+    for (const role of ['admin', 'super_admin']) {
+      const { lookups, send } = impersonate('other-admin-id');
+      returning(db.execute, ...lookups, [{ ...target, id: 'other-admin-id', role }]);
+
+      const response = await send().expect(403);
+
+      expect(response.body.message).toBe('Admins cannot be impersonated');
+      expect(db.execute).toHaveBeenCalledTimes(3);
+      db.execute.mockClear();
+    }
+  });
+
+  it('should refuse users without admin rights', async () => {
+    const { token, lookups } = signIn({ ...admin, role: 'manager' });
+    returning(db.execute, ...lookups);
+
+    await request(app)
+      .post(`/api/auth/impersonate/${target.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+  });
+
+  it('should act as the target, but keep account security endpoints out of reach', async () => {
+    const accessToken = jwt.sign(
+      { userId: target.id, email: target.email, role: 'user', org: 'org-1', tv: 2, act: { userId: admin.id, email: admin.email } },
+      process.env.JWT_SECRET,
+      { jwtid: 'impersonation-id' }
+    );
+    returning(db.execute,
+      [{ ...target, is_active: 1 }],
+      [{ id: 'impersonation-id', expires_at: new Date(), impersonator_id: admin.id, impersonator_email: admin.email }],
+      { affectedRows: 1 }
+    );
+
+    const response = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(403);
+
+    expect(response.body.message).toBe('This action is not available while impersonating');
+    expect(queries(db.execute)[1].params).toEqual(['impersonation-id', admin.id]);
+  });
+
+  it('should reject impersonation tokens once the impersonation has ended', async () => {
+    const accessToken = jwt.sign(
+      { userId: target.id, org: 'org-1', tv: 2, act: { userId: admin.id, email: admin.email } },
+      process.env.JWT_SECRET,
+      { jwtid: 'impersonation-id' }
+    );
+    returning(db.execute, [{ ...target, is_active: 1 }], []);
+
+    const response = await request(app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(401);
+
+    expect(response.body.message).toBe('Impersonation has ended');
+  });
+});
@@ -0,0 +1,165 @@
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_EXPIRES_IN = '15m';
+process.env.REFRESH_TOKEN_SECRET = 'test-refresh-secret';
+
+jest.mock('../config/database', () => require('./helpers/database').mockDatabase());
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/database');
+const { returning, queries } = require('./helpers/database');
+const { progressiveDelay, emailRetryAfter, ipRetryAfter, locksAccount } = require('../utils/loginThrottle');
+const { signChallengeToken } = require('../utils/twoFactor');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', require('../routes/auth'));
+
+const settings = { maxAttempts: 5, maxIpAttempts: 20, lockoutMinutes: 15, windowMinutes: 15 };
+const failure = (age) => ({ succeeded: 0, age });
+const success = (age) => ({ succeeded: 1, age });
+
+describe('Login throttling', () => {
+  it('should delay exponentially after the second failure', () => {
+    expect(progressiveDelay(0)).toBe(0);
+    expect(progressiveDelay(2)).toBe(0);
+    expect(progressiveDelay(3)).toBe(1);
+    expect(progressiveDelay(4)).toBe(2);
+    expect(progressiveDelay(6)).toBe(8);
+    expect(progressiveDelay(20)).toBe(60);
+  });
+
+  it('should count down the delay from the latest failure', () => {
+    const attempts = [failure(1), failure(5), failure(10), failure(20)];
+    expect(emailRetryAfter(attempts, settings)).toBe(1);
+    expect(emailRetryAfter([failure(3), ...attempts.slice(1)], settings)).toBe(0);
+    expect(emailRetryAfter([], settings)).toBe(0);
+  });
+
+  it('should ignore failures outside the window', () => {
+    const old = [failure(900), failure(950), failure(1000)];
+    expect(emailRetryAfter([failure(0), failure(1), failure(2), failure(3)], settings)).toBe(2);
+    expect(emailRetryAfter([failure(0), failure(1), ...old], settings)).toBe(0);
+  });
+
+  it('should stop counting earlier failures after a successful login', () => {
+    const failures = [failure(0), failure(1), failure(2), failure(3)];
+    expect(emailRetryAfter([...failures.slice(0, 2), success(2), ...failures.slice(2)], settings)).toBe(0);
+    expect(emailRetryAfter([success(0), ...failures], settings)).toBe(0);
+  });
+
+  it('should block an IP until its oldest failure leaves the window', () => {
+    expect(ipRetryAfter({ failures: 19, sinceFirst: 60 }, settings)).toBe(0);
+    expect(ipRetryAfter({ failures: 20, sinceFirst: 60 }, settings)).toBe(840);
+    expect(ipRetryAfter({ failures: 20, sinceFirst: 1000 }, settings)).toBe(0);
+  });
+
+  it('should lock the account at the attempt threshold', () => {
+    expect(locksAccount(4, settings)).toBe(false);
+    expect(locksAccount(5, settings)).toBe(true);
+    expect(locksAccount(3, { ...settings, maxAttempts: 3 })).toBe(true);
+  });
+});
+
+// getRetryAfter finding no earlier failures for the email or the IP
+const notThrottled = [[], [{ failures: 0, since_first: null }]];
+
+describe('Login lockout', () => {
+  const credentials = { email: 'jane@example.com', password: 'Secret123!' };
+
+  it('should answer a locked account like an unknown email', async () => {
+    returning(db.execute, ...notThrottled, [], {}, {});
+    const unknown = await request(app).post('/api/auth/login').send(credentials).expect(401);
+
+    returning(db.execute, ...notThrottled, [{ id: 'user-id', email: credentials.email, is_active: 1 }], [{ remaining: 600 }], {}, {});
+    const locked = await request(app).post('/api/auth/login').send(credentials).expect(401);
+
+    expect(locked.body).toEqual(unknown.body);
+    expect(locked.headers['retry-after']).toBeUndefined();
+  });
+
+  it('should record an attempt on a locked account without checking the password', async () => {
+    returning(db.execute, ...notThrottled, [{ id: 'user-id', email: credentials.email, is_active: 1 }], [{ remaining: 600 }], {}, {});
+
+    await request(app).post('/api/auth/login').send(credentials).expect(401);
+
+    const insert = queries(db.execute).pop();
+    expect(insert.sql).toContain('INSERT INTO login_attempts');
+    expect(insert.params).toEqual([credentials.email, expect.any(String), false]);
+  });
+});
+
+describe('Two-factor login', () => {
+  const user = {
+    id: 'user-id', organization_id: 'org-1', name: 'Jane', email: 'jane@example.com', role: 'user',
+    token_version: 0, totp_secret: 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', totp_enabled_at: new Date()
+  };
+  const recoveryCode = { recoveryCode: 'abcd-ef01-2345-6789' };
+
+  // A challenge token, as the password step issues it, and its challenge id
+  const challengeFor = async () => {
+    returning(db.execute, { affectedRows: 0 }, { affectedRows: 1 });
+    const challengeToken = await signChallengeToken(user);
+    const [drop, insert] = queries(db.execute);
+    expect(drop.params).toEqual([user.id]);
+    db.execute.mockClear();
+    return { challengeToken, challengeId: insert.params[0] };
+  };
+
+  it('should throttle codes like passwords', async () => {
+    const { challengeToken } = await challengeFor();
+    const failure = { succeeded: 0, age: 0 };
+    returning(db.execute, [{ id: 'challenge' }], [user], [failure, failure, failure], [{ failures: 3, since_first: 0 }]);
+
+    const response = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken, ...recoveryCode })
+      .expect(429);
+
+    expect(response.headers['retry-after']).toBe('1');
+  });
+
+  it('should count a wrong code towards the lockout and against the challenge', async () => {
+    const { challengeToken, challengeId } = await challengeFor();
+    returning(db.execute, [{ id: challengeId }], [user], ...notThrottled, [],
+      { affectedRows: 0 },
+      {}, {}, {}, [{ failed_login_attempts: 1 }],
+      {}, {});
+
+    await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken, ...recoveryCode })
+      .expect(401);
+
+    const [failed, dropped] = queries(db.execute).slice(-2);
+    expect(failed.sql).toContain('failed_attempts = failed_attempts + 1');
+    expect(failed.params).toEqual([challengeId]);
+    expect(dropped.params).toEqual([challengeId, 5]);
+  });
+
+  it('should use the challenge up on login so it cannot be replayed', async () => {
+    const { challengeToken, challengeId } = await challengeFor();
+    returning(db.execute, [{ id: challengeId }], [user], ...notThrottled, [],
+      { affectedRows: 1 },
+      { affectedRows: 1 },
+      {}, {}, {}, {}, {}, {});
+
+    const response = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken, ...recoveryCode })
+      .expect(200);
+
+    expect(response.body.data.accessToken).toBeDefined();
+    expect(queries(db.execute)[6]).toEqual({ sql: 'DELETE FROM two_factor_challenges WHERE id = ?', params: [challengeId] });
+
+    db.execute.mockClear();
+    returning(db.execute, []);
+
+    const replay = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken, ...recoveryCode })
+      .expect(401);
+
+    expect(replay.body.message).toBe('Invalid or expired challenge token');
+  });
+});
@@ -0,0 +1,207 @@
+jest.mock('../config/database', () => require('./helpers/database').mockDatabase());
+
+const db = require('../config/database');
+const { returning, queries } = require('./helpers/database');
+const { can, getProjectRole, hasProjectRole, scopeFor, tenantFilter, visibilityFilter } = require('../utils/policy');
+
+const superAdmin = { id: 'super-admin-id', role: 'super_admin', organization_id: 'org-1' };
+const admin = { id: 'admin-id', role: 'admin', organization_id: 'org-1' };
+const manager = { id: 'manager-id', role: 'manager', organization_id: 'org-1' };
+const user = { id: 'user-id', role: 'user', organization_id: 'org-1' };
+
+describe('Policy', () => {
+  it('should order project roles', () => {
+    expect(hasProjectRole('owner', 'maintainer')).toBe(true);
+    expect(hasProjectRole('contributor', 'maintainer')).toBe(false);
+    expect(hasProjectRole(null, 'viewer')).toBe(false);
+  });
+
+  it('should apply role rules that need no resource', async () => {
+    expect(await can(manager, 'project:create')).toBe(true);
+    expect(await can(user, 'project:create')).toBe(false);
+    expect(await can(manager, 'user:manage')).toBe(false);
+    expect(await can(admin, 'user:manage')).toBe(true);
+  });
+
+  it('should give super admins admin rights and platform actions', async () => {
+    expect(await can(superAdmin, 'user:manage')).toBe(true);
+    expect(await can(superAdmin, 'organization:create')).toBe(true);
+    expect(await can(admin, 'organization:create')).toBe(false);
+    expect(await can(admin, 'organization:update', { id: 'org-1' })).toBe(true);
+    expect(await can(admin, 'organization:update', { id: 'org-2' })).toBe(false);
+  });
+
+  it('should deny resources of another organization', async () => {
+    expect(await can(admin, 'user:update', { id: 'other-id', organization_id: 'org-2' })).toBe(false);
+    expect(await can(superAdmin, 'user:update', { id: 'other-id', organization_id: 'org-2' })).toBe(false);
+    expect(await can(admin, 'user:update', { id: 'other-id', organization_id: 'org-1' })).toBe(true);
+  });
+
+  it('should keep organization admins away from super admin accounts', async () => {
+    const target = { id: superAdmin.id, role: 'super_admin', organization_id: 'org-1' };
+    const actions = ['user:manage', 'user:impersonate', 'user:update', 'user:change_role', 'user:change_password', 'user:upload_avatar', 'user:manage_api_keys'];
+
+    for (const action of actions) {
+      expect(await can(admin, action, target)).toBe(false);
+      expect(await can({ ...superAdmin, id: 'other-super-admin-id' }, action, target)).toBe(true);
+    }
+    expect(await can(superAdmin, 'user:update', target)).toBe(true);
+    expect(await can(admin, 'user:read', target)).toBe(true);
+    expect(await can(admin, 'user:manage', { id: admin.id, role: 'admin', organization_id: 'org-1' })).toBe(true);
+  });
+
+  describe('project roles', () => {
+    const project = { id: 'project-1' };
+    const task = { id: 'task-1', project_id: 'project-1', created_by: 'someone-id', assigned_to: null, assigned_team_id: null };
+    const ownTask = { ...task, created_by: user.id };
+    const found = [{ id: 'project-1' }];
+
+    // The project lookup, then the user's direct and team grants in it
+    const grants = (...roles) => returning(db.execute, found, roles.map(role => ({ role })));
+
+    it('should look up direct and team grants in the user\'s organization', async () => {
+      grants('viewer');
+
+      expect(await getProjectRole(user, 'project-1')).toBe('viewer');
+
+      const [lookup, grant] = queries(db.execute);
+      expect(lookup.params).toEqual(['project-1', 'org-1']);
+      expect(grant.sql).toContain('project_members');
+      expect(grant.sql).toContain('project_teams');
+      expect(grant.params).toEqual(['project-1', user.id, 'project-1', user.id]);
+    });
+
+    it('should give no role in projects of other organizations or without a grant', async () => {
+      returning(db.execute, []);
+      expect(await getProjectRole(admin, 'project-2')).toBeNull();
+
+      grants();
+      expect(await getProjectRole(user, 'project-1')).toBeNull();
+    });
+
+    it('should make admins owners of every project in their organization', async () => {
+      returning(db.execute, found);
+
+      expect(await getProjectRole(admin, 'project-1')).toBe('owner');
+      expect(db.execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let viewers read only', async () => {
+      grants('viewer');
+      expect(await can(user, 'project:read', project)).toBe(true);
+      grants('viewer');
+      expect(await can(user, 'task:create', project)).toBe(false);
+      grants('viewer');
+      expect(await can(user, 'task:update', ownTask)).toBe(false);
+    });
+
+    it('should let contributors change their own tasks only', async () => {
+      grants('contributor');
+      expect(await can(user, 'task:create', project)).toBe(true);
+      grants('contributor');
+      expect(await can(user, 'task:update', ownTask)).toBe(true);
+      grants('contributor');
+      expect(await can(user, 'task:delete', ownTask)).toBe(true);
+      grants('contributor');
+      expect(await can(user, 'task:update', task)).toBe(false);
+      grants('contributor');
+      expect(await can(user, 'project:update', project)).toBe(false);
+    });
+
+    it('should let maintainers manage tasks and members but not owners', async () => {
+      grants('maintainer');
+      expect(await can(user, 'task:delete', task)).toBe(true);
+      grants('maintainer');
+      expect(await can(user, 'project:manage_members', project)).toBe(true);
+      grants('maintainer');
+      expect(await can(user, 'project:manage_owners', project)).toBe(false);
+      grants('maintainer');
+      expect(await can(user, 'project:delete', project)).toBe(false);
+    });
+
+    it('should let owners delete the project and manage owners', async () => {
+      grants('owner');
+      expect(await can(user, 'project:delete', project)).toBe(true);
+      grants('owner');
+      expect(await can(user, 'project:manage_owners', project)).toBe(true);
+    });
+  });
+
+  describe('team roles', () => {
+    const task = { id: 'task-1', project_id: 'project-1', created_by: 'someone-id', assigned_to: null, assigned_team_id: 'team-1' };
+
+    it('should use the highest of the direct and team grants', async () => {
+      returning(db.execute, [{ id: 'project-1' }], [{ role: 'viewer' }, { role: 'maintainer' }, { role: 'contributor' }]);
+
+      expect(await getProjectRole(user, 'project-1')).toBe('maintainer');
+    });
+
+    it('should let contributors change tasks assigned to their team', async () => {
+      returning(db.execute, [{ id: 'project-1' }], [{ role: 'contributor' }], [{ role: 'member' }]);
+      expect(await can(user, 'task:update', task)).toBe(true);
+      expect(queries(db.execute)[2].params).toEqual(['team-1', user.id, 'org-1']);
+
+      db.execute.mockClear();
+      returning(db.execute, [{ id: 'project-1' }], [{ role: 'contributor' }], []);
+      expect(await can(user, 'task:update', task)).toBe(false);
+    });
+
+    it('should not let team members delete their team\'s tasks', async () => {
+      returning(db.execute, [{ id: 'project-1' }], [{ role: 'contributor' }]);
+
+      expect(await can(user, 'task:delete', task)).toBe(false);
+    });
+
+    it('should let team leads and admins manage the team', async () => {
+      returning(db.execute, [{ role: 'lead' }]);
+      expect(await can(user, 'team:manage_members', { id: 'team-1' })).toBe(true);
+
+      returning(db.execute, [{ role: 'member' }]);
+      expect(await can(user, 'team:update', { id: 'team-1' })).toBe(false);
+
+      returning(db.execute);
+      expect(await can(admin, 'team:delete', { id: 'team-1' })).toBe(true);
+    });
+  });
+
+  it('should limit invitable roles by inviter', async () => {
+    expect(await can(admin, 'invitation:create', { role: 'admin' })).toBe(true);
+    expect(await can(manager, 'invitation:create', { role: 'admin' })).toBe(false);
+    expect(await can(manager, 'invitation:create', { role: 'user' })).toBe(true);
+  });
+
+  it('should let users act on their own account only', async () => {
+    expect(await can(user, 'user:update', { id: user.id })).toBe(true);
+    expect(await can(user, 'user:update', { id: manager.id })).toBe(false);
+    expect(await can(admin, 'user:create_api_key', { id: user.id })).toBe(false);
+  });
+
+  it('should reject unknown actions', async () => {
+    await expect(can(user, 'project:explode')).rejects.toThrow('Unknown policy action');
+  });
+
+  it('should map actions to API key scopes', () => {
+    expect(scopeFor('task:update')).toBe('tasks:write');
+    expect(scopeFor('project:read')).toBe('projects:read');
+    expect(scopeFor('user:list')).toBe('users:read');
+    expect(scopeFor('comment:update')).toBe('tasks:write');
+  });
+
+  it('should build membership visibility filters', () => {
+    const adminFilter = visibilityFilter(admin, 'project', 'p.id');
+    expect(adminFilter.clause).toBe(' AND p.id IN (SELECT id FROM projects WHERE organization_id = ?)');
+    expect(adminFilter.params).toEqual(['org-1']);
+    const filter = visibilityFilter(user, 'task', 't.project_id');
+    expect(filter.clause).toMatch(/^ AND t\.project_id IN \(/);
+    expect(filter.clause).toContain('project_members');
+    expect(filter.clause).toContain('project_teams');
+    expect(filter.params).toEqual(['org-1', user.id, user.id]);
+  });
+
+  it('should build organization filters', () => {
+    expect(tenantFilter(superAdmin, 'c.organization_id')).toEqual({
+      clause: ' AND c.organization_id = ?',
+      params: ['org-1']
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { parseClamdReply, createScanner, setScanner, scanStored } = require('../utils/scanner');
+const { createDriver, setStorage } = require('../utils/storage');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// Speaks enough of the clamd INSTREAM protocol to stand in for ClamAV;
+// content containing the EICAR test string is reported as infected
+const fakeClamd = () => {
+  const received = [];
+
+  const server = net.createServer((socket) => {
+    let data = Buffer.alloc(0);
+
+    socket.on('data', (chunk) => {
+      data = Buffer.concat([data, chunk]);
+      const command = 'zINSTREAM\0';
+      let offset = command.length;
+      const parts = [];
+
+      while (data.length >= offset + 4) {
+        const size = data.readUInt32BE(offset);
+        if (size === 0) {
+          const content = Buffer.concat(parts);
+          received.push(content);
+          socket.end(content.includes(EICAR) ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+          return;
+        }
+        if (data.length < offset + 4 + size) {
+          return;
+        }
+        parts.push(data.subarray(offset + 4, offset + 4 + size));
+        offset += 4 + size;
+      }
+    });
+  });
+
+  return { server, received };
+};
+
+describe('Malware Scanner', () => {
+  it('should read clamd replies', () => {
+    expect(parseClamdReply('stream: OK')).toEqual({ infected: false, signature: null });
+    expect(parseClamdReply('stream: Win.Test.EICAR_HDB-1 FOUND')).toEqual({ infected: true, signature: 'Win.Test.EICAR_HDB-1' });
+    expect(() => parseClamdReply('INSTREAM size limit exceeded. ERROR')).toThrow('ClamAV scan failed');
+  });
+
+  describe('clamav scanner', () => {
+    let fake;
+    let scanner;
+
+    beforeAll(async () => {
+      fake = fakeClamd();
+      await new Promise(resolve => fake.server.listen(0, '127.0.0.1', resolve));
+      scanner = createScanner('clamav', { host: '127.0.0.1', port: fake.server.address().port });
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => fake.server.close(resolve));
+    });
+
+    it('should stream content to clamd and report what it found', async () => {
+      const large = Buffer.alloc(200 * 1024, 'a');
+
+      expect(await scanner.scan(large)).toEqual({ infected: false, signature: null });
+      expect(fake.received[0].equals(large)).toBe(true);
+      expect(await scanner.scan(Buffer.from(EICAR))).toEqual({ infected: true, signature: 'Eicar-Test-Signature' });
+    });
+
+    it('should fail when clamd cannot be reached', async () => {
+      const unreachable = createScanner('clamav', { host: '127.0.0.1', port: 1 });
+      await expect(unreachable.scan(Buffer.from('hello'))).rejects.toThrow();
+    });
+  });
+
+  describe('scanning stored files', () => {
+    let root;
+    let storage;
+
+    beforeAll(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'scanner-'));
+      storage = createDriver('local', root);
+      setStorage(storage);
+      setScanner({
+        name: 'fake',
+        scan: async (buffer) => buffer.includes(EICAR)
+          ? { infected: true, signature: 'Eicar-Test-Signature' }
+          : { infected: false, signature: null }
+      });
+    });
+
+    afterAll(() => {
+      setStorage(null);
+      setScanner(null);
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should leave clean files where they are', async () => {
+      await storage.put('tasks/notes.txt', Buffer.from('hello'));
+
+      expect(await scanStored('tasks/notes.txt')).toEqual({ status: 'clean', key: 'tasks/notes.txt', signature: null });
+      expect(fs.existsSync(path.join(root, 'tasks', 'notes.txt'))).toBe(true);
+    });
+
+    it('should quarantine infected files', async () => {
+      await storage.put('tasks/eicar.txt', Buffer.from(EICAR));
+
+      expect(await scanStored('tasks/eicar.txt')).toEqual({
+        status: 'infected',
+        key: 'quarantine/tasks/eicar.txt',
+        signature: 'Eicar-Test-Signature'
+      });
+      expect(fs.existsSync(path.join(root, 'tasks', 'eicar.txt'))).toBe(false);
+      expect(fs.readFileSync(path.join(root, 'quarantine', 'tasks', 'eicar.txt')).toString()).toBe(EICAR);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { percentile, flowMetrics } = require('../utils/statusHistory');
+const { DEFAULT_WORKFLOW } = require('../utils/workflows');
+
+const change = (taskId, status, category, changedAt) => ({
+  task_id: taskId,
+  to_status: status,
+  to_category: category,
+  changed_at: new Date(changedAt)
+});
+
+describe('Status history', () => {
+  it('should interpolate percentiles between ranks', () => {
+    expect(percentile([], 0.5)).toBeNull();
+    expect(percentile([4, 1, 3, 2], 0.5)).toBe(2.5);
+    expect(percentile([10, 20, 30, 40, 50], 0.85)).toBe(44);
+  });
+
+  it('should measure lead time, cycle time and time in each status', () => {
+    const metrics = flowMetrics([
+      change('a', 'todo', 'open', '2024-01-01T00:00:00Z'),
+      change('a', 'in_progress', 'active', '2024-01-01T10:00:00Z'),
+      change('a', 'completed', 'done', '2024-01-02T00:00:00Z'),
+      change('b', 'todo', 'open', '2024-01-01T00:00:00Z'),
+      change('b', 'completed', 'done', '2024-01-01T02:00:00Z'),
+      change('c', 'todo', 'open', '2024-01-01T00:00:00Z'),
+      change('c', 'in_progress', 'active', '2024-01-01T04:00:00Z')
+    ], DEFAULT_WORKFLOW);
+
+    expect(metrics.completed_tasks).toBe(2);
+    expect(metrics.lead_time).toEqual({ count: 2, median_hours: 13, p85_hours: 20.7 });
+    // Task b never became active
+    expect(metrics.cycle_time).toEqual({ count: 1, median_hours: 14, p85_hours: 14 });
+
+    const todo = metrics.time_in_status.find(row => row.status === 'todo');
+    expect(todo).toEqual({ status: 'todo', name: 'To Do', count: 3, median_hours: 4, p85_hours: 8.2 });
+
+    // Stays that haven't ended don't count
+    const inProgress = metrics.time_in_status.find(row => row.status === 'in_progress');
+    expect(inProgress.count).toBe(1);
+    expect(metrics.time_in_status.find(row => row.status === 'review').median_hours).toBeNull();
+  });
+
+  it('should measure reopened tasks to their latest completion', () => {
+    const metrics = flowMetrics([
+      change('a', 'todo', 'open', '2024-01-01T00:00:00Z'),
+      change('a', 'in_progress', 'active', '2024-01-01T01:00:00Z'),
+      change('a', 'completed', 'done', '2024-01-01T02:00:00Z'),
+      change('a', 'in_progress', 'active', '2024-01-01T05:00:00Z'),
+      change('a', 'completed', 'done', '2024-01-01T06:00:00Z'),
+      change('b', 'todo', 'open', '2024-01-01T00:00:00Z'),
+      change('b', 'completed', 'done', '2024-01-01T01:00:00Z'),
+      change('b', 'todo', 'open', '2024-01-01T03:00:00Z')
+    ], DEFAULT_WORKFLOW);
+
+    expect(metrics.lead_time).toEqual({ count: 1, median_hours: 6, p85_hours: 6 });
+    expect(metrics.cycle_time.median_hours).toBe(5);
+    expect(metrics.time_in_status.find(row => row.status === 'completed').count).toBe(2);
+  });
+
+  it('should list statuses the workflow no longer has after its states', () => {
+    const metrics = flowMetrics([
+      change('a', 'backlog', 'open', '2024-01-01T00:00:00Z'),
+      change('a', 'todo', 'open', '2024-01-01T03:00:00Z')
+    ], DEFAULT_WORKFLOW);
+
+    const statuses = metrics.time_in_status.map(row => row.status);
+    expect(statuses).toEqual(['todo', 'in_progress', 'review', 'completed', 'backlog']);
+    expect(metrics.time_in_status[4]).toEqual({ status: 'backlog', name: null, count: 1, median_hours: 3, p85_hours: 3 });
+  });
+});
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { validKey, verifySignedUrl, createDriver } = require('../utils/storage');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+const queryOf = (url) => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+// Just enough of the S3 API (path-style PUT, GET and DELETE) to stand in for
+// an object store
+const fakeS3 = () => {
+  const objects = new Map();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const name = decodeURIComponent(url.pathname);
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      if (req.method === 'PUT') {
+        objects.set(name, { body: Buffer.concat(chunks), type: req.headers['content-type'] });
+        res.writeHead(200, { ETag: '"etag"' });
+        return res.end();
+      }
+      if (req.method === 'DELETE') {
+        objects.delete(name);
+        res.writeHead(204);
+        return res.end();
+      }
+
+      const object = objects.get(name);
+      if (!object) {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        return res.end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+      }
+      res.writeHead(200, {
+        'Content-Type': url.searchParams.get('response-content-type') || object.type,
+        'Content-Disposition': url.searchParams.get('response-content-disposition') || '',
+        'Content-Length': object.body.length
+      });
+      res.end(object.body);
+    });
+  });
+
+  return { server, objects };
+};
+
+describe('Storage', () => {
+  it('should only accept relative keys inside a folder', () => {
+    expect(validKey('tasks/abc-123.pdf')).toBe(true);
+    expect(validKey('tasks/../config/database.js')).toBe(false);
+    expect(validKey('/etc/passwd')).toBe(false);
+    expect(validKey('report.pdf')).toBe(false);
+  });
+
+  describe('local driver', () => {
+    let root;
+    let storage;
+
+    beforeAll(() => {
+      process.env.FILE_URL_SECRET = 'test-file-url-secret';
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+      storage = createDriver('local', root);
+    });
+
+    afterAll(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+      delete process.env.FILE_URL_SECRET;
+    });
+
+    it('should store, read and delete files by key', async () => {
+      await storage.put('tasks/note.txt', Buffer.from('hello'), 'text/plain');
+      expect(fs.existsSync(path.join(root, 'tasks', 'note.txt'))).toBe(true);
+      expect(await readAll(await storage.get('tasks/note.txt'))).toBe('hello');
+
+      await storage.delete('tasks/note.txt');
+      expect(await storage.get('tasks/note.txt')).toBeNull();
+      await expect(storage.delete('tasks/note.txt')).resolves.toBeUndefined();
+    });
+
+    it('should sign download URLs that cannot be altered', async () => {
+      const url = await storage.signedUrl('tasks/note.txt', { filename: 'Notes.txt', contentType: 'text/plain' });
+      const query = queryOf(url);
+
+      expect(url).toMatch(/^\/api\/files\/download\?/);
+      expect(verifySignedUrl(query)).toEqual({
+        key: 'tasks/note.txt',
+        expires: parseInt(query.expires),
+        filename: 'Notes.txt',
+        contentType: 'text/plain',
+        inline: false
+      });
+      expect(verifySignedUrl({ ...query, key: 'tasks/other.txt' })).toBeNull();
+      expect(verifySignedUrl({ ...query, disposition: 'inline' })).toBeNull();
+      expect(verifySignedUrl({ ...query, signature: 'x' })).toBeNull();
+    });
+
+    it('should reject expired download URLs', async () => {
+      process.env.FILE_URL_EXPIRES_SECONDS = '-1';
+      try {
+        const url = await storage.signedUrl('tasks/note.txt', { filename: 'Notes.txt' });
+        expect(verifySignedUrl(queryOf(url))).toBeNull();
+      } finally {
+        delete process.env.FILE_URL_EXPIRES_SECONDS;
+      }
+    });
+  });
+
+  describe('s3 driver', () => {
+    let fake;
+    let storage;
+
+    beforeAll(async () => {
+      fake = fakeS3();
+      await new Promise(resolve => fake.server.listen(0, '127.0.0.1', resolve));
+      storage = createDriver('s3', {
+        bucket: 'attachments',
+        region: 'us-east-1',
+        endpoint: `http://127.0.0.1:${fake.server.address().port}`,
+        accessKeyId: 'test',
+        secretAccessKey: 'test-secret',
+        forcePathStyle: true
+      });
+    });
+
+    afterAll(async () => {
+      storage.client.destroy();
+      await new Promise(resolve => fake.server.close(resolve));
+    });
+
+    it('should store, read and delete objects by key', async () => {
+      await storage.put('projects/spec.pdf', Buffer.from('%PDF-1.4'), 'application/pdf');
+      expect(fake.objects.get('/attachments/projects/spec.pdf').body.toString()).toBe('%PDF-1.4');
+      expect(await readAll(await storage.get('projects/spec.pdf'))).toBe('%PDF-1.4');
+
+      await storage.delete('projects/spec.pdf');
+      expect(fake.objects.has('/attachments/projects/spec.pdf')).toBe(false);
+      expect(await storage.get('projects/spec.pdf')).toBeNull();
+    });
+
+    it('should presign downloads with the original file name', async () => {
+      await storage.put('projects/spec.pdf', Buffer.from('%PDF-1.4'), 'application/pdf');
+
+      const url = new URL(await storage.signedUrl('projects/spec.pdf', { filename: 'Spec v2.pdf', contentType: 'application/pdf' }));
+      expect(url.pathname).toBe('/attachments/projects/spec.pdf');
+      expect(url.searchParams.get('X-Amz-Expires')).toBe('300');
+      expect(url.searchParams.get('X-Amz-Signature')).toMatch(/^[0-9a-f]{64}$/);
+
+      const response = await fetch(url);
+      expect(response.headers.get('content-disposition')).toBe('attachment; filename="Spec v2.pdf"');
+      expect(await response.text()).toBe('%PDF-1.4');
+    });
+  });
+});
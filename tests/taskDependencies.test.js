@@ -0,0 +1,97 @@
+jest.mock('../config/database', () => require('./helpers/database').mockDatabase());
+
+const db = require('../config/database');
+const { returning, queries } = require('./helpers/database');
+const { checkDependency, criticalPath } = require('../utils/taskDependencies');
+
+const task = (id, estimated_hours, extra = {}) => ({
+  id, title: id, status: 'todo', status_category: 'open', estimated_hours, due_date: null, ...extra
+});
+const start = new Date(2024, 0, 1);
+
+describe('Critical path', () => {
+  // a -> b -> d and a -> c -> d; the b branch is longer
+  const tasks = [task('a', 8), task('b', 16), task('c', 4), task('d', 8)];
+  const dependencies = [
+    { task_id: 'b', depends_on_task_id: 'a' },
+    { task_id: 'c', depends_on_task_id: 'a' },
+    { task_id: 'd', depends_on_task_id: 'b' },
+    { task_id: 'd', depends_on_task_id: 'c' }
+  ];
+
+  it('should follow the longest chain of dependencies', () => {
+    const result = criticalPath(tasks, dependencies, { start, hoursPerDay: 8 });
+
+    expect(result.total_hours).toBe(32);
+    expect(result.critical_path).toEqual(['a', 'b', 'd']);
+    expect(result.projected_finish).toBe('2024-01-04');
+  });
+
+  it('should report slack for tasks off the critical path', () => {
+    const result = criticalPath(tasks, dependencies, { start, hoursPerDay: 8 });
+    const c = result.tasks.find(item => item.id === 'c');
+
+    expect(c.earliest_start).toBe(8);
+    expect(c.latest_start).toBe(20);
+    expect(c.slack).toBe(12);
+    expect(c.critical).toBe(false);
+  });
+
+  it('should count completed tasks as done and flag late or unestimated ones', () => {
+    const result = criticalPath([
+      task('a', 40, { status: 'completed', status_category: 'done' }),
+      task('b', 16, { due_date: '2024-01-02' }),
+      task('c', null)
+    ], [
+      { task_id: 'b', depends_on_task_id: 'a' },
+      { task_id: 'c', depends_on_task_id: 'b' },
+      { task_id: 'b', depends_on_task_id: 'outside' }
+    ], { start, hoursPerDay: 8 });
+
+    expect(result.total_hours).toBe(16);
+    expect(result.critical_path).toEqual(['b']);
+    expect(result.tasks.find(item => item.id === 'b').late).toBe(false);
+    expect(result.unestimated).toEqual(['c']);
+
+    const late = criticalPath([task('b', 24, { due_date: '2024-01-02' })], [], { start, hoursPerDay: 8 });
+    expect(late.tasks[0].late).toBe(true);
+  });
+});
+
+describe('Dependency checks', () => {
+  // c depends on b, b on a; s is a subtask of p
+
+  // The walk up from the task to its top-level task, one parent at a time
+  const topLevel = [[{ parent_task_id: null }]];
+  // What the tasks of one level of the dependency walk depend on
+  const dependsOn = (...ids) => ids.map(id => ({ depends_on_task_id: id }));
+
+  it('should accept dependencies that keep the graph acyclic', async () => {
+    returning(db.execute, ...topLevel, dependsOn('b'), dependsOn('a'), []);
+
+    expect(await checkDependency('d', 'c')).toBeNull();
+    expect(queries(db.execute).map(query => query.params)).toEqual([['d'], ['c'], ['b'], ['a']]);
+  });
+
+  it('should reject a task depending on itself', async () => {
+    returning(db.execute);
+
+    expect(await checkDependency('a', 'a')).toBe('A task cannot depend on itself');
+  });
+
+  it('should reject direct and indirect cycles', async () => {
+    returning(db.execute, ...topLevel, dependsOn('a'));
+    expect(await checkDependency('a', 'b')).toBe('Dependency would create a cycle');
+
+    returning(db.execute, ...topLevel, dependsOn('b'), dependsOn('a'));
+    expect(await checkDependency('a', 'c')).toBe('Dependency would create a cycle');
+  });
+
+  it('should reject a subtask depending on its parent', async () => {
+    returning(db.execute, [{ parent_task_id: 'p' }], ...topLevel);
+    expect(await checkDependency('s', 'p')).toBe('A subtask cannot depend on its own parent task');
+
+    returning(db.execute, ...topLevel, []);
+    expect(await checkDependency('p', 's')).toBeNull();
+  });
+});
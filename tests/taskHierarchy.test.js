@@ -0,0 +1,92 @@
+jest.mock('../config/database', () => require('./helpers/database').mockDatabase());
+
+const db = require('../config/database');
+const { returning, queries } = require('./helpers/database');
+const { checkParent, checkStatus } = require('../utils/taskHierarchy');
+
+const task = (id, project_id = 'project-1') => ({ id, project_id });
+// One step of the walk up from a task: its parent, or none at the top
+const parentOf = (parent_task_id) => [{ parent_task_id }];
+const topLevel = [{ parent_task_id: null }];
+
+describe('Task hierarchy', () => {
+  // a > b > c > d is as deep as TASK_MAX_DEPTH (3) allows; e > f is a short branch
+  it('should allow subtasks within the depth limit', async () => {
+    returning(db.execute, [task('c')], parentOf('b'), parentOf('a'), topLevel);
+
+    expect(await checkParent(null, 'c', 'project-1')).toBeNull();
+    expect(queries(db.execute).map(query => query.params)).toEqual([['c'], ['c'], ['b'], ['a']]);
+  });
+
+  it('should allow moving a task with its subtasks within the depth limit', async () => {
+    returning(db.execute, [task('b')], parentOf('a'), topLevel, []);
+
+    expect(await checkParent(task('f'), 'b', 'project-1')).toBeNull();
+  });
+
+  it('should reject subtasks nested too deep', async () => {
+    returning(db.execute, [task('d')], parentOf('c'), parentOf('b'), parentOf('a'), topLevel);
+
+    expect(await checkParent(null, 'd', 'project-1')).toMatch(/more than 3 levels/);
+  });
+
+  it('should count the subtasks a moved task brings along', async () => {
+    // e brings its child f along, which would end up at depth 4
+    returning(db.execute, [task('c')], parentOf('b'), parentOf('a'), topLevel, [{ id: 'f', status: 'open', status_category: 'open' }], []);
+
+    expect(await checkParent(task('e'), 'c', 'project-1')).toMatch(/more than 3 levels/);
+    expect(queries(db.execute)[4].params).toEqual(['e']);
+  });
+
+  it('should reject moving a task under itself', async () => {
+    returning(db.execute, [task('b')], parentOf('a'), topLevel);
+
+    expect(await checkParent(task('b'), 'b', 'project-1')).toMatch(/under itself/);
+  });
+
+  it('should reject moving a task under one of its subtasks', async () => {
+    returning(db.execute, [task('c')], parentOf('b'), parentOf('a'), topLevel);
+
+    expect(await checkParent(task('a'), 'c', 'project-1')).toMatch(/under itself/);
+  });
+
+  it('should reject missing parents and parents in other projects', async () => {
+    returning(db.execute, []);
+    expect(await checkParent(null, 'missing', 'project-1')).toBe('Parent task not found');
+
+    returning(db.execute, [task('other', 'project-2')]);
+    expect(await checkParent(null, 'other', 'project-1')).toMatch(/same project/);
+  });
+
+  it('should not complete a parent with open subtasks', async () => {
+    returning(db.execute, [{ count: 1 }]);
+
+    expect(await checkStatus('parent', null, 'done')).toMatch(/1 open subtask/);
+    expect(queries(db.execute)[0].params).toEqual(['parent']);
+  });
+
+  it('should complete a parent once all subtasks are done', async () => {
+    returning(db.execute, [{ count: 0 }]);
+
+    expect(await checkStatus('parent', null, 'done')).toBeNull();
+  });
+
+  it('should not look up subtasks when a task stays open', async () => {
+    returning(db.execute);
+
+    expect(await checkStatus('parent', null, 'active')).toBeNull();
+  });
+
+  it('should not reopen a subtask of a completed parent', async () => {
+    returning(db.execute, [{ status_category: 'done' }], [{ status_category: 'done' }]);
+
+    expect(await checkStatus('child', 'parent', 'open')).toMatch(/Parent task is completed/);
+    expect(await checkStatus(null, 'parent', 'open')).toMatch(/Parent task is completed/);
+  });
+
+  it('should complete a subtask of a completed parent', async () => {
+    returning(db.execute, [{ count: 0 }]);
+
+    expect(await checkStatus('child', 'parent', 'done')).toBeNull();
+  });
+});
@@ -0,0 +1,160 @@
+jest.mock('../config/database', () => require('./helpers/database').mockDatabase());
+
+const db = require('../config/database');
+const { connect, returning, queries } = require('./helpers/database');
+const { entryTimes, getUserTimeTracking, startTimer, stopTimer, summarize, timerTimes, toHours } = require('../utils/timeTracking');
+
+describe('Time tracking utilities', () => {
+  it('should derive an entry from a start and an end', () => {
+    const times = entryTimes({ started_at: '2024-01-15T09:00:00Z', ended_at: '2024-01-15T10:30:00Z' });
+
+    expect(times.minutes).toBe(90);
+    expect(times.endedAt.toISOString()).toBe('2024-01-15T10:30:00.000Z');
+  });
+
+  it('should derive an entry from a duration with or without a start', () => {
+    expect(entryTimes({ duration_minutes: 45 })).toEqual({ startedAt: null, endedAt: null, minutes: 45 });
+    expect(entryTimes({ started_at: '2024-01-15T09:00:00Z', duration_minutes: 45 }).endedAt.toISOString())
+      .toBe('2024-01-15T09:45:00.000Z');
+  });
+
+  it('should reject entries that end too early or run over a day', () => {
+    expect(entryTimes({ started_at: '2024-01-15T10:00:00Z', ended_at: '2024-01-15T09:00:00Z' }).error).toBeDefined();
+    expect(entryTimes({ started_at: '2024-01-15T10:00:00Z', ended_at: '2024-01-16T10:01:00Z' }).error).toBeDefined();
+  });
+
+  it('should cap entries at exactly 24 hours', () => {
+    expect(entryTimes({ started_at: '2024-01-15T10:00:00Z', ended_at: '2024-01-16T10:00:00Z' }).minutes).toBe(1440);
+    expect(entryTimes({ started_at: '2024-01-15T10:00:00Z', ended_at: '2024-01-16T10:01:00Z' }).error)
+      .toBe('A time entry cannot be longer than 24 hours');
+  });
+
+  it('should round stopped timers to whole minutes, at least one', () => {
+    const startedAt = new Date('2024-01-15T09:00:00Z');
+
+    expect(timerTimes(startedAt, new Date('2024-01-15T09:44:40Z')).minutes).toBe(45);
+    expect(timerTimes(startedAt, new Date('2024-01-15T09:00:10Z')).minutes).toBe(1);
+  });
+
+  it('should end timers left running at the 24 hour cap', () => {
+    const times = timerTimes('2024-01-15T09:00:00Z', new Date('2024-01-17T12:00:00Z'));
+
+    expect(times.minutes).toBe(1440);
+    expect(times.endedAt.toISOString()).toBe('2024-01-16T09:00:00.000Z');
+  });
+
+  describe('timers', () => {
+    const user = { id: 'user-id', organization_id: 'org-1' };
+    const start = new Date('2024-01-15T09:00:00Z');
+    const running = { id: 'entry-1', started_at: start };
+
+    it('should start a timer when none is running', async () => {
+      const connection = connect(db);
+      returning(connection.execute, [{ id: 'user-id' }], [], { affectedRows: 1 });
+
+      const started = await startTimer(user, 'task-1', { notes: 'Planning', billable: true, now: start });
+
+      const [lock, lookup, insert] = queries(connection.execute);
+      expect(lock.sql).toContain('FOR UPDATE');
+      expect(lock.params).toEqual(['user-id']);
+      expect(lookup.params).toEqual(['user-id']);
+      expect(insert.sql).toContain('INSERT INTO time_entries');
+      expect(insert.params).toEqual([started.id, 'org-1', 'task-1', 'user-id', start, 'Planning', 1]);
+      expect(connection.beginTransaction).toHaveBeenCalled();
+      expect(connection.commit).toHaveBeenCalled();
+      expect(connection.release).toHaveBeenCalled();
+      expect(db.execute).not.toHaveBeenCalled();
+    });
+
+    it('should not start a second timer for the user', async () => {
+      const connection = connect(db);
+      returning(connection.execute, [{ id: 'user-id' }], [running]);
+
+      expect(await startTimer(user, 'task-2', { now: start })).toEqual({ runningId: 'entry-1' });
+      expect(connection.release).toHaveBeenCalled();
+    });
+
+    it('should roll back and release the connection when starting fails', async () => {
+      const connection = connect(db);
+      returning(connection.execute, [{ id: 'user-id' }], []);
+
+      await expect(startTimer(user, 'task-1', { now: start })).rejects.toThrow('Unexpected query');
+      expect(connection.rollback).toHaveBeenCalled();
+      expect(connection.commit).not.toHaveBeenCalled();
+      expect(connection.release).toHaveBeenCalled();
+    });
+
+    it('should stop the running timer into a time entry', async () => {
+      returning(db.execute, [running], { affectedRows: 1 });
+
+      expect(await stopTimer(user.id, { now: new Date('2024-01-15T10:30:00Z') })).toBe('entry-1');
+
+      const [, update] = queries(db.execute);
+      expect(update.params).toEqual([new Date('2024-01-15T10:30:00Z'), 90, null, 'entry-1']);
+    });
+
+    it('should cap a timer stopped after more than a day and replace its notes', async () => {
+      returning(db.execute, [running], { affectedRows: 1 });
+
+      await stopTimer(user.id, { notes: 'Forgot to stop', now: new Date('2024-01-18T09:00:00Z') });
+
+      const [, update] = queries(db.execute);
+      expect(update.params).toEqual([new Date('2024-01-16T09:00:00Z'), 1440, 'Forgot to stop', 'entry-1']);
+    });
+
+    it('should not stop anything without a running timer', async () => {
+      returning(db.execute, []);
+
+      expect(await stopTimer(user.id)).toBeNull();
+    });
+  });
+
+  describe('user totals', () => {
+    const viewer = { id: 'viewer-id', role: 'user', organization_id: 'org-1' };
+
+    it('should leave time in projects the viewer cannot see out of every total', async () => {
+      // Only project-1 is visible; the user's hour in a hidden project is filtered out
+      returning(db.execute,
+        [{ logged_minutes: '90', billable_minutes: '60' }],
+        [{ id: 'project-1', name: 'Website', logged_minutes: '90', billable_minutes: '60' }],
+        [{ id: 'task-1', title: 'Design', status: 'todo', estimated_hours: '2.00', logged_minutes: '90', billable_minutes: '60' }]
+      );
+
+      const totals = await getUserTimeTracking('user-id', viewer);
+
+      expect(totals.logged_hours).toBe(1.5);
+      expect(totals.assigned_tasks.logged_hours).toBe(1.5);
+      for (const query of queries(db.execute)) {
+        expect(query.sql).toContain('t.project_id IN (SELECT id FROM projects WHERE organization_id = ? AND id IN');
+        expect(query.params).toEqual(['user-id', 'org-1', 'viewer-id', 'viewer-id']);
+      }
+    });
+
+    it('should count time in every project of the organization for admins', async () => {
+      returning(db.execute, [{ logged_minutes: '0', billable_minutes: '0' }], [], []);
+
+      await getUserTimeTracking('user-id', { ...viewer, role: 'admin' });
+
+      expect(queries(db.execute).map(query => query.params)).toEqual([
+        ['user-id', 'org-1'], ['user-id', 'org-1'], ['user-id', 'org-1']
+      ]);
+    });
+  });
+
+  it('should compare estimates with logged time', () => {
+    const totals = summarize([
+      { estimated_hours: '10.00', logged_minutes: '720', billable_minutes: '600' },
+      { estimated_hours: null, logged_minutes: '30', billable_minutes: '0' }
+    ]);
+
+    expect(totals).toEqual({
+      estimated_hours: 10,
+      logged_hours: 12.5,
+      variance_hours: 2.5,
+      variance_percent: 25,
+      billable_hours: 10
+    });
+    expect(summarize([]).variance_percent).toBeNull();
+    expect(toHours(20)).toBe(0.33);
+  });
+});
@@ -0,0 +1,91 @@
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JWT_EXPIRES_IN = '15m';
+process.env.REFRESH_TOKEN_SECRET = 'test-refresh-secret';
+
+jest.mock('../config/database', () => require('./helpers/database').mockDatabase());
+
+const express = require('express');
+const request = require('supertest');
+const db = require('../config/database');
+const { returning, queries, signIn } = require('./helpers/database');
+const { hashToken, issueTokenPair, rotateRefreshToken } = require('../utils/tokens');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', require('../routes/auth'));
+
+const user = { id: 'user-id', organization_id: 'org-1', email: 'jane@example.com', role: 'user' };
+
+describe('Login sessions', () => {
+  it('should list the user\'s sessions and mark the current one', async () => {
+    const { token, lookups } = signIn(user, 'session-1');
+    returning(db.execute, ...lookups, [
+      { id: 'session-1', ip_address: '203.0.113.7', user_agent: 'Firefox' },
+      { id: 'session-2', ip_address: '198.51.100.2', user_agent: 'curl' }
+    ]);
+
+    const response = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.map(session => [session.id, session.current])).toEqual([['session-1', true], ['session-2', false]]);
+    expect(queries(db.execute)[2].params).toEqual([user.id]);
+  });
+
+  it('should revoke one of the user\'s sessions with its refresh tokens', async () => {
+    const { token, lookups } = signIn(user, 'session-1');
+    returning(db.execute, ...lookups, [{ id: 'session-2' }], { affectedRows: 1 }, { affectedRows: 2 });
+
+    await request(app)
+      .delete('/api/auth/sessions/session-2')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const [lookup, session, refreshTokens] = queries(db.execute).slice(2);
+    expect(lookup.params).toEqual(['session-2', user.id]);
+    expect(session.sql).toContain('UPDATE user_sessions SET revoked_at');
+    expect(session.params).toEqual(['session-2']);
+    expect(refreshTokens.sql).toContain('UPDATE refresh_tokens SET revoked_at');
+    expect(refreshTokens.params).toEqual(['session-2']);
+  });
+
+  it('should not revoke sessions of other users', async () => {
+    const { token, lookups } = signIn(user, 'session-1');
+    returning(db.execute, ...lookups, []);
+
+    const response = await request(app)
+      .delete('/api/auth/sessions/someone-elses-session')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404);
+
+    expect(response.body.message).toBe('Session not found');
+    expect(db.execute).toHaveBeenCalledTimes(3);
+  });
+
+  it('should reject requests from a revoked session', async () => {
+    const { token, lookups } = signIn(user, 'session-1');
+    returning(db.execute, lookups[0], []);
+
+    await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(401);
+  });
+
+  it('should revoke the session when a rotated refresh token is used again', async () => {
+    returning(db.execute, { affectedRows: 1 }, { affectedRows: 1 });
+    const { refreshToken } = await issueTokenPair({ ...user, token_version: 0 }, { ip: '203.0.113.7', userAgent: 'Firefox' });
+    const [session, stored] = queries(db.execute);
+    expect(session.params).toEqual([expect.any(String), user.id, '203.0.113.7', 'Firefox']);
+    expect(stored.params[3]).toBe(hashToken(refreshToken));
+
+    db.execute.mockClear();
+    returning(db.execute, [{
+      id: stored.params[0], user_id: user.id, family_id: session.params[0], token_hash: hashToken(refreshToken), revoked_at: new Date()
+    }], { affectedRows: 1 }, { affectedRows: 1 });
+
+    expect(await rotateRefreshToken(refreshToken)).toBeNull();
+    expect(queries(db.execute).slice(1).map(query => query.params)).toEqual([[session.params[0]], [session.params[0]]]);
+  });
+});
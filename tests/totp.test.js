@@ -0,0 +1,38 @@
+const totp = require('../utils/totp');
+
+// RFC 6238 appendix B test secret ("12345678901234567890")
+const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP utilities', () => {
+  it('should round-trip base32 encoding', () => {
+    const buffer = Buffer.from('12345678901234567890');
+
+    expect(totp.base32Encode(buffer)).toBe(rfcSecret);
+    expect(totp.base32Decode(rfcSecret).equals(buffer)).toBe(true);
+  });
+
+  it('should match the RFC 6238 SHA1 test vectors', () => {
+    expect(totp.generateCode(rfcSecret, { time: 59 * 1000, digits: 8 })).toBe('94287082');
+    expect(totp.generateCode(rfcSecret, { time: 1111111109 * 1000, digits: 8 })).toBe('07081804');
+    expect(totp.generateCode(rfcSecret, { time: 1234567890 * 1000, digits: 8 })).toBe('89005924');
+  });
+
+  it('should accept codes from adjacent steps only', () => {
+    const secret = totp.generateSecret();
+    const now = Date.now();
+    const previous = totp.generateCode(secret, { time: now - 30 * 1000 });
+    const stale = totp.generateCode(secret, { time: now - 120 * 1000 });
+
+    expect(totp.verifyCode(totp.generateCode(secret, { time: now }), secret, { time: now })).not.toBeNull();
+    expect(totp.verifyCode(previous, secret, { time: now })).not.toBeNull();
+    expect(totp.verifyCode(stale, secret, { time: now })).toBeNull();
+    expect(totp.verifyCode('12ab56', secret, { time: now })).toBeNull();
+  });
+
+  it('should build an otpauth URI', () => {
+    const uri = totp.keyUri({ secret: rfcSecret, account: 'user@example.com', issuer: 'Express CRUD API' });
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Express%20CRUD%20API%3Auser%40example\.com\?/);
+    expect(uri).toContain(`secret=${rfcSecret}`);
+  });
+});
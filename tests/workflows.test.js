@@ -0,0 +1,44 @@
+const { DEFAULT_WORKFLOW, checkWorkflow, checkTransition, canTransition } = require('../utils/workflows');
+
+const qaWorkflow = {
+  states: [
+    { key: 'todo', name: 'To Do', category: 'open' },
+    { key: 'in_progress', name: 'In Progress', category: 'active' },
+    { key: 'blocked', name: 'Blocked', category: 'active' },
+    { key: 'qa_passed', name: 'QA Passed', category: 'done' }
+  ],
+  transitions: [
+    { from: 'todo', to: 'in_progress', roles: null },
+    { from: '*', to: 'blocked', roles: null },
+    { from: 'blocked', to: 'in_progress', roles: null },
+    { from: 'in_progress', to: 'qa_passed', roles: ['maintainer', 'owner'] }
+  ]
+};
+
+describe('Workflows', () => {
+  it('should let the default workflow move between any states', () => {
+    expect(checkTransition(DEFAULT_WORKFLOW, 'completed', 'todo')).toBeNull();
+    expect(canTransition(DEFAULT_WORKFLOW, 'todo', 'review', 'contributor')).toBe(true);
+    expect(checkTransition(DEFAULT_WORKFLOW, 'todo', 'blocked')).toMatch(/must be one of/);
+  });
+
+  it('should only allow defined transitions', () => {
+    expect(checkTransition(qaWorkflow, 'todo', 'in_progress')).toBeNull();
+    expect(checkTransition(qaWorkflow, 'qa_passed', 'blocked')).toBeNull();
+    expect(checkTransition(qaWorkflow, 'todo', 'qa_passed')).toMatch(/does not allow/);
+    expect(checkTransition(qaWorkflow, 'todo', 'todo')).toBeNull();
+  });
+
+  it('should apply role restrictions', () => {
+    expect(canTransition(qaWorkflow, 'in_progress', 'qa_passed', 'contributor')).toBe(false);
+    expect(canTransition(qaWorkflow, 'in_progress', 'qa_passed', 'maintainer')).toBe(true);
+    expect(canTransition(qaWorkflow, 'todo', 'in_progress', 'contributor')).toBe(true);
+  });
+
+  it('should validate workflow definitions', () => {
+    expect(checkWorkflow(qaWorkflow)).toBeNull();
+    expect(checkWorkflow({ states: qaWorkflow.states.slice(0, 3), transitions: [] })).toMatch(/done category/);
+    expect(checkWorkflow({ states: [...qaWorkflow.states, qaWorkflow.states[0]], transitions: [] })).toMatch(/unique/);
+    expect(checkWorkflow({ ...qaWorkflow, transitions: [{ from: 'todo', to: 'archived', roles: null }] })).toMatch(/unknown state/);
+  });
+});
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { hashToken } = require('./tokens');
+
+// Personal access tokens look like "pat_<48 hex chars>"; only a hash is stored
+const API_KEY_PREFIX = 'pat_';
+
+const SCOPES = [
+  'projects:read',
+  'projects:write',
+  'tasks:read',
+  'tasks:write',
+  'categories:read',
+  'categories:write',
+  'teams:read',
+  'teams:write',
+  'users:read',
+  'users:write'
+];
+
+const isApiKey = (token) => token.startsWith(API_KEY_PREFIX);
+
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  return {
+    key,
+    prefix: key.slice(0, 12),
+    hash: hashToken(key)
+  };
+};
+
+// Look up a usable key together with its (active) owner
+const findActiveApiKey = async (key) => {
+  const [keys] = await db.execute(`
+    SELECT k.id, k.scopes, u.id as user_id, u.organization_id, u.email, u.role, u.is_active
+    FROM api_keys k
+    JOIN users u ON k.user_id = u.id
+    WHERE k.key_hash = ? AND k.revoked_at IS NULL
+      AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)
+      AND u.is_active = 1
+  `, [hashToken(key)]);
+
+  if (keys.length === 0) {
+    return null;
+  }
+
+  await db.execute('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [keys[0].id]);
+
+  return { ...keys[0], scopes: JSON.parse(keys[0].scopes) };
+};
+
+module.exports = {
+  SCOPES,
+  isApiKey,
+  generateApiKey,
+  findActiveApiKey
+};
@@ -0,0 +1,86 @@
+const path = require('path');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+// Avatars are re-encoded into square WebP images of every size in
+// AVATAR_SIZES, without EXIF or other metadata. users.avatar_url holds the
+// shared key prefix ("avatars/<uuid>"); each size is stored under
+// "avatars/<uuid>-<size>.webp". Avatars uploaded before processing existed
+// keep the key of their original file, extension included, and are served
+// as they are for every size.
+const AVATAR_SIZES = [32, 128, 512];
+const DEFAULT_AVATAR_SIZE = 128;
+const AVATAR_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+
+// Refuse images that would take too much memory to decode (e.g. 8000x8000)
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const isLegacyKey = (base) => path.extname(base) !== '';
+
+const avatarKey = (base, size = DEFAULT_AVATAR_SIZE) => isLegacyKey(base) ? base : `${base}-${size}.webp`;
+
+const avatarKeys = (base) => isLegacyKey(base) ? [base] : AVATAR_SIZES.map(size => avatarKey(base, size));
+
+// A short-lived signed URL of the user's avatar at the given size, or null
+// without one. It needs no Authorization header, so it works in an <img>.
+const avatarUrl = async (user, size = DEFAULT_AVATAR_SIZE) => {
+  if (!user.avatar_url) {
+    return null;
+  }
+
+  const key = avatarKey(user.avatar_url, size);
+  return getStorage().signedUrl(key, { filename: `avatar${path.extname(key)}`, inline: true });
+};
+
+// Why an uploaded file cannot be an avatar, or null when it can
+const checkAvatar = (file) => {
+  if (!AVATAR_TYPES.includes(file.mimetype)) {
+    return 'Avatar must be a JPEG, PNG or GIF image';
+  }
+  return null;
+};
+
+// Why a requested avatar size is unusable, or null when it is fine
+const checkAvatarSize = (size) => {
+  if (size !== undefined && !AVATAR_SIZES.includes(Number(size))) {
+    return `size must be one of ${AVATAR_SIZES.join(', ')}`;
+  }
+  return null;
+};
+
+// The image cropped to a centred square of each size. Rotation from EXIF is
+// applied first; sharp drops all metadata unless asked to keep it.
+const resizeAvatar = (buffer) => Promise.all(AVATAR_SIZES.map(async size => ({
+  size,
+  body: await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize(size, size, { fit: 'cover', position: 'centre' })
+    .webp({ quality: 82 })
+    .toBuffer()
+})));
+
+// Stores the resized images under the key prefix
+const saveAvatar = async (base, images) => {
+  for (const { size, body } of images) {
+    await getStorage().put(avatarKey(base, size), body, 'image/webp');
+  }
+};
+
+const deleteAvatar = async (base) => {
+  for (const key of avatarKeys(base)) {
+    await getStorage().delete(key);
+  }
+};
+
+module.exports = {
+  AVATAR_SIZES,
+  DEFAULT_AVATAR_SIZE,
+  avatarKey,
+  avatarKeys,
+  avatarUrl,
+  checkAvatar,
+  checkAvatarSize,
+  resizeAvatar,
+  saveAvatar,
+  deleteAvatar
+};
@@ -0,0 +1,79 @@
+const db = require('../config/database');
+const { can } = require('./policy');
+
+// "@jane@example.com" mentions a user by email, "@jane" by the part of the
+// email before the "@" when exactly one active user of the organization has it
+const MENTION_PATTERN = /(^|[^\w@.])@([a-z0-9._%+-]+(?:@[a-z0-9-]+(?:\.[a-z0-9-]+)+)?)/gi;
+
+// Distinct lowercased handles mentioned in a comment body
+const parseMentions = (body) => {
+  const handles = new Set();
+
+  for (const match of (body || '').matchAll(MENTION_PATTERN)) {
+    // Sentence punctuation is not part of the handle
+    const handle = match[2].replace(/\.+$/, '').toLowerCase();
+    if (handle) {
+      handles.add(handle);
+    }
+  }
+
+  return [...handles];
+};
+
+// Active users of the organization mentioned in the body who can see the task
+const resolveMentions = async (body, task, organizationId) => {
+  const handles = parseMentions(body);
+
+  if (handles.length === 0) {
+    return [];
+  }
+
+  const placeholders = handles.map(() => '?').join(', ');
+  const [candidates] = await db.execute(`
+    SELECT id, name, email, role, organization_id
+    FROM users
+    WHERE is_active = 1 AND organization_id = ?
+      AND (LOWER(email) IN (${placeholders}) OR LOWER(SUBSTRING_INDEX(email, '@', 1)) IN (${placeholders}))
+  `, [organizationId, ...handles, ...handles]);
+
+  const mentioned = new Map();
+
+  for (const handle of handles) {
+    const exact = candidates.filter(user => user.email.toLowerCase() === handle);
+    const byLocalPart = candidates.filter(user => user.email.toLowerCase().split('@')[0] === handle);
+    const matches = exact.length > 0 ? exact : byLocalPart;
+
+    if (matches.length === 1) {
+      mentioned.set(matches[0].id, matches[0]);
+    }
+  }
+
+  const visible = [];
+  for (const user of mentioned.values()) {
+    if (await can(user, 'task:read', task)) {
+      visible.push({ id: user.id, name: user.name, email: user.email });
+    }
+  }
+
+  return visible;
+};
+
+// Nests replies under the comment they answer; comments must be ordered
+// oldest first. Replies whose parent is missing stay at the top level.
+const buildThread = (comments) => {
+  const byId = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+  const thread = [];
+
+  for (const comment of byId.values()) {
+    const parent = comment.parent_comment_id && byId.get(comment.parent_comment_id);
+    (parent ? parent.replies : thread).push(comment);
+  }
+
+  return thread;
+};
+
+module.exports = {
+  parseMentions,
+  resolveMentions,
+  buildThread
+};
@@ -0,0 +1,34 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { hashToken, generateToken } = require('./tokens');
+const { sendMail, appUrl } = require('./mailer');
+
+const isVerificationRequired = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Issue a verification token for the given address and email it.
+// Earlier unused tokens for the user stop working.
+const sendVerificationEmail = async (user, email) => {
+  const token = generateToken();
+  const expiresHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+
+  await db.execute(
+    'UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+    [user.id]
+  );
+
+  await db.execute(
+    `INSERT INTO email_verification_tokens (id, user_id, email, token_hash, expires_at)
+     VALUES (?, ?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? HOUR))`,
+    [uuidv4(), user.id, email, hashToken(token), expiresHours]
+  );
+
+  await sendMail({
+    to: email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\n` +
+      `Please confirm your email address using the link below. It expires in ${expiresHours} hours.\n\n` +
+      `${appUrl('/verify-email', { token })}`
+  });
+};
+
+module.exports = { isVerificationRequired, sendVerificationEmail };
@@ -0,0 +1,58 @@
+// The upload types we accept, recognised by their content rather than the
+// mimetype the client claims. Binary formats start with a fixed signature
+// ("magic bytes"); text has none, so it is accepted only when it is valid
+// UTF-8 without NUL bytes.
+
+const startsWith = (buffer, signature) => buffer.length >= signature.length && buffer.subarray(0, signature.length).equals(Buffer.from(signature));
+
+const isText = (buffer) => {
+  if (buffer.includes(0)) {
+    return false;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const FILE_TYPES = [
+  { mimetype: 'image/jpeg', extensions: ['.jpg', '.jpeg'], matches: buffer => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+  { mimetype: 'image/png', extensions: ['.png'], matches: buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mimetype: 'image/gif', extensions: ['.gif'], matches: buffer => startsWith(buffer, 'GIF87a') || startsWith(buffer, 'GIF89a') },
+  { mimetype: 'application/pdf', extensions: ['.pdf'], matches: buffer => startsWith(buffer, '%PDF-') },
+  // Legacy Word files are OLE2 compound documents
+  { mimetype: 'application/msword', extensions: ['.doc'], matches: buffer => startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) },
+  // DOCX is a ZIP archive; its entry names are stored uncompressed
+  {
+    mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extensions: ['.docx'],
+    matches: buffer => startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) && buffer.includes('[Content_Types].xml') && buffer.includes('word/')
+  },
+  { mimetype: 'text/plain', extensions: ['.txt'], matches: isText }
+];
+
+// The type the content is, or null when it is none of the accepted types
+const detectType = (buffer) => FILE_TYPES.find(type => type.matches(buffer)) || null;
+
+// Why an upload's content is unacceptable, or null when it really is an
+// accepted type with a matching extension
+const checkContent = (buffer, originalName) => {
+  const type = detectType(buffer);
+  const extension = (originalName.match(/\.[^.]*$/) || [''])[0].toLowerCase();
+
+  if (!type) {
+    return `Invalid file type. ${originalName} is not a JPEG, PNG, GIF, PDF, DOC, DOCX or TXT file`;
+  }
+  if (!type.extensions.includes(extension)) {
+    return `Invalid file type. ${originalName} contains ${type.mimetype} but is named as another type`;
+  }
+  return null;
+};
+
+module.exports = {
+  FILE_TYPES,
+  detectType,
+  checkContent
+};
@@ -0,0 +1,325 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { getStorage } = require('./storage');
+const { scanStored } = require('./scanner');
+const logger = require('./logger');
+
+// Uploads are only served through the API, which checks access first and
+// then redirects to a short-lived signed URL. Rows in project_files and
+// task_files keep the file's storage key in file_path.
+//
+// Uploading a file under a name the project or task already has adds a new
+// version of that file. The file row always describes its current version;
+// every version, including the current one, is kept in the versions table.
+//
+// Stored content is scanned for malware after the upload responds; until its
+// scan_status is 'clean' a file or version cannot be downloaded.
+const FILE_TABLES = {
+  project: { table: 'project_files', versions: 'project_file_versions', column: 'project_id', route: 'projects' },
+  task: { table: 'task_files', versions: 'task_file_versions', column: 'task_id', route: 'tasks' }
+};
+
+const MAX_COMMENT_LENGTH = 1000;
+
+const downloadUrl = (type, ownerId, fileId, version = null) => {
+  const base = `/api/${FILE_TABLES[type].route}/${ownerId}/files/${fileId}`;
+  return version ? `${base}/versions/${version}/download` : `${base}/download`;
+};
+
+// What the API shows of a file row; file_path stays internal
+const presentFile = (type, file) => ({
+  id: file.id,
+  original_name: file.original_name,
+  file_size: file.file_size,
+  mimetype: file.mimetype,
+  version: file.current_version,
+  scan_status: file.scan_status,
+  uploaded_by: file.uploaded_by,
+  uploaded_by_name: file.uploaded_by_name,
+  created_at: file.created_at,
+  updated_at: file.updated_at,
+  download_url: downloadUrl(type, file[FILE_TABLES[type].column], file.id)
+});
+
+const presentVersion = (type, file, version) => ({
+  version: version.version,
+  is_current: version.version === file.current_version,
+  file_size: version.file_size,
+  mimetype: version.mimetype,
+  comment: version.comment,
+  restored_from: version.restored_from,
+  scan_status: version.scan_status,
+  uploaded_by: version.uploaded_by,
+  uploaded_by_name: version.uploaded_by_name,
+  created_at: version.created_at,
+  download_url: downloadUrl(type, file[FILE_TABLES[type].column], file.id, version.version)
+});
+
+// Why a version comment is unusable, or null when it is fine
+const checkComment = (comment) => {
+  if (comment !== undefined && typeof comment !== 'string') {
+    return 'comment must be a string';
+  }
+  if (comment && comment.trim().length > MAX_COMMENT_LENGTH) {
+    return `comment must be at most ${MAX_COMMENT_LENGTH} characters`;
+  }
+  return null;
+};
+
+const FILE_SELECT = (table) => `
+  SELECT f.*, u.name as uploaded_by_name
+  FROM ${table} f
+  LEFT JOIN users u ON f.uploaded_by = u.id
+`;
+
+// Files attached to a project or task, most recently changed first
+const listFiles = async (type, ownerId) => {
+  const { table, column } = FILE_TABLES[type];
+  const [files] = await db.execute(
+    `${FILE_SELECT(table)} WHERE f.${column} = ? ORDER BY f.updated_at DESC, f.original_name`,
+    [ownerId]
+  );
+  return files;
+};
+
+const findFile = async (type, ownerId, fileId) => {
+  const { table, column } = FILE_TABLES[type];
+  const [files] = await db.execute(
+    `${FILE_SELECT(table)} WHERE f.id = ? AND f.${column} = ?`,
+    [fileId, ownerId]
+  );
+  return files.length > 0 ? files[0] : null;
+};
+
+const VERSION_SELECT = (versions) => `
+  SELECT v.*, u.name as uploaded_by_name
+  FROM ${versions} v
+  LEFT JOIN users u ON v.uploaded_by = u.id
+`;
+
+// Versions of a file, newest first
+const listVersions = async (type, fileId) => {
+  const [versions] = await db.execute(
+    `${VERSION_SELECT(FILE_TABLES[type].versions)} WHERE v.file_id = ? ORDER BY v.version DESC`,
+    [fileId]
+  );
+  return versions;
+};
+
+const findVersion = async (type, fileId, version) => {
+  const [versions] = await db.execute(
+    `${VERSION_SELECT(FILE_TABLES[type].versions)} WHERE v.file_id = ? AND v.version = ?`,
+    [fileId, version]
+  );
+  return versions.length > 0 ? versions[0] : null;
+};
+
+// Makes the stored content the file's next version and points the file row at it
+const addVersion = async (type, file, content, userId, comment, restoredFrom = null) => {
+  const { table, versions } = FILE_TABLES[type];
+  const version = file.current_version + 1;
+
+  await db.execute(`
+    INSERT INTO ${versions} (file_id, version, filename, file_path, file_size, mimetype, uploaded_by, comment, restored_from, scan_status, scan_signature, scanned_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    file.id, version, content.filename, content.file_path, content.file_size, content.mimetype, userId, comment || null, restoredFrom,
+    content.scan_status || 'pending', content.scan_signature || null, content.scanned_at || null
+  ]);
+
+  await db.execute(`
+    UPDATE ${table}
+    SET filename = ?, file_path = ?, file_size = ?, mimetype = ?, current_version = ?, scan_status = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [content.filename, content.file_path, content.file_size, content.mimetype, version, content.scan_status || 'pending', file.id]);
+
+  return version;
+};
+
+// Records an upload stored by the upload middleware: a new version of the
+// file with the same name, or a new file. Returns { id, version }.
+const saveUpload = async (type, ownerId, upload, userId, comment) => {
+  const { table, versions, column } = FILE_TABLES[type];
+  const content = { filename: upload.filename, file_path: upload.key, file_size: upload.size, mimetype: upload.mimetype };
+
+  const [existing] = await db.execute(
+    `SELECT id, current_version FROM ${table} WHERE ${column} = ? AND original_name = ? ORDER BY updated_at DESC LIMIT 1`,
+    [ownerId, upload.originalname]
+  );
+
+  if (existing.length > 0) {
+    const version = await addVersion(type, existing[0], content, userId, comment);
+    queueScan(upload.key);
+    return { id: existing[0].id, version };
+  }
+
+  const fileId = uuidv4();
+
+  await db.execute(`
+    INSERT INTO ${table} (id, ${column}, filename, original_name, file_path, file_size, mimetype, uploaded_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [fileId, ownerId, upload.filename, upload.originalname, upload.key, upload.size, upload.mimetype, userId]);
+
+  await db.execute(`
+    INSERT INTO ${versions} (file_id, version, filename, file_path, file_size, mimetype, uploaded_by, comment)
+    VALUES (?, 1, ?, ?, ?, ?, ?, ?)
+  `, [fileId, upload.filename, upload.key, upload.size, upload.mimetype, userId, comment || null]);
+
+  queueScan(upload.key);
+  return { id: fileId, version: 1 };
+};
+
+// Restoring copies an earlier version forward as the newest one; the stored
+// content, and so its scan result, is shared, not duplicated
+const restoreVersion = async (type, file, version, userId, comment) => {
+  return addVersion(type, file, version, userId, comment, version.version);
+};
+
+// Why a file or version cannot be downloaded yet, or null once it is clean
+const checkScanned = ({ scan_status: status }) => {
+  if (status === 'clean') {
+    return null;
+  }
+  if (status === 'infected') {
+    return 'File is quarantined because malware was found in it';
+  }
+  return status === 'failed'
+    ? 'File could not be scanned for malware yet'
+    : 'File is waiting for its malware scan';
+};
+
+// Redirects to a signed URL downloading the file (or one of its versions)
+// under its original name; content that has not passed its scan gets a 409
+const sendFile = async (res, file, { version = file, inline = false } = {}) => {
+  const scanError = checkScanned(version);
+  if (scanError) {
+    return res.status(409).json({
+      success: false,
+      message: scanError,
+      data: { scan_status: version.scan_status }
+    });
+  }
+
+  const url = await getStorage().signedUrl(version.file_path, {
+    filename: file.original_name,
+    contentType: version.mimetype,
+    inline
+  });
+
+  res.set('Cache-Control', 'no-store');
+  res.redirect(302, url);
+};
+
+// Deletes the file with all its versions
+const deleteFile = async (type, file) => {
+  const { table, versions } = FILE_TABLES[type];
+
+  const [stored] = await db.execute(`SELECT DISTINCT file_path FROM ${versions} WHERE file_id = ?`, [file.id]);
+  const keys = new Set([file.file_path, ...stored.map(row => row.file_path)]);
+
+  await db.execute(`DELETE FROM ${table} WHERE id = ?`, [file.id]);
+
+  for (const key of keys) {
+    await getStorage().delete(key);
+  }
+};
+
+// Storage keys of every file, in all its versions, attached to the given
+// projects or tasks
+const listStoredKeys = async (type, ownerIds) => {
+  if (ownerIds.length === 0) {
+    return [];
+  }
+
+  const { table, versions, column } = FILE_TABLES[type];
+  const placeholders = ownerIds.map(() => '?').join(', ');
+  const [rows] = await db.execute(`
+    SELECT file_path FROM ${table} WHERE ${column} IN (${placeholders})
+    UNION
+    SELECT v.file_path FROM ${versions} v JOIN ${table} f ON v.file_id = f.id WHERE f.${column} IN (${placeholders})
+  `, [...ownerIds, ...ownerIds]);
+
+  return rows.map(row => row.file_path);
+};
+
+// Deletes stored content whose rows are already gone. Failures are only
+// logged: the delete they belong to has happened and cannot be undone.
+const deleteStoredKeys = async (keys) => {
+  for (const key of keys) {
+    try {
+      await getStorage().delete(key);
+    } catch (error) {
+      logger.error(`Could not delete stored file ${key}: ${error.message}`);
+    }
+  }
+};
+
+// Records a scan result on every file and version row holding the key
+const recordScan = async (key, { status, key: newKey, signature }) => {
+  for (const { table, versions } of Object.values(FILE_TABLES)) {
+    await db.execute(
+      `UPDATE ${table} SET file_path = ?, scan_status = ?, updated_at = updated_at WHERE id IN (SELECT file_id FROM ${versions} WHERE file_path = ?) AND file_path = ?`,
+      [newKey, status, key, key]
+    );
+    await db.execute(
+      `UPDATE ${versions} SET file_path = ?, scan_status = ?, scan_signature = ?, scanned_at = CURRENT_TIMESTAMP WHERE file_path = ?`,
+      [newKey, status, signature, key]
+    );
+  }
+};
+
+// Scans stored content and records the result; a scanner that cannot be
+// reached leaves it 'failed' until the next startup retries it
+const scanFile = async (key) => {
+  try {
+    await recordScan(key, await scanStored(key));
+  } catch (error) {
+    logger.error(`Malware scan of ${key} failed: ${error.message}`);
+    await recordScan(key, { status: 'failed', key, signature: null });
+  }
+};
+
+// Scans without holding up the response
+const queueScan = (key) => {
+  setImmediate(() => {
+    scanFile(key).catch(error => logger.error(`Could not record malware scan of ${key}: ${error.message}`));
+  });
+};
+
+// Scans everything still pending or failed, e.g. after a restart
+const scanPendingFiles = async () => {
+  let count = 0;
+
+  for (const { versions } of Object.values(FILE_TABLES)) {
+    const [rows] = await db.execute(`SELECT DISTINCT file_path FROM ${versions} WHERE scan_status IN ('pending', 'failed')`);
+    for (const { file_path: key } of rows) {
+      await scanFile(key);
+      count++;
+    }
+  }
+
+  if (count > 0) {
+    logger.info(`Scanned ${count} stored file(s) for malware`);
+  }
+  return count;
+};
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  downloadUrl,
+  presentFile,
+  presentVersion,
+  checkComment,
+  listFiles,
+  findFile,
+  listVersions,
+  findVersion,
+  saveUpload,
+  restoreVersion,
+  checkScanned,
+  sendFile,
+  deleteFile,
+  listStoredKeys,
+  deleteStoredKeys,
+  scanPendingFiles
+};
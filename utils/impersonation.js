@@ -0,0 +1,86 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const logger = require('./logger');
+
+// Admins can act as another user for a short time to see what they see.
+// The token carries the target as subject and the admin in the "act" claim.
+const expiresMinutes = () => parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES) || 15;
+
+// Why the target cannot be impersonated, or null when it can. Admin accounts
+// never can, so impersonation cannot be used to gain admin rights.
+const checkImpersonationTarget = (target) => {
+  if (['super_admin', 'admin'].includes(target.role)) {
+    return 'Admins cannot be impersonated';
+  }
+  return null;
+};
+
+const startImpersonation = async (admin, target, context = {}) => {
+  const impersonationId = uuidv4();
+  const minutes = expiresMinutes();
+
+  await db.execute(`
+    INSERT INTO impersonations (id, impersonator_id, user_id, ip_address, user_agent, expires_at)
+    VALUES (?, ?, ?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE))
+  `, [impersonationId, admin.id, target.id, context.ip || null, context.userAgent || null, minutes]);
+
+  const accessToken = jwt.sign(
+    {
+      userId: target.id,
+      email: target.email,
+      role: target.role,
+      org: target.organization_id,
+      tv: target.token_version,
+      act: { userId: admin.id, email: admin.email }
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: `${minutes}m`, jwtid: impersonationId }
+  );
+
+  logger.warn('Impersonation started', {
+    event: 'impersonation_started',
+    impersonationId,
+    impersonatorId: admin.id,
+    userId: target.id
+  });
+
+  return { impersonationId, accessToken, expiresIn: minutes * 60 };
+};
+
+// An impersonation stays usable until it expires, is ended, or the admin loses access
+const findActiveImpersonation = async (impersonationId, impersonatorId) => {
+  const [impersonations] = await db.execute(`
+    SELECT i.id, i.expires_at, u.id as impersonator_id, u.email as impersonator_email
+    FROM impersonations i
+    JOIN users u ON i.impersonator_id = u.id
+    WHERE i.id = ? AND i.impersonator_id = ? AND i.ended_at IS NULL
+      AND i.expires_at > CURRENT_TIMESTAMP
+      AND u.is_active = 1 AND u.role IN ('super_admin', 'admin')
+  `, [impersonationId, impersonatorId]);
+
+  return impersonations.length > 0 ? impersonations[0] : null;
+};
+
+const endImpersonation = async (impersonationId) => {
+  await db.execute(
+    'UPDATE impersonations SET ended_at = CURRENT_TIMESTAMP WHERE id = ? AND ended_at IS NULL',
+    [impersonationId]
+  );
+};
+
+// Called once the response is sent; request bodies are not stored
+const recordImpersonatedAction = async (req, res) => {
+  await db.execute(`
+    INSERT INTO impersonation_actions (impersonation_id, method, path, status_code, ip_address)
+    VALUES (?, ?, ?, ?, ?)
+  `, [req.auth.impersonation.id, req.method, req.originalUrl.slice(0, 500), res.statusCode, req.ip || null]);
+};
+
+module.exports = {
+  checkImpersonationTarget,
+  startImpersonation,
+  findActiveImpersonation,
+  endImpersonation,
+  recordImpersonatedAction
+};
@@ -0,0 +1,44 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { hashToken, generateToken } = require('./tokens');
+const { sendMail, appUrl } = require('./mailer');
+const logger = require('./logger');
+
+// Create an invitation into an organization (and optionally one of its
+// projects) and email the acceptance link. A new invitation replaces any
+// pending one for the same address in the same organization.
+const sendInvitation = async ({ email, role, organization, project = null, inviter }) => {
+  await db.execute(
+    'UPDATE invitations SET revoked_at = CURRENT_TIMESTAMP WHERE email = ? AND organization_id = ? AND accepted_at IS NULL AND revoked_at IS NULL',
+    [email, organization.id]
+  );
+
+  const invitationId = uuidv4();
+  const token = generateToken();
+  const expiresHours = parseInt(process.env.INVITATION_EXPIRES_HOURS) || 72;
+
+  await db.execute(`
+    INSERT INTO invitations (id, organization_id, email, role, project_id, token_hash, invited_by, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? HOUR))
+  `, [invitationId, organization.id, email, role, project ? project.id : null, hashToken(token), inviter.id, expiresHours]);
+
+  await sendMail({
+    to: email,
+    subject: 'You have been invited',
+    text: `You have been invited to join ${organization.name} as ${role}` +
+      (project ? ` on the project "${project.name}"` : '') + '.\n\n' +
+      `Accept the invitation within ${expiresHours} hours using the link below.\n\n` +
+      `${appUrl('/accept-invite', { token })}`
+  });
+
+  logger.info(`Invitation sent to ${email} as ${role} by ${inviter.email}`);
+
+  const [invitations] = await db.execute(`
+    SELECT id, organization_id, email, role, project_id, invited_by, expires_at, created_at
+    FROM invitations WHERE id = ?
+  `, [invitationId]);
+
+  return invitations[0];
+};
+
+module.exports = { sendInvitation };
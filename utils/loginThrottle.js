@@ -0,0 +1,147 @@
+const db = require('../config/database');
+const logger = require('./logger');
+
+// Failed logins are tracked per email and per IP. Repeated failures first
+// slow login down (exponential delay), then lock the account for a while.
+const config = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  maxIpAttempts: parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  windowMinutes: parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15
+});
+
+// Seconds to wait after the nth failure: free for the first two, then 1, 2, 4... capped at 60
+const progressiveDelay = (failures) => {
+  if (failures < 3) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - 3), 60);
+};
+
+// Seconds an email has to wait, given its attempts newest first as
+// { succeeded, age } (age in seconds). Only failures inside the window and
+// after the last successful login count.
+const emailRetryAfter = (attempts, { windowMinutes } = config()) => {
+  const failures = [];
+
+  for (const attempt of attempts) {
+    if (attempt.succeeded || attempt.age >= windowMinutes * 60) {
+      break;
+    }
+    failures.push(attempt);
+  }
+
+  return failures.length > 0 ? Math.max(progressiveDelay(failures.length) - failures[0].age, 0) : 0;
+};
+
+// Seconds an IP has to wait, given its failures inside the window and the age
+// of the oldest: once it reaches the limit, until that one leaves the window
+const ipRetryAfter = ({ failures, sinceFirst }, { maxIpAttempts, windowMinutes } = config()) => {
+  return failures >= maxIpAttempts ? Math.max(windowMinutes * 60 - (sinceFirst || 0), 0) : 0;
+};
+
+// Whether this many consecutive failures lock the account
+const locksAccount = (failedAttempts, { maxAttempts } = config()) => failedAttempts >= maxAttempts;
+
+// Returns the number of seconds the caller has to wait, or 0
+const getRetryAfter = async (email, ip) => {
+  const settings = config();
+
+  const [attempts] = await db.execute(`
+    SELECT succeeded, TIMESTAMPDIFF(SECOND, created_at, CURRENT_TIMESTAMP) as age
+    FROM login_attempts
+    WHERE email = ? AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)
+    ORDER BY id DESC
+  `, [email, settings.windowMinutes]);
+
+  // Failures from this IP across all accounts
+  const [ipStats] = await db.execute(`
+    SELECT COUNT(*) as failures, TIMESTAMPDIFF(SECOND, MIN(created_at), CURRENT_TIMESTAMP) as since_first
+    FROM login_attempts
+    WHERE ip_address = ? AND succeeded = 0
+      AND created_at > DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)
+  `, [ip, settings.windowMinutes]);
+
+  return Math.max(
+    emailRetryAfter(attempts, settings),
+    ipRetryAfter({ failures: ipStats[0].failures, sinceFirst: ipStats[0].since_first }, settings)
+  );
+};
+
+// Attempts older than the window no longer count for anything
+const recordAttempt = async (email, ip, succeeded) => {
+  await db.execute(
+    'DELETE FROM login_attempts WHERE created_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)',
+    [config().windowMinutes]
+  );
+
+  await db.execute(
+    'INSERT INTO login_attempts (email, ip_address, succeeded) VALUES (?, ?, ?)',
+    [email, ip, succeeded]
+  );
+};
+
+const recordFailure = async (email, ip, user = null) => {
+  const settings = config();
+  const { lockoutMinutes } = settings;
+
+  await recordAttempt(email, ip, false);
+
+  if (!user) {
+    return;
+  }
+
+  await db.execute(
+    'UPDATE users SET failed_login_attempts = failed_login_attempts + 1 WHERE id = ?',
+    [user.id]
+  );
+
+  const [users] = await db.execute('SELECT failed_login_attempts FROM users WHERE id = ?', [user.id]);
+
+  if (locksAccount(users[0].failed_login_attempts, settings)) {
+    await db.execute(
+      'UPDATE users SET locked_until = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE), failed_login_attempts = 0 WHERE id = ?',
+      [lockoutMinutes, user.id]
+    );
+
+    logger.warn('Account locked after repeated failed logins', {
+      event: 'account_locked',
+      userId: user.id,
+      email,
+      ip,
+      attempts: users[0].failed_login_attempts,
+      lockoutMinutes
+    });
+  }
+};
+
+const recordSuccess = async (email, ip, userId) => {
+  await recordAttempt(email, ip, true);
+
+  await db.execute(
+    'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?',
+    [userId]
+  );
+};
+
+// Seconds until the account unlocks, or 0 when it is not locked
+const getLockRemaining = async (userId) => {
+  const [users] = await db.execute(`
+    SELECT GREATEST(TIMESTAMPDIFF(SECOND, CURRENT_TIMESTAMP, locked_until), 0) as remaining
+    FROM users WHERE id = ? AND locked_until > CURRENT_TIMESTAMP
+  `, [userId]);
+
+  return users.length > 0 ? users[0].remaining : 0;
+};
+
+module.exports = {
+  config,
+  progressiveDelay,
+  emailRetryAfter,
+  ipRetryAfter,
+  locksAccount,
+  getRetryAfter,
+  recordFailure,
+  recordSuccess,
+  getLockRemaining
+};
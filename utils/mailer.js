@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+
+// A transport is any object with a name and an async send(message) method.
+// The built-in ones keep mail local so flows can be exercised offline.
+
+// Keeps messages in memory (used by tests)
+const memoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: 'memory',
+    outbox,
+    send: async (message) => {
+      outbox.push(message);
+    }
+  };
+};
+
+// Writes every message as a JSON file into the outbox directory
+const fileTransport = (dir = process.env.MAIL_OUTBOX_DIR || 'tmp/mail') => ({
+  name: 'file',
+  dir,
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const filename = `${Date.now()}-${uuidv4()}.json`;
+    await fs.promises.writeFile(path.join(dir, filename), JSON.stringify(message, null, 2));
+  }
+});
+
+const transports = {
+  memory: memoryTransport,
+  file: fileTransport
+};
+
+const createTransport = (name) => {
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return factory();
+};
+
+let transport = createTransport(
+  process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'file')
+);
+
+// Replace the active transport, e.g. with an SMTP client exposing send()
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const getTransport = () => transport;
+
+const sendMail = async ({ to, subject, text }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text,
+    date: new Date().toISOString()
+  };
+
+  await transport.send(message);
+  logger.info(`Mail "${subject}" sent to ${to} via ${transport.name} transport`);
+
+  return message;
+};
+
+// Build a link into the frontend application
+const appUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  createTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+  appUrl
+};
@@ -0,0 +1,74 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const logger = require('./logger');
+
+// Organizations are the tenants of a deployment. Self-registration joins the
+// default organization; every other organization is joined by invitation.
+const DEFAULT_ORGANIZATION_SLUG = 'default';
+
+// Every new organization starts with these categories
+const DEFAULT_CATEGORIES = [
+  ['Frontend', 'Frontend development tasks', '#e74c3c'],
+  ['Backend', 'Backend development tasks', '#3498db'],
+  ['Database', 'Database related tasks', '#f39c12'],
+  ['Testing', 'Testing and QA tasks', '#27ae60'],
+  ['Documentation', 'Documentation tasks', '#9b59b6'],
+  ['Bug Fix', 'Bug fixing tasks', '#e67e22'],
+  ['Feature', 'New feature development', '#1abc9c'],
+  ['Maintenance', 'Maintenance and refactoring', '#34495e']
+];
+
+const getDefaultOrganizationId = async () => {
+  const [organizations] = await db.execute(
+    'SELECT id FROM organizations WHERE slug = ?',
+    [DEFAULT_ORGANIZATION_SLUG]
+  );
+
+  return organizations.length > 0 ? organizations[0].id : null;
+};
+
+const ensureDefaultOrganization = async () => {
+  const existingId = await getDefaultOrganizationId();
+  if (existingId) {
+    return existingId;
+  }
+
+  const organizationId = uuidv4();
+  await db.execute(
+    'INSERT INTO organizations (id, name, slug) VALUES (?, ?, ?)',
+    [organizationId, process.env.DEFAULT_ORGANIZATION_NAME || 'Default Organization', DEFAULT_ORGANIZATION_SLUG]
+  );
+
+  logger.info('Default organization created');
+  return organizationId;
+};
+
+const seedDefaultCategories = async (organizationId) => {
+  for (const [name, description, color] of DEFAULT_CATEGORIES) {
+    await db.execute(
+      'INSERT IGNORE INTO categories (id, organization_id, name, description, color) VALUES (?, ?, ?, ?, ?)',
+      [uuidv4(), organizationId, name, description, color]
+    );
+  }
+};
+
+const createOrganization = async ({ name, slug }) => {
+  const organizationId = uuidv4();
+
+  await db.execute(
+    'INSERT INTO organizations (id, name, slug) VALUES (?, ?, ?)',
+    [organizationId, name, slug]
+  );
+  await seedDefaultCategories(organizationId);
+
+  const [organizations] = await db.execute('SELECT * FROM organizations WHERE id = ?', [organizationId]);
+  return organizations[0];
+};
+
+module.exports = {
+  DEFAULT_ORGANIZATION_SLUG,
+  getDefaultOrganizationId,
+  ensureDefaultOrganization,
+  seedDefaultCategories,
+  createOrganization
+};
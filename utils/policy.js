@@ -0,0 +1,302 @@
+const db = require('../config/database');
+
+// Every authorization decision goes through can(user, action, resource).
+// Actions are "<resource>:<verb>" strings; project and task rules are driven
+// by project membership, the rest by the user's role in their organization.
+// Nothing crosses organizations: resources of another organization are
+// invisible to every role, super admins included.
+
+// Project roles from least to most privileged
+const PROJECT_ROLES = ['viewer', 'contributor', 'maintainer', 'owner'];
+
+const hasProjectRole = (role, minimum) => {
+  return PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minimum);
+};
+
+// Super admins run the platform and are admins of their own organization
+const rolesOf = (user) => (user.role === 'super_admin' ? ['super_admin', 'admin'] : [user.role]);
+
+const hasAnyRole = (user, roles) => rolesOf(user).some(role => roles.includes(role));
+
+// Direct memberships and grants to the user's teams both count
+const MEMBER_PROJECTS_SQL = `
+  SELECT project_id FROM project_members WHERE user_id = ?
+  UNION
+  SELECT pt.project_id FROM project_teams pt
+  JOIN team_members tm ON tm.team_id = pt.team_id
+  WHERE tm.user_id = ?
+`;
+
+// The user's highest role in a project, or null when they have no access.
+// Admins act as owners of every project in their organization.
+const getProjectRole = async (user, projectId) => {
+  const [projects] = await db.execute(
+    'SELECT id FROM projects WHERE id = ? AND organization_id = ?',
+    [projectId, user.organization_id]
+  );
+
+  if (projects.length === 0) {
+    return null;
+  }
+
+  if (hasAnyRole(user, ['admin'])) {
+    return 'owner';
+  }
+
+  const [grants] = await db.execute(`
+    SELECT role FROM project_members WHERE project_id = ? AND user_id = ?
+    UNION ALL
+    SELECT pt.role FROM project_teams pt
+    JOIN team_members tm ON tm.team_id = pt.team_id
+    WHERE pt.project_id = ? AND tm.user_id = ?
+  `, [projectId, user.id, projectId, user.id]);
+
+  return grants.reduce((best, grant) => {
+    return best && hasProjectRole(best, grant.role) ? best : grant.role;
+  }, null);
+};
+
+const getTeamRole = async (user, teamId) => {
+  const [members] = await db.execute(`
+    SELECT tm.role FROM team_members tm
+    JOIN teams t ON tm.team_id = t.id
+    WHERE tm.team_id = ? AND tm.user_id = ? AND t.organization_id = ?
+  `, [teamId, user.id, user.organization_id]);
+
+  return members.length > 0 ? members[0].role : null;
+};
+
+// Project resources are { id }, task resources carry project_id
+const roleIn = (user, resource) => getProjectRole(user, resource.project_id || resource.id);
+
+const hasRole = (...roles) => async (user) => hasAnyRole(user, roles);
+
+const isSelfOr = (...roles) => async (user, resource) => resource.id === user.id || hasAnyRole(user, roles);
+
+const projectRole = (minimum) => async (user, resource) => hasProjectRole(await roleIn(user, resource), minimum);
+
+// Contributors may change their own tasks (including tasks of their teams);
+// maintainers and owners any task
+const ownTaskOr = (minimum, ...fields) => async (user, resource) => {
+  const role = await roleIn(user, resource);
+  if (hasProjectRole(role, minimum)) {
+    return true;
+  }
+  if (!hasProjectRole(role, 'contributor')) {
+    return false;
+  }
+  if (fields.some(field => resource[field] === user.id)) {
+    return true;
+  }
+  return fields.includes('assigned_to') && Boolean(resource.assigned_team_id) &&
+    (await getTeamRole(user, resource.assigned_team_id)) !== null;
+};
+
+// Authors manage their own comments, time entries and files while they can still
+// contribute to the project; managing other people's needs the given project role
+const authorOr = (minimum) => async (user, resource) => {
+  const role = await roleIn(user, resource);
+  if (minimum && hasProjectRole(role, minimum)) {
+    return true;
+  }
+  return resource.user_id === user.id && hasProjectRole(role, 'contributor');
+};
+
+// Team leads manage their own team
+const teamLeadOr = (...roles) => async (user, resource) => {
+  return hasAnyRole(user, roles) || (await getTeamRole(user, resource.id)) === 'lead';
+};
+
+// User resources are { id } or, when the target account was loaded, { id, role,
+// organization_id }. Only super admins can change a super admin's account.
+const userWrite = (check) => async (user, resource) => {
+  if (resource.role === 'super_admin' && !hasAnyRole(user, ['super_admin'])) {
+    return false;
+  }
+  return check(user, resource);
+};
+
+// The account a user:* action targets, or { id } when there is none
+const getUserResource = async (id) => {
+  const [users] = await db.execute('SELECT id, role, organization_id FROM users WHERE id = ?', [id]);
+  return users.length > 0 ? users[0] : { id };
+};
+
+// Organization resources are { id }
+const ownOrganization = (...roles) => async (user, resource) => {
+  return resource.id === user.organization_id && hasAnyRole(user, roles);
+};
+
+const policies = {
+  'project:create': hasRole('admin', 'manager'),
+  'project:read': projectRole('viewer'),
+  'project:update': projectRole('maintainer'),
+  'project:delete': projectRole('owner'),
+  'project:upload': projectRole('maintainer'),
+  'project:manage_members': projectRole('maintainer'),
+  'project:manage_owners': projectRole('owner'),
+
+  'task:create': projectRole('contributor'),
+  'task:read': projectRole('viewer'),
+  'task:update': ownTaskOr('maintainer', 'created_by', 'assigned_to'),
+  'task:upload': ownTaskOr('maintainer', 'created_by', 'assigned_to'),
+  'task:delete': ownTaskOr('maintainer', 'created_by'),
+  'task:comment': projectRole('contributor'),
+  'task:log_time': projectRole('contributor'),
+
+  // Comment, time entry and file resources carry the project_id and their author's user_id
+  'comment:update': authorOr(null),
+  'comment:delete': authorOr('maintainer'),
+  'time_entry:update': authorOr('maintainer'),
+  'time_entry:delete': authorOr('maintainer'),
+  'file:delete': authorOr('maintainer'),
+
+  'category:read': async () => true,
+  'category:create': hasRole('admin', 'manager'),
+  'category:update': hasRole('admin', 'manager'),
+  'category:delete': hasRole('admin', 'manager'),
+
+  'team:create': hasRole('admin', 'manager'),
+  'team:read': async () => true,
+  'team:update': teamLeadOr('admin'),
+  'team:delete': teamLeadOr('admin'),
+  'team:manage_members': teamLeadOr('admin'),
+
+  'organization:list': hasRole('super_admin'),
+  'organization:create': hasRole('super_admin'),
+  'organization:read': ownOrganization('admin', 'manager', 'user'),
+  'organization:update': ownOrganization('admin'),
+
+  'user:list': hasRole('admin', 'manager'),
+  'user:view_stats': hasRole('admin', 'manager'),
+  'user:manage': userWrite(hasRole('admin')),
+  'user:impersonate': userWrite(hasRole('admin')),
+  'user:read': isSelfOr('admin', 'manager'),
+  'user:update': userWrite(isSelfOr('admin')),
+  'user:change_role': userWrite(hasRole('admin')),
+  'user:change_password': userWrite(isSelfOr('admin')),
+  'user:upload_avatar': userWrite(isSelfOr('admin')),
+  'user:manage_api_keys': userWrite(isSelfOr('admin')),
+  'user:create_api_key': userWrite(isSelfOr()),
+
+  // Admins can invite any role, managers only managers and users
+  'invitation:create': async (user, resource) => {
+    const invitable = hasAnyRole(user, ['admin']) ? ['admin', 'manager', 'user']
+      : user.role === 'manager' ? ['manager', 'user'] : [];
+    return invitable.includes(resource.role || 'user');
+  },
+  'invitation:list': hasRole('admin', 'manager'),
+  'invitation:revoke': hasRole('admin', 'manager')
+};
+
+// Actions reported by the permissions endpoint, per resource type
+const RESOURCE_ACTIONS = {
+  global: [
+    'organization:list',
+    'organization:create',
+    'project:create',
+    'category:create',
+    'category:update',
+    'category:delete',
+    'team:create',
+    'user:list',
+    'user:view_stats',
+    'user:manage',
+    'invitation:create'
+  ],
+  project: [
+    'project:read',
+    'project:update',
+    'project:delete',
+    'project:upload',
+    'project:manage_members',
+    'project:manage_owners',
+    'task:create'
+  ],
+  task: ['task:read', 'task:update', 'task:upload', 'task:delete', 'task:comment', 'task:log_time'],
+  team: ['team:read', 'team:update', 'team:delete', 'team:manage_members'],
+  user: [
+    'user:read',
+    'user:update',
+    'user:change_role',
+    'user:change_password',
+    'user:upload_avatar',
+    'user:manage_api_keys',
+    'user:create_api_key'
+  ]
+};
+
+const can = async (user, action, resource = {}) => {
+  const policy = policies[action];
+
+  if (!policy) {
+    throw new Error(`Unknown policy action: ${action}`);
+  }
+
+  // Resources loaded with their organization are checked against the user's
+  if (resource.organization_id && resource.organization_id !== user.organization_id) {
+    return false;
+  }
+
+  return policy(user, resource);
+};
+
+const permissionsFor = async (user, type, resource = {}) => {
+  const permissions = {};
+
+  for (const action of RESOURCE_ACTIONS[type]) {
+    permissions[action] = await can(user, action, resource);
+  }
+
+  return permissions;
+};
+
+// API key scope covering an action, e.g. "task:update" -> "tasks:write"
+const scopeFor = (action) => {
+  const [type, verb] = action.split(':');
+  const scopeType = { project: 'projects', task: 'tasks', comment: 'tasks', time_entry: 'tasks', category: 'categories', team: 'teams' }[type] || 'users';
+  const access = ['read', 'list', 'view_stats'].includes(verb) ? 'read' : 'write';
+
+  return `${scopeType}:${access}`;
+};
+
+// SQL condition limiting a query to the user's organization (column = organization id)
+const tenantFilter = (user, column) => {
+  return { clause: ` AND ${column} = ?`, params: [user.organization_id] };
+};
+
+// SQL condition limiting a query to rows the user may see; admins see their
+// whole organization. Projects and tasks (column = project id) are visible to
+// project members and members of teams granted access, invitations
+// (column = inviter) to whoever sent them.
+const visibilityFilter = (user, type, column) => {
+  const admin = hasAnyRole(user, ['admin']);
+
+  switch (type) {
+    case 'project':
+    case 'task':
+      return {
+        clause: ` AND ${column} IN (SELECT id FROM projects WHERE organization_id = ?` +
+          (admin ? ')' : ` AND id IN (${MEMBER_PROJECTS_SQL}))`),
+        params: admin ? [user.organization_id] : [user.organization_id, user.id, user.id]
+      };
+    case 'invitation':
+      return admin ? { clause: '', params: [] } : { clause: ` AND ${column} = ?`, params: [user.id] };
+    default:
+      throw new Error(`No visibility filter for ${type}`);
+  }
+};
+
+module.exports = {
+  PROJECT_ROLES,
+  RESOURCE_ACTIONS,
+  hasProjectRole,
+  getProjectRole,
+  getTeamRole,
+  getUserResource,
+  can,
+  permissionsFor,
+  scopeFor,
+  tenantFilter,
+  visibilityFilter
+};
@@ -0,0 +1,143 @@
+const net = require('net');
+const logger = require('./logger');
+const { getStorage } = require('./storage');
+
+// A scanner is any object with a name and an async scan(buffer) method
+// resolving to { infected, signature }; it throws when it cannot tell.
+
+// Accepts everything without looking (development default)
+const noneScanner = () => ({
+  name: 'none',
+  scan: async () => ({ infected: false, signature: null })
+});
+
+// clamd replies "stream: OK" or "stream: <signature> FOUND"
+const parseClamdReply = (reply) => {
+  if (reply === 'stream: OK') {
+    return { infected: false, signature: null };
+  }
+
+  const found = reply.match(/^stream: (.+) FOUND$/);
+  if (found) {
+    return { infected: true, signature: found[1] };
+  }
+
+  throw new Error(`ClamAV scan failed: ${reply || 'no reply'}`);
+};
+
+// A ClamAV daemon, reached over its unix socket (CLAMD_SOCKET) or TCP
+// (CLAMD_HOST and CLAMD_PORT), using the INSTREAM command
+const clamavScanner = ({
+  socket = process.env.CLAMD_SOCKET,
+  host = process.env.CLAMD_HOST || '127.0.0.1',
+  port = parseInt(process.env.CLAMD_PORT) || 3310,
+  timeout = parseInt(process.env.CLAMD_TIMEOUT_MS) || 30000
+} = {}) => ({
+  name: 'clamav',
+  scan: (buffer) => new Promise((resolve, reject) => {
+    const connection = socket ? net.createConnection(socket) : net.createConnection(port, host);
+    const reply = [];
+
+    connection.setTimeout(timeout, () => connection.destroy(new Error('ClamAV scan timed out')));
+    connection.on('error', reject);
+    connection.on('data', chunk => reply.push(chunk));
+    connection.on('end', () => {
+      try {
+        resolve(parseClamdReply(Buffer.concat(reply).toString().replace(/\0/g, '').trim()));
+      } catch (error) {
+        reject(error);
+      }
+    });
+
+    connection.on('connect', () => {
+      // The content goes in length-prefixed chunks, ended by a zero length
+      connection.write('zINSTREAM\0');
+      for (let offset = 0; offset < buffer.length; offset += 64 * 1024) {
+        const chunk = buffer.subarray(offset, offset + 64 * 1024);
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length);
+        connection.write(size);
+        connection.write(chunk);
+      }
+      connection.end(Buffer.alloc(4));
+    });
+  })
+});
+
+const scanners = {
+  none: noneScanner,
+  clamav: clamavScanner
+};
+
+const createScanner = (name, options) => {
+  const factory = scanners[name];
+  if (!factory) {
+    throw new Error(`Unknown malware scanner: ${name}`);
+  }
+  return factory(options);
+};
+
+let scanner = null;
+
+// The active scanner, created from MALWARE_SCANNER on first use
+const getScanner = () => {
+  if (!scanner) {
+    scanner = createScanner(process.env.MALWARE_SCANNER || 'none');
+    logger.info(`Malware scanning: ${scanner.name} scanner`);
+  }
+  return scanner;
+};
+
+// Replace the active scanner, e.g. with a fake that flags chosen content
+const setScanner = (newScanner) => {
+  scanner = newScanner;
+};
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+// Scans content stored, or about to be stored, under a key. Infected content
+// is put under "quarantine/" instead, out of reach of every download link.
+// Resolves to { status, key, signature } with the key the content now has.
+const scanContent = async (key, body) => {
+  const { infected, signature } = await getScanner().scan(body);
+
+  if (!infected) {
+    return { status: 'clean', key, signature: null };
+  }
+
+  const quarantineKey = `quarantine/${key}`;
+  await getStorage().put(quarantineKey, body, 'application/octet-stream');
+  logger.warn(`Malware ${signature} found in ${key}; quarantined as ${quarantineKey}`);
+
+  return { status: 'infected', key: quarantineKey, signature };
+};
+
+// Scans a stored file, moving it into quarantine when infected
+const scanStored = async (key) => {
+  const content = await getStorage().get(key);
+
+  if (!content) {
+    throw new Error(`Stored file not found: ${key}`);
+  }
+
+  const result = await scanContent(key, await readAll(content));
+  if (result.status === 'infected') {
+    await getStorage().delete(key);
+  }
+  return result;
+};
+
+module.exports = {
+  parseClamdReply,
+  createScanner,
+  getScanner,
+  setScanner,
+  scanContent,
+  scanStored
+};
@@ -0,0 +1,137 @@
+const db = require('../config/database');
+
+// Every status a task enters is recorded with who moved it and when. Lead time
+// runs from creation to completion, cycle time from the first move into an
+// active state to completion; a task is complete while it sits in a done state.
+const HOUR = 60 * 60 * 1000;
+
+const toHours = (ms) => Math.round((ms / HOUR) * 100) / 100;
+
+// Linear interpolation between the closest ranks; null for no values
+const percentile = (values, p) => {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+const distribution = (durations) => ({
+  count: durations.length,
+  median_hours: durations.length > 0 ? toHours(percentile(durations, 0.5)) : null,
+  p85_hours: durations.length > 0 ? toHours(percentile(durations, 0.85)) : null
+});
+
+const recordStatusChange = async (taskId, fromStatus, state, userId) => {
+  await db.execute(
+    'INSERT INTO task_status_history (task_id, from_status, to_status, to_category, changed_by) VALUES (?, ?, ?, ?, ?)',
+    [taskId, fromStatus, state.key, state.category, userId]
+  );
+};
+
+// A task's status changes, oldest first, with the hours spent in each status
+// (null for the one it is still in)
+const getStatusHistory = async (taskId) => {
+  const [entries] = await db.execute(`
+    SELECT h.id, h.from_status, h.to_status, h.to_category, h.changed_by, u.name as changed_by_name, h.changed_at
+    FROM task_status_history h
+    LEFT JOIN users u ON h.changed_by = u.id
+    WHERE h.task_id = ?
+    ORDER BY h.changed_at ASC, h.id ASC
+  `, [taskId]);
+
+  return entries.map((entry, index) => ({
+    ...entry,
+    hours_in_status: index < entries.length - 1
+      ? toHours(new Date(entries[index + 1].changed_at) - new Date(entry.changed_at))
+      : null
+  }));
+};
+
+// Lead time, cycle time and time spent in each status over history entries
+// ({ task_id, to_status, to_category, changed_at }) ordered by task, then time.
+// Time in a status counts finished stays only; states are listed in workflow
+// order, followed by states the workflow no longer has.
+const flowMetrics = (entries, workflow) => {
+  const byTask = new Map();
+  for (const entry of entries) {
+    if (!byTask.has(entry.task_id)) {
+      byTask.set(entry.task_id, []);
+    }
+    byTask.get(entry.task_id).push({ ...entry, at: new Date(entry.changed_at).getTime() });
+  }
+
+  const stays = new Map(workflow.states.map(state => [state.key, []]));
+  const leadTimes = [];
+  const cycleTimes = [];
+
+  for (const changes of byTask.values()) {
+    let doneAt = null;
+
+    changes.forEach((change, index) => {
+      const next = changes[index + 1];
+      if (next) {
+        if (!stays.has(change.to_status)) {
+          stays.set(change.to_status, []);
+        }
+        stays.get(change.to_status).push(next.at - change.at);
+      }
+
+      if (change.to_category !== 'done') {
+        doneAt = null;
+      } else if (doneAt === null) {
+        doneAt = change.at;
+      }
+    });
+
+    if (doneAt === null) {
+      continue;
+    }
+
+    leadTimes.push(doneAt - changes[0].at);
+
+    const started = changes.find(change => change.to_category === 'active' && change.at <= doneAt);
+    if (started) {
+      cycleTimes.push(doneAt - started.at);
+    }
+  }
+
+  return {
+    completed_tasks: leadTimes.length,
+    lead_time: distribution(leadTimes),
+    cycle_time: distribution(cycleTimes),
+    time_in_status: [...stays.entries()].map(([status, durations]) => {
+      const state = workflow.states.find(candidate => candidate.key === status);
+      return {
+        status,
+        name: state ? state.name : null,
+        ...distribution(durations)
+      };
+    })
+  };
+};
+
+const getProjectFlowMetrics = async (projectId, workflow, includeSubtasks = true) => {
+  const [entries] = await db.execute(`
+    SELECT h.task_id, h.to_status, h.to_category, h.changed_at
+    FROM task_status_history h
+    JOIN tasks t ON h.task_id = t.id
+    WHERE t.project_id = ?${includeSubtasks ? '' : ' AND t.parent_task_id IS NULL'}
+    ORDER BY h.task_id, h.changed_at ASC, h.id ASC
+  `, [projectId]);
+
+  return flowMetrics(entries, workflow);
+};
+
+module.exports = {
+  percentile,
+  recordStatusChange,
+  getStatusHistory,
+  flowMetrics,
+  getProjectFlowMetrics
+};
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const contentDisposition = require('content-disposition');
+const logger = require('./logger');
+
+// A storage driver is any object with a name and async methods:
+//   put(key, body, contentType), get(key) -> readable stream or null,
+//   delete(key), and signedUrl(key, { filename, contentType, inline }) ->
+//   a URL anyone holding it can download from until it expires.
+// Keys are driver-neutral relative paths like "tasks/<uuid>.pdf"; rows store
+// the key, never a disk path or bucket URL.
+
+const signedUrlSeconds = () => parseInt(process.env.FILE_URL_EXPIRES_SECONDS) || 300;
+
+const validKey = (key) => typeof key === 'string' && /^[a-z0-9_-]+(\/[A-Za-z0-9._-]+)+$/.test(key) && !key.split('/').includes('..');
+
+// Content-Disposition for a download under the file's original name
+const dispositionFor = ({ filename, inline }) => contentDisposition(filename || 'download', { type: inline ? 'inline' : 'attachment' });
+
+// Local URLs are signed with an HMAC over everything the download responds with
+const urlSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+const signature = ({ key, expires, filename, contentType, inline }) => {
+  if (!urlSecret()) {
+    throw new Error('FILE_URL_SECRET or JWT_SECRET is required to sign download URLs');
+  }
+
+  return crypto
+    .createHmac('sha256', urlSecret())
+    .update([key, expires, filename || '', contentType || '', inline ? 'inline' : 'attachment'].join('\n'))
+    .digest('hex');
+};
+
+// The download a local signed URL grants, or null when it is forged or expired
+const verifySignedUrl = (query) => {
+  const params = {
+    key: query.key,
+    expires: parseInt(query.expires),
+    filename: query.filename || '',
+    contentType: query.type || '',
+    inline: query.disposition === 'inline'
+  };
+
+  if (!urlSecret() || !validKey(params.key) || !(params.expires > Date.now() / 1000) || typeof query.signature !== 'string') {
+    return null;
+  }
+
+  const expected = Buffer.from(signature(params));
+  const given = Buffer.from(query.signature);
+
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? params : null;
+};
+
+// Files on local disk; downloads go through GET /api/files/download
+const localDriver = (root = process.env.UPLOADS_DIR || 'uploads') => {
+  const base = path.resolve(root);
+
+  const pathFor = (key) => {
+    if (!validKey(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(base, key);
+  };
+
+  return {
+    name: 'local',
+    root: base,
+    put: async (key, body) => {
+      const filePath = pathFor(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+    get: async (key) => {
+      const filePath = pathFor(key);
+      try {
+        await fs.promises.access(filePath);
+      } catch (error) {
+        return null;
+      }
+      return fs.createReadStream(filePath);
+    },
+    delete: async (key) => {
+      try {
+        await fs.promises.unlink(pathFor(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+    signedUrl: async (key, { filename, contentType, inline } = {}) => {
+      const expires = Math.floor(Date.now() / 1000) + signedUrlSeconds();
+      const query = new URLSearchParams({
+        key,
+        expires: String(expires),
+        filename: filename || '',
+        type: contentType || '',
+        disposition: inline ? 'inline' : 'attachment',
+        signature: signature({ key, expires, filename, contentType, inline })
+      });
+      return `/api/files/download?${query}`;
+    }
+  };
+};
+
+// Any S3-compatible object store (AWS S3, MinIO, R2...); S3_ENDPOINT points
+// at non-AWS services, which usually also need S3_FORCE_PATH_STYLE=true
+const s3Driver = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true'
+} = {}) => {
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    name: 's3',
+    bucket,
+    client,
+    put: async (key, body, contentType) => {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+    get: async (key) => {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return object.Body;
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    signedUrl: async (key, options = {}) => getSignedUrl(client, new GetObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      ResponseContentDisposition: dispositionFor(options),
+      ResponseContentType: options.contentType || undefined
+    }), { expiresIn: signedUrlSeconds() })
+  };
+};
+
+const drivers = {
+  local: localDriver,
+  s3: s3Driver
+};
+
+const createDriver = (name, options) => {
+  const factory = drivers[name];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return factory(options);
+};
+
+let driver = null;
+
+// The active driver, created from STORAGE_DRIVER on first use
+const getStorage = () => {
+  if (!driver) {
+    driver = createDriver(process.env.STORAGE_DRIVER || 'local');
+    logger.info(`File storage: ${driver.name} driver`);
+  }
+  return driver;
+};
+
+// Replace the active driver, e.g. with a local driver on a temporary folder
+const setStorage = (newDriver) => {
+  driver = newDriver;
+};
+
+module.exports = {
+  validKey,
+  dispositionFor,
+  verifySignedUrl,
+  createDriver,
+  getStorage,
+  setStorage
+};
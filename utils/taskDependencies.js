@@ -0,0 +1,192 @@
+const db = require('../config/database');
+const { getAncestorIds } = require('./taskHierarchy');
+
+// A dependency row reads "task_id is blocked by depends_on_task_id": the
+// task should not start or finish (move to an active or done state of its
+// workflow) until the task it depends on is done.
+const BLOCKED_CATEGORIES = ['active', 'done'];
+
+const hoursPerDay = () => parseFloat(process.env.WORK_HOURS_PER_DAY) || 8;
+
+// Dependencies of the task that are not done yet
+const getOpenBlockers = async (taskId) => {
+  const [blockers] = await db.execute(`
+    SELECT t.id, t.title, t.status, t.status_category
+    FROM task_dependencies d
+    JOIN tasks t ON d.depends_on_task_id = t.id
+    WHERE d.task_id = ? AND t.status_category != 'done'
+    ORDER BY t.title
+  `, [taskId]);
+
+  return blockers;
+};
+
+// Whether making taskId depend on dependsOnId would close a loop, i.e.
+// dependsOnId already (transitively) depends on taskId
+const createsCycle = async (taskId, dependsOnId) => {
+  const visited = new Set([dependsOnId]);
+  let level = [dependsOnId];
+
+  while (level.length > 0) {
+    if (level.includes(taskId)) {
+      return true;
+    }
+
+    const placeholders = level.map(() => '?').join(', ');
+    const [rows] = await db.execute(
+      `SELECT depends_on_task_id FROM task_dependencies WHERE task_id IN (${placeholders})`,
+      level
+    );
+
+    level = rows.map(row => row.depends_on_task_id).filter(id => !visited.has(id));
+    level.forEach(id => visited.add(id));
+  }
+
+  return false;
+};
+
+// Why the task cannot depend on the other one, or null when it can
+const checkDependency = async (taskId, dependsOnId) => {
+  if (taskId === dependsOnId) {
+    return 'A task cannot depend on itself';
+  }
+
+  // A parent only completes after its subtasks, so this could never resolve
+  if ((await getAncestorIds(taskId)).includes(dependsOnId)) {
+    return 'A subtask cannot depend on its own parent task';
+  }
+
+  if (await createsCycle(taskId, dependsOnId)) {
+    return 'Dependency would create a cycle';
+  }
+
+  return null;
+};
+
+const round = (hours) => Math.round(hours * 100) / 100;
+
+const formatDate = (date) => {
+  if (!date) {
+    return null;
+  }
+  if (typeof date === 'string') {
+    return date.slice(0, 10);
+  }
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Schedules the remaining work of a set of tasks and finds its critical path.
+// Remaining work is estimated_hours for unfinished tasks (none for done ones);
+// tasks run as early as their dependencies allow, starting at options.start,
+// and a working day holds options.hoursPerDay hours. Dependencies pointing
+// outside the given tasks are ignored.
+const criticalPath = (tasks, dependencies, options = {}) => {
+  const start = options.start || new Date();
+  const perDay = options.hoursPerDay || hoursPerDay();
+
+  const nodes = new Map(tasks.map(task => [task.id, {
+    task,
+    duration: task.status_category === 'done' ? 0 : (parseFloat(task.estimated_hours) || 0),
+    predecessors: [],
+    successors: []
+  }]));
+
+  for (const { task_id, depends_on_task_id } of dependencies) {
+    if (nodes.has(task_id) && nodes.has(depends_on_task_id)) {
+      nodes.get(task_id).predecessors.push(depends_on_task_id);
+      nodes.get(depends_on_task_id).successors.push(task_id);
+    }
+  }
+
+  // Topological order (Kahn); dependencies are kept acyclic on write
+  const remaining = new Map([...nodes].map(([id, node]) => [id, node.predecessors.length]));
+  const order = [...remaining].filter(([, count]) => count === 0).map(([id]) => id);
+  for (let i = 0; i < order.length; i++) {
+    for (const successor of nodes.get(order[i]).successors) {
+      remaining.set(successor, remaining.get(successor) - 1);
+      if (remaining.get(successor) === 0) {
+        order.push(successor);
+      }
+    }
+  }
+
+  for (const id of order) {
+    const node = nodes.get(id);
+    node.earliestStart = Math.max(0, ...node.predecessors.map(pred => nodes.get(pred).earliestFinish));
+    node.earliestFinish = node.earliestStart + node.duration;
+  }
+
+  const totalHours = Math.max(0, ...order.map(id => nodes.get(id).earliestFinish));
+
+  for (const id of [...order].reverse()) {
+    const node = nodes.get(id);
+    node.latestFinish = Math.min(totalHours, ...node.successors.map(succ => nodes.get(succ).latestStart));
+    node.latestStart = node.latestFinish - node.duration;
+    node.slack = round(node.latestStart - node.earliestStart);
+  }
+
+  // The start day is the first working day, so a day's work ends on it
+  const dateAfter = (hours) => {
+    const date = new Date(start);
+    date.setDate(date.getDate() + Math.max(0, Math.ceil(round(hours) / perDay) - 1));
+    return formatDate(date);
+  };
+
+  const schedule = order.map(id => {
+    const { task, duration, earliestStart, earliestFinish, latestStart, latestFinish, slack } = nodes.get(id);
+    const projectedFinish = dateAfter(earliestFinish);
+    const dueDate = formatDate(task.due_date);
+
+    return {
+      id,
+      title: task.title,
+      status: task.status,
+      status_category: task.status_category,
+      estimated_hours: task.estimated_hours === null || task.estimated_hours === undefined ? null : parseFloat(task.estimated_hours),
+      remaining_hours: round(duration),
+      earliest_start: round(earliestStart),
+      earliest_finish: round(earliestFinish),
+      latest_start: round(latestStart),
+      latest_finish: round(latestFinish),
+      slack,
+      critical: slack === 0 && duration > 0,
+      due_date: dueDate,
+      projected_finish: projectedFinish,
+      late: Boolean(dueDate && task.status_category !== 'done' && projectedFinish > dueDate)
+    };
+  });
+
+  // Walk back from the task that finishes last through zero-slack predecessors
+  const path = [];
+  const onPath = (node, finish) => node.slack === 0 && round(node.earliestFinish) === round(finish);
+  let current = totalHours > 0 ? order.map(id => nodes.get(id)).find(node => onPath(node, totalHours)) : null;
+
+  while (current) {
+    if (current.duration > 0) {
+      path.unshift(current.task.id);
+    }
+    const { earliestStart } = current;
+    current = current.predecessors.map(pred => nodes.get(pred)).find(node => onPath(node, earliestStart));
+  }
+
+  return {
+    total_hours: round(totalHours),
+    hours_per_day: perDay,
+    projected_finish: dateAfter(totalHours),
+    critical_path: path,
+    tasks: schedule,
+    unestimated: schedule
+      .filter(task => task.status_category !== 'done' && !task.estimated_hours)
+      .map(task => task.id)
+  };
+};
+
+module.exports = {
+  BLOCKED_CATEGORIES,
+  getOpenBlockers,
+  createsCycle,
+  checkDependency,
+  criticalPath
+};
@@ -0,0 +1,131 @@
+const db = require('../config/database');
+
+// Tasks can be broken into subtasks via parent_task_id. Top-level tasks are
+// depth 0; subtasks may nest at most TASK_MAX_DEPTH levels below them.
+const maxDepth = () => parseInt(process.env.TASK_MAX_DEPTH) || 3;
+
+// Ids from the task's parent up to its top-level task
+const getAncestorIds = async (taskId) => {
+  const ancestors = [];
+  let currentId = taskId;
+
+  // Bounded so a corrupted chain can never loop forever
+  while (ancestors.length <= maxDepth()) {
+    const [tasks] = await db.execute('SELECT parent_task_id FROM tasks WHERE id = ?', [currentId]);
+
+    if (tasks.length === 0 || !tasks[0].parent_task_id) {
+      break;
+    }
+
+    currentId = tasks[0].parent_task_id;
+    ancestors.push(currentId);
+  }
+
+  return ancestors;
+};
+
+// Every task below the given one with its depth relative to it (children are 1)
+const getDescendants = async (taskId) => {
+  const descendants = [];
+  let level = [taskId];
+  let depth = 0;
+
+  while (level.length > 0 && depth < maxDepth()) {
+    depth += 1;
+    const placeholders = level.map(() => '?').join(', ');
+    const [tasks] = await db.execute(
+      `SELECT id, status, status_category FROM tasks WHERE parent_task_id IN (${placeholders})`,
+      level
+    );
+
+    descendants.push(...tasks.map(task => ({ ...task, depth })));
+    level = tasks.map(task => task.id);
+  }
+
+  return descendants;
+};
+
+// Why the task cannot be placed under the given parent, or null when it can.
+// task is the existing task being moved (null when creating one).
+const checkParent = async (task, parentId, projectId) => {
+  const [parents] = await db.execute(
+    'SELECT id, project_id FROM tasks WHERE id = ?',
+    [parentId]
+  );
+
+  if (parents.length === 0) {
+    return 'Parent task not found';
+  }
+
+  const parent = parents[0];
+
+  if (parent.project_id !== projectId) {
+    return 'Parent task must belong to the same project';
+  }
+
+  const parentAncestors = await getAncestorIds(parent.id);
+
+  if (task && (parent.id === task.id || parentAncestors.includes(task.id))) {
+    return 'A task cannot be moved under itself or one of its subtasks';
+  }
+
+  // The moved task brings its own subtasks along
+  const subtreeHeight = task
+    ? Math.max(0, ...(await getDescendants(task.id)).map(descendant => descendant.depth))
+    : 0;
+
+  if (parentAncestors.length + 1 + subtreeHeight > maxDepth()) {
+    return `Subtasks cannot be nested more than ${maxDepth()} levels deep`;
+  }
+
+  return null;
+};
+
+// Why the task cannot move to a status of the given category (open, active
+// or done), or null when it can. A parent is only done once all its subtasks
+// are, and stays done while they are; so checking direct children and the
+// direct parent is enough.
+const checkStatus = async (taskId, parentId, category) => {
+  if (category === 'done' && taskId) {
+    const [counts] = await db.execute(
+      "SELECT COUNT(*) as count FROM tasks WHERE parent_task_id = ? AND status_category != 'done'",
+      [taskId]
+    );
+
+    if (counts[0].count > 0) {
+      return `Task has ${counts[0].count} open subtask(s) and cannot be completed`;
+    }
+  }
+
+  if (category !== 'done' && parentId) {
+    const [parents] = await db.execute('SELECT status_category FROM tasks WHERE id = ?', [parentId]);
+
+    if (parents.length > 0 && parents[0].status_category === 'done') {
+      return 'Parent task is completed; reopen it before adding or reopening subtasks';
+    }
+  }
+
+  return null;
+};
+
+// Completion roll-up over all subtasks, however deeply nested
+const getSubtaskSummary = async (taskId) => {
+  const descendants = await getDescendants(taskId);
+  const completed = descendants.filter(descendant => descendant.status_category === 'done').length;
+
+  return {
+    total: descendants.length,
+    completed,
+    open: descendants.length - completed,
+    progress: descendants.length > 0 ? Math.round((completed / descendants.length) * 100) : null
+  };
+};
+
+module.exports = {
+  maxDepth,
+  getAncestorIds,
+  getDescendants,
+  checkParent,
+  checkStatus,
+  getSubtaskSummary
+};
@@ -0,0 +1,238 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { visibilityFilter } = require('./policy');
+
+// Time entries store whole minutes; a running timer has started_at but no
+// ended_at or duration yet and counts towards no totals until it stops.
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+const toHours = (minutes) => Math.round(((Number(minutes) || 0) / 60) * 100) / 100;
+
+// Start, end and length of an entry given either a duration (optionally with
+// its start) or a start and an end; { error } when they don't add up
+const entryTimes = ({ started_at, ended_at, duration_minutes }) => {
+  const startedAt = started_at ? new Date(started_at) : null;
+
+  if (ended_at) {
+    const endedAt = new Date(ended_at);
+    const minutes = Math.round((endedAt - startedAt) / 60000);
+
+    if (!(minutes >= 1)) {
+      return { error: 'ended_at must be at least a minute after started_at' };
+    }
+    if (minutes > MAX_ENTRY_MINUTES) {
+      return { error: 'A time entry cannot be longer than 24 hours' };
+    }
+    return { startedAt, endedAt, minutes };
+  }
+
+  const endedAt = startedAt ? new Date(startedAt.getTime() + duration_minutes * 60000) : null;
+  return { startedAt, endedAt, minutes: duration_minutes };
+};
+
+// Start, end and length of a timer stopped at the given time: whole minutes,
+// at least one, and a timer left running for longer ends at the 24 hour cap
+const timerTimes = (started_at, now = new Date()) => {
+  const startedAt = new Date(started_at);
+  const cap = new Date(startedAt.getTime() + MAX_ENTRY_MINUTES * 60000);
+  const endedAt = now > cap ? cap : now;
+
+  return { startedAt, endedAt, minutes: Math.max(Math.round((endedAt - startedAt) / 60000), 1) };
+};
+
+// The user's running timer as { id, started_at }, or null. Pass a
+// connection to look it up within its transaction.
+const getRunningTimer = async (userId, connection = db) => {
+  const [entries] = await connection.execute(
+    'SELECT id, started_at FROM time_entries WHERE user_id = ? AND started_at IS NOT NULL AND ended_at IS NULL AND duration_minutes IS NULL',
+    [userId]
+  );
+  return entries.length > 0 ? entries[0] : null;
+};
+
+// Starts a timer on the task for the user. Resolves to { id } of the new
+// entry, or { runningId } when the user already has a timer running.
+const startTimer = async (user, taskId, { notes, billable, now = new Date() } = {}) => {
+  // The user's row stays locked until the new timer is in, so two starts
+  // at once cannot both find no timer running
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    await connection.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [user.id]);
+
+    const running = await getRunningTimer(user.id, connection);
+    if (running) {
+      await connection.commit();
+      return { runningId: running.id };
+    }
+
+    const id = uuidv4();
+    await connection.execute(
+      'INSERT INTO time_entries (id, organization_id, task_id, user_id, started_at, notes, billable) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [id, user.organization_id, taskId, user.id, now, notes || null, billable ? 1 : 0]
+    );
+    await connection.commit();
+    return { id };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Stops the user's running timer, turning it into a time entry; notes, when
+// given, replace the timer's. Resolves to the entry id, or null without one.
+const stopTimer = async (userId, { notes, now = new Date() } = {}) => {
+  const running = await getRunningTimer(userId);
+  if (!running) {
+    return null;
+  }
+
+  const { endedAt, minutes } = timerTimes(running.started_at, now);
+  await db.execute(
+    'UPDATE time_entries SET ended_at = ?, duration_minutes = ?, notes = COALESCE(?, notes) WHERE id = ?',
+    [endedAt, minutes, notes === undefined ? null : notes, running.id]
+  );
+  return running.id;
+};
+
+// Estimate versus actual; positive variance means more time than estimated
+const variance = (estimatedHours, loggedHours) => {
+  const estimated = Math.round((Number(estimatedHours) || 0) * 100) / 100;
+  const difference = Math.round((loggedHours - estimated) * 100) / 100;
+
+  return {
+    estimated_hours: estimated,
+    logged_hours: loggedHours,
+    variance_hours: difference,
+    variance_percent: estimated > 0 ? Math.round((difference / estimated) * 100) : null
+  };
+};
+
+// Totals over rows of { estimated_hours, logged_minutes, billable_minutes }
+const summarize = (rows) => {
+  const estimated = rows.reduce((sum, row) => sum + (Number(row.estimated_hours) || 0), 0);
+  const logged = rows.reduce((sum, row) => sum + (Number(row.logged_minutes) || 0), 0);
+  const billable = rows.reduce((sum, row) => sum + (Number(row.billable_minutes) || 0), 0);
+
+  return {
+    ...variance(estimated, toHours(logged)),
+    billable_hours: toHours(billable)
+  };
+};
+
+const TASK_TOTALS_SQL = `
+  SELECT t.id, t.title, t.status, t.estimated_hours,
+         COALESCE(SUM(te.duration_minutes), 0) as logged_minutes,
+         COALESCE(SUM(CASE WHEN te.billable = 1 THEN te.duration_minutes ELSE 0 END), 0) as billable_minutes
+  FROM tasks t
+  LEFT JOIN time_entries te ON te.task_id = t.id
+`;
+
+const taskTotals = (row) => ({
+  task_id: row.id,
+  title: row.title,
+  status: row.status,
+  ...summarize([row])
+});
+
+const getTaskTimeTracking = async (taskId) => {
+  const [rows] = await db.execute(`${TASK_TOTALS_SQL} WHERE t.id = ? GROUP BY t.id`, [taskId]);
+
+  return summarize(rows);
+};
+
+// Project totals with per-task and per-user breakdowns
+const getProjectTimeTracking = async (projectId) => {
+  const [tasks] = await db.execute(`
+    ${TASK_TOTALS_SQL}
+    WHERE t.project_id = ?
+    GROUP BY t.id
+    ORDER BY logged_minutes DESC, t.title
+  `, [projectId]);
+
+  const [users] = await db.execute(`
+    SELECT u.id, u.name,
+           SUM(te.duration_minutes) as logged_minutes,
+           SUM(CASE WHEN te.billable = 1 THEN te.duration_minutes ELSE 0 END) as billable_minutes
+    FROM time_entries te
+    JOIN tasks t ON te.task_id = t.id
+    JOIN users u ON te.user_id = u.id
+    WHERE t.project_id = ? AND te.duration_minutes IS NOT NULL
+    GROUP BY u.id, u.name
+    ORDER BY logged_minutes DESC
+  `, [projectId]);
+
+  return {
+    ...summarize(tasks),
+    by_task: tasks
+      .filter(task => task.estimated_hours !== null || Number(task.logged_minutes) > 0)
+      .map(taskTotals),
+    by_user: users.map(user => ({
+      user_id: user.id,
+      name: user.name,
+      logged_hours: toHours(user.logged_minutes),
+      billable_hours: toHours(user.billable_minutes)
+    }))
+  };
+};
+
+// Time the user logged, per project, and estimate versus actual on the
+// tasks assigned to them (counting everyone's time on those tasks). Only
+// time in projects the viewer can see counts.
+const getUserTimeTracking = async (userId, viewer) => {
+  const visibility = visibilityFilter(viewer, 'project', 't.project_id');
+
+  const [totals] = await db.execute(`
+    SELECT COALESCE(SUM(te.duration_minutes), 0) as logged_minutes,
+           COALESCE(SUM(CASE WHEN te.billable = 1 THEN te.duration_minutes ELSE 0 END), 0) as billable_minutes
+    FROM time_entries te
+    JOIN tasks t ON te.task_id = t.id
+    WHERE te.user_id = ?${visibility.clause}
+  `, [userId, ...visibility.params]);
+
+  const [projects] = await db.execute(`
+    SELECT p.id, p.name,
+           SUM(te.duration_minutes) as logged_minutes,
+           SUM(CASE WHEN te.billable = 1 THEN te.duration_minutes ELSE 0 END) as billable_minutes
+    FROM time_entries te
+    JOIN tasks t ON te.task_id = t.id
+    JOIN projects p ON t.project_id = p.id
+    WHERE te.user_id = ? AND te.duration_minutes IS NOT NULL${visibility.clause}
+    GROUP BY p.id, p.name
+    ORDER BY logged_minutes DESC
+  `, [userId, ...visibility.params]);
+
+  const [assigned] = await db.execute(`
+    ${TASK_TOTALS_SQL}
+    WHERE t.assigned_to = ?${visibility.clause}
+    GROUP BY t.id
+  `, [userId, ...visibility.params]);
+
+  return {
+    logged_hours: toHours(totals[0].logged_minutes),
+    billable_hours: toHours(totals[0].billable_minutes),
+    by_project: projects.map(project => ({
+      project_id: project.id,
+      name: project.name,
+      logged_hours: toHours(project.logged_minutes),
+      billable_hours: toHours(project.billable_minutes)
+    })),
+    assigned_tasks: summarize(assigned)
+  };
+};
+
+module.exports = {
+  MAX_ENTRY_MINUTES,
+  toHours,
+  entryTimes,
+  timerTimes,
+  startTimer,
+  stopTimer,
+  variance,
+  summarize,
+  getTaskTimeTracking,
+  getProjectTimeTracking,
+  getUserTimeTracking
+};
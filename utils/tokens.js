@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const logger = require('./logger');
+
+const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '7d';
+
+// Only a SHA-256 digest of each refresh token is persisted
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Opaque single-use token for links sent by email
+const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: user.role, org: user.organization_id, tv: user.token_version, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN }
+  );
+};
+
+// Store a new refresh token in the given family (one family per login session)
+const createRefreshToken = async (userId, familyId) => {
+  const tokenId = uuidv4();
+  const refreshToken = jwt.sign(
+    { userId, familyId },
+    process.env.REFRESH_TOKEN_SECRET,
+    { expiresIn: REFRESH_TOKEN_EXPIRES_IN, jwtid: tokenId }
+  );
+  const { exp } = jwt.decode(refreshToken);
+
+  await db.execute(
+    'INSERT INTO refresh_tokens (id, user_id, family_id, token_hash, expires_at) VALUES (?, ?, ?, ?, FROM_UNIXTIME(?))',
+    [tokenId, userId, familyId, hashToken(refreshToken), exp]
+  );
+
+  return { id: tokenId, token: refreshToken };
+};
+
+// Client details recorded for the session list
+const sessionContext = (req) => ({
+  ip: req.ip || null,
+  userAgent: (req.get('User-Agent') || '').slice(0, 255) || null
+});
+
+// Start a new session and return its access/refresh token pair
+const issueTokenPair = async (user, context = {}) => {
+  const sessionId = uuidv4();
+
+  await db.execute(
+    'INSERT INTO user_sessions (id, user_id, ip_address, user_agent, last_used_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)',
+    [sessionId, user.id, context.ip || null, context.userAgent || null]
+  );
+
+  const { token: refreshToken } = await createRefreshToken(user.id, sessionId);
+
+  return {
+    accessToken: signAccessToken(user, sessionId),
+    refreshToken
+  };
+};
+
+// Revoke a session together with all of its refresh tokens
+const revokeFamily = async (familyId) => {
+  await db.execute(
+    'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+    [familyId]
+  );
+  await db.execute(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = ? AND revoked_at IS NULL',
+    [familyId]
+  );
+};
+
+const revokeAllForUser = async (userId) => {
+  await db.execute(
+    'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+  await db.execute(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+};
+
+// Sessions that can still be refreshed
+const listActiveSessions = async (userId) => {
+  const [sessions] = await db.execute(`
+    SELECT s.id, s.ip_address, s.user_agent, s.created_at, s.last_used_at
+    FROM user_sessions s
+    WHERE s.user_id = ? AND s.revoked_at IS NULL
+      AND EXISTS (
+        SELECT 1 FROM refresh_tokens r
+        WHERE r.family_id = s.id AND r.revoked_at IS NULL AND r.expires_at > CURRENT_TIMESTAMP
+      )
+    ORDER BY s.last_used_at DESC
+  `, [userId]);
+
+  return sessions;
+};
+
+// Exchange a refresh token for a new pair in the same family.
+// Returns null when the token is invalid; presenting an already rotated
+// token is treated as theft and revokes the whole family.
+const rotateRefreshToken = async (refreshToken, context = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  const [tokens] = await db.execute(
+    'SELECT id, user_id, family_id, token_hash, revoked_at FROM refresh_tokens WHERE id = ?',
+    [decoded.jti || '']
+  );
+
+  if (tokens.length === 0 || tokens[0].token_hash !== hashToken(refreshToken)) {
+    return null;
+  }
+
+  const stored = tokens[0];
+
+  if (stored.revoked_at) {
+    await revokeFamily(stored.family_id);
+    logger.warn(`Refresh token reuse detected for user ${stored.user_id}, session ${stored.family_id} revoked`);
+    return null;
+  }
+
+  const [users] = await db.execute(
+    'SELECT id, organization_id, email, role, token_version FROM users WHERE id = ? AND is_active = 1',
+    [stored.user_id]
+  );
+
+  if (users.length === 0) {
+    await revokeFamily(stored.family_id);
+    return null;
+  }
+
+  const user = users[0];
+
+  // Store the successor before retiring the old token so the session is never
+  // left without a live token. The claim is atomic: of two concurrent refreshes
+  // with the same token only one wins, the other is handled as reuse.
+  const next = await createRefreshToken(user.id, stored.family_id);
+
+  const [claim] = await db.execute(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = ? WHERE id = ? AND revoked_at IS NULL',
+    [next.id, stored.id]
+  );
+
+  if (claim.affectedRows === 0) {
+    await revokeFamily(stored.family_id);
+    logger.warn(`Refresh token reuse detected for user ${stored.user_id}, session ${stored.family_id} revoked`);
+    return null;
+  }
+
+  await db.execute(
+    'UPDATE user_sessions SET last_used_at = CURRENT_TIMESTAMP, ip_address = ?, user_agent = ? WHERE id = ?',
+    [context.ip || null, context.userAgent || null, stored.family_id]
+  );
+
+  return {
+    user,
+    accessToken: signAccessToken(user, stored.family_id),
+    refreshToken: next.token
+  };
+};
+
+// Invalidate every access token issued to the user so far
+const bumpTokenVersion = async (userId) => {
+  await db.execute(
+    'UPDATE users SET token_version = token_version + 1 WHERE id = ?',
+    [userId]
+  );
+};
+
+module.exports = {
+  hashToken,
+  generateToken,
+  sessionContext,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  listActiveSessions,
+  bumpTokenVersion
+};
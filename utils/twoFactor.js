@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const totp = require('./totp');
+const { hashToken } = require('./tokens');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = '2fa';
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+const issuer = () => process.env.TOTP_ISSUER || 'Express CRUD API';
+
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^0-9a-f]/g, '');
+
+// Replace the user's recovery codes and return the plain codes, which are
+// only ever shown once
+const generateRecoveryCodes = async (userId) => {
+  await db.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(8).toString('hex');
+    await db.execute(
+      'INSERT INTO user_recovery_codes (id, user_id, code_hash) VALUES (?, ?, ?)',
+      [uuidv4(), userId, hashToken(raw)]
+    );
+    codes.push(raw.match(/.{4}/g).join('-'));
+  }
+
+  return codes;
+};
+
+// Verify a TOTP code; a code is accepted at most once
+const verifyTotp = async (user, code) => {
+  const step = totp.verifyCode(code, user.totp_secret);
+  if (step === null) {
+    return false;
+  }
+
+  const [result] = await db.execute(
+    'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+    [step, user.id, step]
+  );
+
+  return result.affectedRows > 0;
+};
+
+const useRecoveryCode = async (userId, recoveryCode) => {
+  const [result] = await db.execute(
+    'UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+    [userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+  );
+
+  return result.affectedRows > 0;
+};
+
+// Accepts either an authenticator code or a one-time recovery code
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    return verifyTotp(user, code);
+  }
+  if (recoveryCode) {
+    return useRecoveryCode(user.id, recoveryCode);
+  }
+  return false;
+};
+
+// Short-lived token proving the password step of a 2FA login succeeded.
+// authenticateToken refuses tokens that carry a purpose claim. Each token is
+// backed by a two_factor_challenges row; issuing one drops the user's earlier
+// challenges.
+const signChallengeToken = async (user) => {
+  const challengeId = uuidv4();
+
+  await db.execute('DELETE FROM two_factor_challenges WHERE user_id = ?', [user.id]);
+  await db.execute(
+    'INSERT INTO two_factor_challenges (id, user_id) VALUES (?, ?)',
+    [challengeId, user.id]
+  );
+
+  return jwt.sign(
+    { userId: user.id, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m', jwtid: challengeId }
+  );
+};
+
+// Returns { userId, challengeId } from a valid challenge token that has not
+// been used or dropped yet, or null
+const verifyChallengeToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== CHALLENGE_PURPOSE || !decoded.jti) {
+    return null;
+  }
+
+  const [challenges] = await db.execute(
+    'SELECT id FROM two_factor_challenges WHERE id = ? AND user_id = ?',
+    [decoded.jti, decoded.userId]
+  );
+
+  return challenges.length > 0 ? { userId: decoded.userId, challengeId: decoded.jti } : null;
+};
+
+// Counts a wrong code against the challenge, which is dropped after
+// CHALLENGE_MAX_ATTEMPTS of them
+const failChallenge = async (challengeId) => {
+  await db.execute(
+    'UPDATE two_factor_challenges SET failed_attempts = failed_attempts + 1 WHERE id = ?',
+    [challengeId]
+  );
+  await db.execute(
+    'DELETE FROM two_factor_challenges WHERE id = ? AND failed_attempts >= ?',
+    [challengeId, CHALLENGE_MAX_ATTEMPTS]
+  );
+};
+
+// Uses up the challenge; false when another request already did or it was dropped
+const useChallenge = async (challengeId) => {
+  const [result] = await db.execute('DELETE FROM two_factor_challenges WHERE id = ?', [challengeId]);
+
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  issuer,
+  generateRecoveryCodes,
+  verifyTotp,
+  verifySecondFactor,
+  signChallengeToken,
+  verifyChallengeToken,
+  failChallenge,
+  useChallenge
+};
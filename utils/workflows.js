@@ -0,0 +1,147 @@
+const db = require('../config/database');
+const { PROJECT_ROLES } = require('./policy');
+
+// Every project moves its tasks through a workflow: named states, each in a
+// category (open, active or done), and the transitions allowed between them.
+// Projects that never defined one use the default workflow. Tasks store their
+// state's category in status_category so "is it done?" never needs the workflow.
+const STATUS_CATEGORIES = ['open', 'active', 'done'];
+
+// Transitions from "*" apply to every state
+const ANY_STATUS = '*';
+
+const DEFAULT_WORKFLOW = {
+  custom: false,
+  states: [
+    { key: 'todo', name: 'To Do', category: 'open' },
+    { key: 'in_progress', name: 'In Progress', category: 'active' },
+    { key: 'review', name: 'Review', category: 'active' },
+    { key: 'completed', name: 'Completed', category: 'done' }
+  ],
+  transitions: ['todo', 'in_progress', 'review', 'completed'].map(key => ({ from: ANY_STATUS, to: key, roles: null }))
+};
+
+const getWorkflow = async (projectId) => {
+  const [states] = await db.execute(
+    'SELECT status_key, name, category FROM project_workflow_states WHERE project_id = ? ORDER BY position',
+    [projectId]
+  );
+
+  if (states.length === 0) {
+    return DEFAULT_WORKFLOW;
+  }
+
+  const [transitions] = await db.execute(
+    'SELECT from_status, to_status, allowed_roles FROM project_workflow_transitions WHERE project_id = ? ORDER BY from_status, to_status',
+    [projectId]
+  );
+
+  return {
+    custom: true,
+    states: states.map(state => ({ key: state.status_key, name: state.name, category: state.category })),
+    transitions: transitions.map(transition => ({
+      from: transition.from_status,
+      to: transition.to_status,
+      roles: transition.allowed_roles ? JSON.parse(transition.allowed_roles) : null
+    }))
+  };
+};
+
+const findState = (workflow, key) => workflow.states.find(state => state.key === key) || null;
+
+// New tasks start in the first state unless they name another one
+const initialState = (workflow) => workflow.states[0];
+
+// Why a workflow definition is unusable, or null when it is fine
+const checkWorkflow = ({ states, transitions }) => {
+  const keys = states.map(state => state.key);
+
+  if (new Set(keys).size !== keys.length) {
+    return 'State keys must be unique';
+  }
+
+  if (!states.some(state => state.category === 'done')) {
+    return 'A workflow needs at least one state in the done category';
+  }
+
+  for (const transition of transitions) {
+    if (transition.from !== ANY_STATUS && !keys.includes(transition.from)) {
+      return `Transition from unknown state "${transition.from}"`;
+    }
+    if (!keys.includes(transition.to)) {
+      return `Transition to unknown state "${transition.to}"`;
+    }
+    if (transition.from === transition.to) {
+      return `Transition from "${transition.from}" to itself`;
+    }
+    const invalidRole = (transition.roles || []).find(role => !PROJECT_ROLES.includes(role));
+    if (invalidRole) {
+      return `Unknown project role "${invalidRole}"`;
+    }
+  }
+
+  return null;
+};
+
+const transitionsBetween = (workflow, from, to) => workflow.transitions.filter(transition => {
+  return (transition.from === from || transition.from === ANY_STATUS) && transition.to === to;
+});
+
+// Why the workflow doesn't let tasks move between the states, or null when it
+// does. Staying in the same state is not a move.
+const checkTransition = (workflow, from, to) => {
+  if (!findState(workflow, to)) {
+    return `Status must be one of: ${workflow.states.map(state => state.key).join(', ')}`;
+  }
+
+  if (from !== to && transitionsBetween(workflow, from, to).length === 0) {
+    return `The workflow does not allow moving from "${from}" to "${to}"`;
+  }
+
+  return null;
+};
+
+// Whether a user with the given project role may make an allowed move
+const canTransition = (workflow, from, to, projectRole) => {
+  return from === to || transitionsBetween(workflow, from, to)
+    .some(transition => !transition.roles || transition.roles.includes(projectRole));
+};
+
+// Replaces the project's workflow and re-derives its tasks' categories. Pass
+// the connection of a transaction to make it part of a larger change.
+const saveWorkflow = async (projectId, { states, transitions }, connection = db) => {
+  await connection.execute('DELETE FROM project_workflow_transitions WHERE project_id = ?', [projectId]);
+  await connection.execute('DELETE FROM project_workflow_states WHERE project_id = ?', [projectId]);
+
+  for (const [position, state] of states.entries()) {
+    await connection.execute(
+      'INSERT INTO project_workflow_states (project_id, status_key, name, category, position) VALUES (?, ?, ?, ?, ?)',
+      [projectId, state.key, state.name, state.category, position]
+    );
+
+    await connection.execute(
+      'UPDATE tasks SET status_category = ? WHERE project_id = ? AND status = ?',
+      [state.category, projectId, state.key]
+    );
+  }
+
+  for (const transition of transitions) {
+    await connection.execute(
+      'INSERT IGNORE INTO project_workflow_transitions (project_id, from_status, to_status, allowed_roles) VALUES (?, ?, ?, ?)',
+      [projectId, transition.from, transition.to, transition.roles && transition.roles.length > 0 ? JSON.stringify(transition.roles) : null]
+    );
+  }
+};
+
+module.exports = {
+  STATUS_CATEGORIES,
+  ANY_STATUS,
+  DEFAULT_WORKFLOW,
+  getWorkflow,
+  findState,
+  initialState,
+  checkWorkflow,
+  checkTransition,
+  canTransition,
+  saveWorkflow
+};